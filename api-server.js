@@ -1,9 +1,31 @@
-// Simple local API server for development
+// Local API server: the trending endpoint for development, and a self-hosted backend storing the cache
+// in SQLite (STORAGE_DB_PATH) for apps built with VITE_STORAGE_API_URL pointing here. It listens on
+// localhost only unless HOST says otherwise; the storage API needs STORAGE_API_TOKEN.
 import http from 'http';
 import { URL } from 'url';
+import { STORAGE_PREFIX, handleStorageRequest } from './api/_lib/storageApi.js';
+
+const PORT = process.env.PORT || 3001;
+const HOST = process.env.HOST || '127.0.0.1';
+const STORAGE_DB_PATH = process.env.STORAGE_DB_PATH || 'data/analytics.db';
+const STORAGE_API_TOKEN = process.env.STORAGE_API_TOKEN || null;
+// Origin of the app that may call the storage API from the browser (Vite's dev server by default)
+const STORAGE_ALLOWED_ORIGIN = process.env.STORAGE_ALLOWED_ORIGIN || 'http://localhost:5173';
+
+// SQLite (better-sqlite3, an optional dependency) is loaded and opened on the first authorized storage
+// request, so the server runs without it while the storage API is off
+let storage = null;
+function openStorage() {
+  storage ||= import('./api/_lib/sqliteStorage.js')
+    .then(({ openSqliteStorage }) => openSqliteStorage(STORAGE_DB_PATH))
+    .catch((error) => {
+      storage = null;
+      throw error;
+    });
+  return storage;
+}
 
-const PORT = 3001;
-
+// Always github.com's: GitHub Enterprise Server has no trending page
 async function fetchTrending(since = 'weekly') {
   const url = `https://github.com/trending?since=${since}`;
 
@@ -74,6 +96,14 @@ function parseTrendingHtml(html) {
 }
 
 const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  // The storage API does its own CORS and auth
+  if (url.pathname.startsWith(STORAGE_PREFIX)) {
+    await handleStorageRequest(openStorage, req, res, url, { token: STORAGE_API_TOKEN, allowedOrigin: STORAGE_ALLOWED_ORIGIN });
+    return;
+  }
+
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -85,8 +115,6 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-
   if (url.pathname === '/api/trending') {
     try {
       const since = url.searchParams.get('since') || 'weekly';
@@ -104,7 +132,10 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`API server running at http://localhost:${PORT}`);
-  console.log(`Test: http://localhost:${PORT}/api/trending`);
+server.listen(PORT, HOST, () => {
+  console.log(`API server running at http://${HOST}:${PORT}`);
+  console.log(`Test: http://${HOST}:${PORT}/api/trending`);
+  console.log(STORAGE_API_TOKEN
+    ? `Storage: ${STORAGE_DB_PATH} at http://${HOST}:${PORT}${STORAGE_PREFIX}, for ${STORAGE_ALLOWED_ORIGIN}`
+    : 'Storage API disabled, set STORAGE_API_TOKEN to enable it');
 });
@@ -0,0 +1,112 @@
+// GitHub App authentication for the server-side paths
+// Signs a short-lived JWT with the app's private key, exchanges it for an installation
+// token and reuses that token until shortly before it expires. Falls back to GITHUB_TOKEN
+// when no app is configured.
+import crypto from 'crypto';
+import { getServerHostProfile } from './githubHost.js';
+
+const JWT_LIFETIME_SECONDS = 540; // GitHub allows at most 10 minutes
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // Refresh tokens 5 minutes before they expire
+
+// Cached installation token, survives between invocations of a warm function
+let cachedToken = null; // { token, expiresAt (ms) }
+let pendingToken = null;
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function getAppConfig() {
+  const appId = process.env.GITHUB_APP_ID;
+  const privateKey = process.env.GITHUB_APP_PRIVATE_KEY;
+  if (!appId || !privateKey) return null;
+
+  return {
+    appId,
+    // Env vars usually hold the PEM with escaped newlines
+    privateKey: privateKey.replace(/\\n/g, '\n'),
+    installationId: process.env.GITHUB_APP_INSTALLATION_ID || null
+  };
+}
+
+export function isGitHubAppConfigured() {
+  return getAppConfig() !== null;
+}
+
+// RS256 JWT identifying the app itself (not an installation)
+export function createAppJWT(appId, privateKey) {
+  // Backdate iat by a minute to allow for clock drift
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'RS256', typ: 'JWT' });
+  const payload = base64url({ iat: now - 60, exp: now + JWT_LIFETIME_SECONDS, iss: String(appId) });
+
+  const signature = crypto
+    .createSign('RSA-SHA256')
+    .update(`${header}.${payload}`)
+    .sign(privateKey)
+    .toString('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+async function appRequest(jwt, method, path) {
+  const response = await fetch(`${getServerHostProfile().apiUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${jwt}`,
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'GitHubAnalytics/1.0'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub App auth failed: ${method} ${path} returned ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Without an explicit installation id, use the app's first installation
+async function resolveInstallationId(jwt, config) {
+  if (config.installationId) return config.installationId;
+
+  const installations = await appRequest(jwt, 'GET', '/app/installations');
+  if (installations.length === 0) {
+    throw new Error('GitHub App has no installations');
+  }
+  return installations[0].id;
+}
+
+async function createInstallationToken(config) {
+  const jwt = createAppJWT(config.appId, config.privateKey);
+  const installationId = await resolveInstallationId(jwt, config);
+  const data = await appRequest(jwt, 'POST', `/app/installations/${installationId}/access_tokens`);
+
+  console.log(`Created GitHub App installation token (expires ${data.expires_at})`);
+  return { token: data.token, expiresAt: new Date(data.expires_at).getTime() };
+}
+
+// Returns a token for GitHub API requests, or null if neither an app nor GITHUB_TOKEN is configured
+// Call it before each batch of requests rather than holding on to the result, so long-running
+// jobs pick up a refreshed installation token
+export async function getGitHubToken() {
+  const config = getAppConfig();
+  if (!config) return process.env.GITHUB_TOKEN || null;
+
+  if (cachedToken && cachedToken.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+    return cachedToken.token;
+  }
+
+  // Share one exchange between concurrent callers
+  if (!pendingToken) {
+    pendingToken = createInstallationToken(config)
+      .then(token => {
+        cachedToken = token;
+        return token.token;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+  return pendingToken;
+}
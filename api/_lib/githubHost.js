@@ -0,0 +1,11 @@
+// Host profile for the server-side paths, from environment variables
+// GITHUB_HOST selects a GitHub Enterprise Server instance; GITHUB_API_URL / GITHUB_GRAPHQL_URL
+// override the default /api/v3 and /api/graphql endpoints
+import { createHostProfile, DEFAULT_HOST } from '../../src/services/hosts.js';
+
+export function getServerHostProfile() {
+  return createHostProfile(process.env.GITHUB_HOST || DEFAULT_HOST, {
+    apiUrl: process.env.GITHUB_API_URL,
+    graphqlUrl: process.env.GITHUB_GRAPHQL_URL
+  });
+}
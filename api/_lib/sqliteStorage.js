@@ -0,0 +1,199 @@
+// SQLite storage for the self-hosted backend, with the operations of the app's storage adapters
+// (see src/services/cache.js). Like the IndexedDB adapter every table is keyed on its unique columns
+// (TABLE_KEYS) and keeps the whole row as JSON, so columns added in supabase/migrations need no change here.
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { TABLE_KEYS, REPO_TABLES } from '../../src/services/storage/tables.js';
+
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*$/;
+
+// Errors from bad input carry the HTTP status to answer with
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function checkTable(table, tables = Object.keys(TABLE_KEYS)) {
+  if (!tables.includes(table)) throw badRequest(`Unknown table: ${table}`);
+}
+
+function checkColumn(column) {
+  if (!COLUMN_NAME.test(column)) throw badRequest(`Invalid column: ${column}`);
+}
+
+function checkVersioned(table, version) {
+  if (version !== undefined && !TABLE_KEYS[table].includes('version')) throw badRequest(`${table} is not versioned`);
+}
+
+// Every row needs its key columns as strings or numbers, which is all SQLite can bind
+function checkRows(table, rows) {
+  if (!Array.isArray(rows)) throw badRequest('Expected an array of rows');
+  const valid = (value) => typeof value === 'string' || typeof value === 'number';
+  const invalid = rows.findIndex(row => !row || typeof row !== 'object' || !TABLE_KEYS[table].every(column => valid(row[column])));
+  if (invalid !== -1) throw badRequest(`Row ${invalid} of ${table} needs ${TABLE_KEYS[table].join(', ')}`);
+}
+
+const quote = (name) => `"${name}"`;
+
+// daily_metrics was keyed on (repo_id, date) before it was versioned, its rows become version 0
+function versionDailyMetrics(db) {
+  const columns = db.prepare('PRAGMA table_info(daily_metrics)').all();
+  if (columns.length === 0 || columns.some(column => column.name === 'version')) return;
+
+  db.exec('ALTER TABLE daily_metrics RENAME TO daily_metrics_unversioned');
+  createSchema(db);
+  db.exec(`INSERT INTO daily_metrics (repo_id, version, date, data)
+    SELECT repo_id, 0, date, json_set(data, '$.version', 0) FROM daily_metrics_unversioned`);
+  db.exec('DROP TABLE daily_metrics_unversioned');
+}
+
+function createSchema(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS repositories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    host TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    data TEXT NOT NULL,
+    UNIQUE (host, owner, repo)
+  )`);
+
+  for (const [table, key] of Object.entries(TABLE_KEYS)) {
+    const keyColumns = key.map(column => column === 'repo_id'
+      ? 'repo_id INTEGER NOT NULL REFERENCES repositories(id) ON DELETE CASCADE'
+      : `${quote(column)} NOT NULL`);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      ${keyColumns.join(',\n      ')},
+      data TEXT NOT NULL,
+      PRIMARY KEY (${key.map(quote).join(', ')})
+    )`);
+  }
+}
+
+const parseRepo = (row) => row && { ...JSON.parse(row.data), id: row.id };
+
+export function openSqliteStorage(file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.transaction(() => versionDailyMetrics(db))();
+  createSchema(db);
+
+  const selectRepo = db.prepare('SELECT id, data FROM repositories WHERE host = ? AND owner = ? AND repo = ?');
+  const insertRepo = db.prepare('INSERT INTO repositories (host, owner, repo, data) VALUES (?, ?, ?, ?)');
+  const updateRepoData = db.prepare('UPDATE repositories SET data = ? WHERE id = ?');
+
+  const upserts = {};
+  const upsertStatement = (table) => {
+    if (!upserts[table]) {
+      const key = TABLE_KEYS[table].map(quote);
+      upserts[table] = db.prepare(
+        `INSERT INTO ${table} (${key.join(', ')}, data) VALUES (${key.map(() => '?').join(', ')}, ?)
+         ON CONFLICT (${key.join(', ')}) DO UPDATE SET data = excluded.data`
+      );
+    }
+    return upserts[table];
+  };
+
+  // Merges fields into the stored repo, inserting it when missing and insert is set
+  const writeRepo = db.transaction((host, owner, repo, fields, insert) => {
+    const existing = parseRepo(selectRepo.get(host, owner, repo));
+    if (!existing && !insert) return null;
+
+    const row = { ...existing, ...fields, host, owner, repo };
+    delete row.id;
+    if (existing) {
+      updateRepoData.run(JSON.stringify(row), existing.id);
+      return { ...row, id: existing.id };
+    }
+    const { lastInsertRowid } = insertRepo.run(host, owner, repo, JSON.stringify(row));
+    return { ...row, id: Number(lastInsertRowid) };
+  });
+
+  const writeRows = db.transaction((table, rows) => {
+    const statement = upsertStatement(table);
+    for (const row of rows) {
+      statement.run(...TABLE_KEYS[table].map(column => row[column]), JSON.stringify(row));
+    }
+  });
+
+  return {
+    name: 'sqlite',
+
+    getRepo(host, owner, repo) {
+      return parseRepo(selectRepo.get(host, owner, repo)) || null;
+    },
+
+    saveRepo(record) {
+      if (!record?.host || !record.owner || !record.repo) throw badRequest('A repository needs host, owner and repo');
+      return writeRepo(record.host, record.owner, record.repo, record, true);
+    },
+
+    updateRepo(host, owner, repo, fields) {
+      writeRepo(host, owner, repo, fields, false);
+    },
+
+    listRepos() {
+      return db.prepare(`SELECT id, data FROM repositories ORDER BY json_extract(data, '$.last_fetched') DESC`)
+        .all()
+        .map(parseRepo);
+    },
+
+    // Rows of the repo's tables go with it (ON DELETE CASCADE)
+    deleteRepo(repoId) {
+      db.prepare('DELETE FROM repositories WHERE id = ?').run(repoId);
+    },
+
+    getRows(table, repoId, { orderBy = TABLE_KEYS[table]?.[1], ascending = true, version } = {}) {
+      checkTable(table, REPO_TABLES);
+      checkColumn(orderBy);
+      checkVersioned(table, version);
+      const versionFilter = version === undefined ? '' : ' AND version = ?';
+      const params = version === undefined ? [repoId] : [repoId, version];
+      return db.prepare(
+        `SELECT data FROM ${table} WHERE repo_id = ?${versionFilter}
+         ORDER BY json_extract(data, ?) ${ascending ? 'ASC' : 'DESC'}`
+      )
+        .all(...params, `$.${orderBy}`)
+        .map(row => JSON.parse(row.data));
+    },
+
+    upsertRows(table, rows) {
+      checkTable(table);
+      checkRows(table, rows);
+      try {
+        writeRows(table, rows);
+      } catch (error) {
+        // A repo_id of no stored repository fails its foreign key
+        if (error.code?.startsWith('SQLITE_CONSTRAINT')) throw badRequest(`Invalid ${table} rows: ${error.message}`);
+        throw error;
+      }
+    },
+
+    deleteRows(table, repoId, { belowVersion } = {}) {
+      checkTable(table, REPO_TABLES);
+      checkVersioned(table, belowVersion);
+      if (belowVersion === undefined) {
+        db.prepare(`DELETE FROM ${table} WHERE repo_id = ?`).run(repoId);
+      } else {
+        db.prepare(`DELETE FROM ${table} WHERE repo_id = ? AND version < ?`).run(repoId, belowVersion);
+      }
+    },
+
+    countRows(table, repoId) {
+      checkTable(table, REPO_TABLES);
+      return db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE repo_id = ?`).get(repoId).count;
+    },
+
+    getUsers(host, logins, fetchedSince) {
+      return db.prepare(
+        `SELECT data FROM github_users
+         WHERE host = ? AND login IN (SELECT value FROM json_each(?)) AND json_extract(data, '$.fetched_at') >= ?`
+      )
+        .all(host, JSON.stringify(logins || []), fetchedSince)
+        .map(row => JSON.parse(row.data));
+    }
+  };
+}
@@ -0,0 +1,154 @@
+// REST endpoints over the backend's storage (sqliteStorage.js), one per storage adapter operation,
+// for the app's REST adapter (src/services/storage/rest.js):
+//   GET    /api/storage/repos                                   listRepos
+//   PUT    /api/storage/repos                                   saveRepo, body: record
+//   GET    /api/storage/repos/:host/:owner/:repo                getRepo, 404 when not stored
+//   PATCH  /api/storage/repos/:host/:owner/:repo                updateRepo, body: fields
+//   DELETE /api/storage/repos/:id                               deleteRepo
+//   GET    /api/storage/tables/:table/:repoId?orderBy&ascending&version  getRows
+//   GET    /api/storage/tables/:table/:repoId/count             countRows
+//   PUT    /api/storage/tables/:table                           upsertRows, body: rows
+//   DELETE /api/storage/tables/:table/:repoId?belowVersion      deleteRows
+//   POST   /api/storage/users                                   getUsers, body: { host, logins, fetchedSince }
+// Every request needs the shared token as "Authorization: Bearer <token>", and browsers may only call
+// from the app's origin.
+import crypto from 'crypto';
+
+export const STORAGE_PREFIX = '/api/storage/';
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Compares digests so the check takes as long whatever the token's length and content
+function hasToken(req, token) {
+  const [scheme, given] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !given) return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+// Number from the query string, undefined when absent
+function numberParam(url, name) {
+  const value = url.searchParams.get(name);
+  return value === null ? undefined : Number(value);
+}
+
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  try {
+    return body ? JSON.parse(body) : null;
+  } catch {
+    throw httpError(400, 'Invalid JSON body');
+  }
+}
+
+// JSON body of the route's shape ('array' or 'object'), anything else is a bad request
+async function readBody(req, shape) {
+  const body = await readJson(req);
+  const valid = shape === 'array' ? Array.isArray(body) : !!body && typeof body === 'object' && !Array.isArray(body);
+  if (!valid) throw httpError(400, `Expected a JSON ${shape} body`);
+  return body;
+}
+
+// Path segments after the prefix, a malformed escape (a bare '%') is a bad request
+function pathSegments(url) {
+  try {
+    return url.pathname.slice(STORAGE_PREFIX.length).split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw httpError(400, 'Malformed path');
+  }
+}
+
+function send(res, status, value) {
+  if (value === undefined) {
+    res.writeHead(status === 200 ? 204 : status);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(value));
+}
+
+// [method, path segments after the prefix, handler(storage, params, url, req)], ':name' segments become
+// params. Handlers returning nothing answer 204.
+const routes = [
+  ['GET', ['repos'], (storage) => storage.listRepos()],
+  ['PUT', ['repos'], async (storage, params, url, req) => storage.saveRepo(await readBody(req, 'object'))],
+  ['GET', ['repos', ':host', ':owner', ':repo'], (storage, { host, owner, repo }) => {
+    const repository = storage.getRepo(host, owner, repo);
+    if (!repository) throw httpError(404, 'Repository not found');
+    return repository;
+  }],
+  ['PATCH', ['repos', ':host', ':owner', ':repo'], async (storage, { host, owner, repo }, url, req) => {
+    storage.updateRepo(host, owner, repo, await readBody(req, 'object'));
+  }],
+  ['DELETE', ['repos', ':id'], (storage, { id }) => { storage.deleteRepo(Number(id)); }],
+  ['GET', ['tables', ':table', ':repoId'], (storage, { table, repoId }, url) => storage.getRows(table, Number(repoId), {
+    orderBy: url.searchParams.get('orderBy') || undefined,
+    ascending: url.searchParams.get('ascending') !== 'false',
+    version: numberParam(url, 'version')
+  })],
+  ['GET', ['tables', ':table', ':repoId', 'count'], (storage, { table, repoId }) => ({ count: storage.countRows(table, Number(repoId)) })],
+  ['PUT', ['tables', ':table'], async (storage, { table }, url, req) => { storage.upsertRows(table, await readBody(req, 'array')); }],
+  ['DELETE', ['tables', ':table', ':repoId'], (storage, { table, repoId }, url) => {
+    storage.deleteRows(table, Number(repoId), { belowVersion: numberParam(url, 'belowVersion') });
+  }],
+  ['POST', ['users'], async (storage, params, url, req) => {
+    const { host, logins, fetchedSince } = await readBody(req, 'object');
+    if (!Array.isArray(logins)) throw httpError(400, 'Expected logins to be an array');
+    return storage.getUsers(host, logins, fetchedSince);
+  }]
+];
+
+function matchRoute(method, segments) {
+  for (const [routeMethod, pattern, handler] of routes) {
+    if (routeMethod !== method || pattern.length !== segments.length) continue;
+
+    const params = {};
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = segments[i];
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matches) return { handler, params };
+  }
+  return null;
+}
+
+// Answers a request under STORAGE_PREFIX. openStorage resolves to the backend's storage and is only
+// called for authorized requests; token is the shared secret, the API is off without one;
+// allowedOrigin is the only web origin allowed to call it.
+export async function handleStorageRequest(openStorage, req, res, url, { token, allowedOrigin }) {
+  const { origin } = req.headers;
+  res.setHeader('Vary', 'Origin');
+  if (origin && origin === allowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  }
+
+  try {
+    if (origin && origin !== allowedOrigin) throw httpError(403, `Origin ${origin} is not allowed`);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (!token) throw httpError(503, 'Storage API is disabled, set STORAGE_API_TOKEN on the server');
+    if (!hasToken(req, token)) throw httpError(401, 'Missing or invalid storage API token');
+
+    const route = matchRoute(req.method, pathSegments(url));
+    if (!route) throw httpError(404, 'Not found');
+
+    send(res, 200, await route.handler(await openStorage(), route.params, url, req));
+  } catch (error) {
+    if (!error.status) console.error('Storage error:', error);
+    send(res, error.status || 500, { error: error.message });
+  }
+}
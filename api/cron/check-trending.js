@@ -1,12 +1,20 @@
-// Vercel Cron Job: Check GitHub Weekly Trending and auto-fetch new repos
+// Vercel Cron Job: Check GitHub Weekly Trending and auto-fetch new repos,
+// then add today's traffic to the history of every cached repo we have push access to
 // Runs daily at 8 AM EST (13:00 UTC)
 
 import { createClient } from '@supabase/supabase-js';
+import { getGitHubToken } from '../_lib/githubAppAuth.js';
+import { getServerHostProfile } from '../_lib/githubHost.js';
+import { DEFAULT_HOST } from '../../src/services/hosts.js';
+import { normalizeTraffic, upsertTraffic } from '../../src/services/traffic.js';
 
 export const config = {
   maxDuration: 300 // 5 minutes max for cron jobs on Vercel
 };
 
+// Stop collecting traffic with some margin before Vercel ends the function
+const TRAFFIC_DEADLINE_MS = 240000;
+
 // Initialize Supabase client
 function getSupabase() {
   const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
@@ -66,11 +74,12 @@ async function fetchTrending() {
   return parseTrendingHtml(html);
 }
 
-// Get cached repos from Supabase
-async function getCachedRepos(supabase) {
+// Get cached repos from Supabase (only those on the host we're checking)
+async function getCachedRepos(supabase, host) {
   const { data, error } = await supabase
     .from('repositories')
-    .select('owner, repo');
+    .select('id, owner, repo')
+    .eq('host', host);
 
   if (error) {
     console.error('Error fetching cached repos:', error);
@@ -89,8 +98,8 @@ function filterNewRepos(trending, cached) {
 }
 
 // Fetch repo info from GitHub API
-async function fetchRepoInfo(token, owner, repo) {
-  const response = await fetch(`https://api.github.com/repos/${owner}/${repo}`, {
+async function fetchRepoInfo(profile, token, owner, repo) {
+  const response = await fetch(`${profile.apiUrl}/repos/${owner}/${repo}`, {
     headers: {
       'Authorization': `token ${token}`,
       'Accept': 'application/vnd.github.v3+json',
@@ -105,17 +114,47 @@ async function fetchRepoInfo(token, owner, repo) {
   return response.json();
 }
 
+// Fetch the last 14 days of traffic, null when the token has no push access to the repo
+async function fetchTraffic(profile, token, owner, repo) {
+  const get = async (path) => {
+    const response = await fetch(`${profile.apiUrl}/repos/${owner}/${repo}/traffic/${path}`, {
+      headers: {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'GitHubAnalytics/1.0'
+      }
+    });
+
+    if (response.status === 403 || response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`GitHub API returned ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const [views, clones, paths, referrers] = await Promise.all([
+    get('views?per=day'),
+    get('clones?per=day'),
+    get('popular/paths'),
+    get('popular/referrers')
+  ]);
+
+  if (!views || !clones || !paths || !referrers) return null;
+  return normalizeTraffic(views, clones, paths, referrers);
+}
+
 // Save repo to Supabase (basic entry, full fetch will happen via UI later)
-async function saveRepoToCache(supabase, owner, repo, repoInfo) {
+async function saveRepoToCache(supabase, host, owner, repo, repoInfo) {
   const { data, error } = await supabase
     .from('repositories')
     .upsert({
+      host,
       owner,
       repo,
       last_fetched: new Date().toISOString(),
       discovered_via_trending: true,
       trending_discovered_at: new Date().toISOString()
-    }, { onConflict: 'owner,repo' })
+    }, { onConflict: 'host,owner,repo' })
     .select()
     .single();
 
@@ -147,6 +186,8 @@ async function logCronRun(supabase, results) {
 }
 
 export default async function handler(req, res) {
+  const startedAt = Date.now();
+
   // Verify this is a cron request (Vercel adds this header)
   const authHeader = req.headers['authorization'];
   if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
@@ -162,28 +203,43 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Supabase not configured' });
   }
 
-  const githubToken = process.env.GITHUB_TOKEN;
+  // GitHub App installation token when configured, otherwise GITHUB_TOKEN
+  let githubToken;
+  try {
+    githubToken = await getGitHubToken();
+  } catch (error) {
+    console.error('GitHub App authentication failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
   if (!githubToken) {
     return res.status(500).json({ error: 'GitHub token not configured' });
   }
 
+  const profile = getServerHostProfile();
+
   const results = {
     trendingCount: 0,
     newReposCount: 0,
     fetchedCount: 0,
+    trafficCount: 0,
     errors: [],
     newRepos: []
   };
 
   try {
-    // 1. Fetch trending repos
-    console.log('Fetching GitHub trending...');
-    const trending = await fetchTrending();
+    // 1. Fetch trending repos, only github.com has them (on Enterprise Server only traffic is collected)
+    let trending = [];
+    if (profile.host === DEFAULT_HOST) {
+      console.log('Fetching GitHub trending...');
+      trending = await fetchTrending();
+      console.log(`Found ${trending.length} trending repos`);
+    } else {
+      console.log(`Skipping trending, ${profile.host} has no trending page`);
+    }
     results.trendingCount = trending.length;
-    console.log(`Found ${trending.length} trending repos`);
 
     // 2. Get cached repos
-    const cached = await getCachedRepos(supabase);
+    const cached = await getCachedRepos(supabase, profile.host);
     console.log(`Found ${cached.length} cached repos`);
 
     // 3. Filter for new repos
@@ -196,8 +252,10 @@ export default async function handler(req, res) {
     // (Full data fetch is expensive, users can trigger that from UI)
     for (const repo of newRepos) {
       try {
-        const info = await fetchRepoInfo(githubToken, repo.owner, repo.repo);
-        await saveRepoToCache(supabase, repo.owner, repo.repo, info);
+        // Re-read the token so an installation token is refreshed before it expires
+        githubToken = await getGitHubToken();
+        const info = await fetchRepoInfo(profile, githubToken, repo.owner, repo.repo);
+        await saveRepoToCache(supabase, profile.host, repo.owner, repo.repo, info);
         results.fetchedCount++;
         console.log(`Saved ${repo.fullName} to cache`);
       } catch (err) {
@@ -206,7 +264,26 @@ export default async function handler(req, res) {
       }
     }
 
-    // 5. Log the cron run
+    // 5. Add today's traffic to the history of cached repos (skipped without push access)
+    for (const repo of cached) {
+      if (Date.now() - startedAt > TRAFFIC_DEADLINE_MS) {
+        console.log('Traffic deadline reached, remaining repos are picked up next run');
+        break;
+      }
+      try {
+        githubToken = await getGitHubToken();
+        const traffic = await fetchTraffic(profile, githubToken, repo.owner, repo.repo);
+        if (traffic && await upsertTraffic(supabase, repo.id, traffic)) {
+          results.trafficCount++;
+        }
+      } catch (err) {
+        console.error(`Error fetching traffic for ${repo.owner}/${repo.repo}:`, err.message);
+        results.errors.push({ repo: `${repo.owner}/${repo.repo}`, error: `traffic: ${err.message}` });
+      }
+    }
+    console.log(`Saved traffic for ${results.trafficCount} repos`);
+
+    // 6. Log the cron run
     await logCronRun(supabase, results);
 
     return res.status(200).json({
@@ -1,4 +1,5 @@
 // Serverless API route to fetch GitHub trending repos (avoids CORS issues)
+// Always github.com's: GitHub Enterprise Server has no trending page
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import LoadingProgress from './components/LoadingProgress';
 import Dashboard from './components/Dashboard';
 import CachedRepos from './components/CachedRepos';
@@ -12,23 +12,50 @@ import {
   fetchRepoInfo,
   fetchAllStargazers,
   fetchAllStargazersGraphQL,
-  fetchAllForks,
-  fetchAllIssues,
-  fetchAllPullRequests,
-  fetchContributorCommits
+  fetchAllForksGraphQL,
+  fetchAllIssuesGraphQL,
+  fetchAllPullRequestsGraphQL,
+  fetchContributorCommits,
+  fetchAllReleases,
+  fetchTraffic,
+  fetchAllContributors
 } from './services/githubApi';
 import {
   getRepoFromCache,
   saveRepoToCache,
   transformCachedMetrics,
-  mergeDailyMetrics,
   deleteRepoFromCache,
   backfillAllMonthlyMetrics,
   getCachedRepos,
   updateFetchProgress,
-  getOrCreateRepo
-} from './services/supabase';
-import { aggregateToDaily } from './utils/dataAggregator';
+  getOrCreateRepo,
+  saveReleaseSnapshot,
+  saveTraffic,
+  getTrafficHistory,
+  getMonthlyMetrics,
+  transformMonthlyMetrics,
+  calculateMonthlyMetrics,
+  getRawCommits,
+  getRawIssues,
+  getRawPullRequests,
+  saveTopContributors,
+  getMailmap,
+  saveMailmap,
+  getRawStargazers,
+  saveIncrementalRawData,
+  getRawData,
+  getRawCounts,
+  getReleaseHistory,
+  fetchStateFromResults
+} from './services/cache';
+import { createTokenPool } from './services/tokenPool';
+import { isRateLimitError } from './services/rateLimit';
+import { DEFAULT_HOST, getHostProfiles, saveHostProfiles, repoKey } from './services/hosts';
+import { aggregateToDaily, mergeEvents, applyDownloadSnapshots, applyContributorActivity, aggregateMonthlyStats, aggregateRetentionCohorts, rankContributors, withoutBots, recountBots, humanCommits, recalculateCommitStats, aggregateAudience, detectSuspiciousStars } from './utils/dataAggregator';
+import { isBot, getExtraBots, getExcludeBots, saveExcludeBots } from './services/bots';
+import { parseMailmap, resolveIdentities } from './services/identities';
+import { enrichStargazers } from './services/audience';
+import BotSettings from './components/BotSettings';
 
 function App() {
   const [isLoading, setIsLoading] = useState(false);
@@ -40,38 +67,139 @@ function App() {
   const [lastFetched, setLastFetched] = useState(null);
   const [cacheKey, setCacheKey] = useState(0);
   const [starsPaginationLimited, setStarsPaginationLimited] = useState(false);
+  const [failedPages, setFailedPages] = useState([]); // Pages that failed after retrying (gaps in the data)
+  const [traffic, setTraffic] = useState(null); // Stored traffic history, null without push access
+  const [monthlyMetrics, setMonthlyMetrics] = useState([]);
+  const [commits, setCommits] = useState([]); // Stored raw commits, for cohorts and the contributor table
+  const [contributorList, setContributorList] = useState(null); // From fetchAllContributors, null to count commits
+  const [mailmap, setMailmap] = useState(''); // Identity rules of the repo, see services/identities.js
+  const [stargazers, setStargazers] = useState([]); // This session's fetch, for the audience report without a cache
+  const [audience, setAudience] = useState(null); // Stargazer audience report, built on demand
+  const [audienceProgress, setAudienceProgress] = useState(null);
+  const [starQuality, setStarQuality] = useState(null); // Suspicious stars, from the same profiles as the audience
+  const [botSources, setBotSources] = useState(null); // Stored raw issues and PRs, loaded while bots are excluded
+  const [excludeBots, setExcludeBots] = useState(getExcludeBots);
+  const [extraBots, setExtraBots] = useState(getExtraBots);
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [activeView, setActiveView] = useState('repoData');
-  const [token, setToken] = useState('');
+  const [tokens, setTokens] = useState([]); // [{ label, token, host }]
+  const [hosts, setHosts] = useState(getHostProfiles);
+  const [repoHost, setRepoHost] = useState(DEFAULT_HOST);
   const [saveToken, setSaveToken] = useState(true);
   const [refreshingAll, setRefreshingAll] = useState(false);
   const [refreshProgress, setRefreshProgress] = useState('');
+  const fetchAbortRef = useRef(null); // AbortController of the running interactive fetch
 
-  const TOKEN_KEY = 'github_analytics_token';
+  const TOKENS_KEY = 'github_analytics_tokens';
+  const LEGACY_TOKEN_KEY = 'github_analytics_token';
 
   useEffect(() => {
-    const savedToken = localStorage.getItem(TOKEN_KEY);
-    if (savedToken) {
-      setToken(savedToken);
+    const savedTokens = localStorage.getItem(TOKENS_KEY);
+    const legacyToken = localStorage.getItem(LEGACY_TOKEN_KEY);
+    if (savedTokens) {
+      setTokens(JSON.parse(savedTokens));
+    } else if (legacyToken) {
+      setTokens([{ label: 'Default', token: legacyToken }]);
     } else if (import.meta.env.VITE_GITHUB_TOKEN) {
-      setToken(import.meta.env.VITE_GITHUB_TOKEN);
+      setTokens([{ label: 'Default', token: import.meta.env.VITE_GITHUB_TOKEN }]);
     }
   }, []);
 
   useEffect(() => {
-    if (saveToken && token) {
-      localStorage.setItem(TOKEN_KEY, token);
+    if (saveToken && tokens.length > 0) {
+      localStorage.setItem(TOKENS_KEY, JSON.stringify(tokens));
     }
-  }, [token, saveToken]);
+  }, [tokens, saveToken]);
+
+  useEffect(() => {
+    saveHostProfiles(hosts);
+  }, [hosts]);
+
+  useEffect(() => {
+    saveExcludeBots(excludeBots);
+  }, [excludeBots]);
+
+  useEffect(() => {
+    setBotSources(null);
+    if (!excludeBots || !repoInfo) return;
+    let cancelled = false;
+    const [owner, repo] = repoInfo.name.split('/');
+    Promise.all([getRawIssues(owner, repo, repoHost), getRawPullRequests(owner, repo, repoHost)])
+      .then(([issues, prs]) => {
+        if (!cancelled) setBotSources({ issues, prs });
+      });
+    return () => { cancelled = true; };
+  }, [excludeBots, repoInfo, repoHost, lastFetched]);
+
+  // With "exclude bots" on, every view works on the data without bot activity. Daily metrics keep
+  // the bot share next to the totals, recounted from the stored raw events with the current bot list,
+  // and commit-based analyses filter the stored raw commits.
+  const resolvedCommits = useMemo(() => resolveIdentities(commits, parseMailmap(mailmap)), [commits, mailmap]);
+  const shownCommits = useMemo(
+    () => excludeBots ? humanCommits(resolvedCommits, extraBots) : resolvedCommits,
+    [resolvedCommits, excludeBots, extraBots]
+  );
+  const shownDailyData = useMemo(
+    () => dailyData && excludeBots
+      ? withoutBots(recountBots(dailyData, botSources?.issues, botSources?.prs, resolvedCommits, extraBots))
+      : dailyData,
+    [dailyData, excludeBots, botSources, resolvedCommits, extraBots]
+  );
+  const shownMonthlyMetrics = useMemo(() => {
+    if (!excludeBots || !shownDailyData) return monthlyMetrics;
+    const stats = commits.length > 0 ? recalculateCommitStats(monthlyMetrics, shownCommits) : monthlyMetrics;
+    return calculateMonthlyMetrics(shownDailyData, stats);
+  }, [monthlyMetrics, shownDailyData, shownCommits, commits, excludeBots]);
+  const retentionCohorts = useMemo(() => aggregateRetentionCohorts(shownCommits), [shownCommits]);
+  const topContributors = useMemo(() => rankContributors(
+    contributorList && excludeBots ? contributorList.filter(c => !isBot(c.login, c.type, extraBots)) : contributorList,
+    shownCommits
+  ), [contributorList, shownCommits, excludeBots, extraBots]);
+
+  // All GitHub clients go through a token pool, one per host
+  const tokenPools = useMemo(() => {
+    const pools = {};
+    for (const profile of hosts) {
+      const entries = tokens.filter(t => t.token && (t.host || DEFAULT_HOST) === profile.host);
+      if (entries.length > 0) {
+        pools[profile.host] = createTokenPool(entries, profile.host);
+      }
+    }
+    return pools;
+  }, [tokens, hosts]);
+
+  // null until a token is entered for that host
+  const tokenFor = (host = DEFAULT_HOST) => tokenPools[host] || null;
+  const hasAnyToken = Object.keys(tokenPools).length > 0;
+
+  // Leaving the Repo Data view stops a running fetch (its resume state is saved)
+  useEffect(() => {
+    if (activeView !== 'repoData') {
+      fetchAbortRef.current?.abort();
+    }
+  }, [activeView]);
+
+  // Starting a fetch stops the previous one
+  const startFetch = () => {
+    fetchAbortRef.current?.abort();
+    fetchAbortRef.current = new AbortController();
+    return fetchAbortRef.current.signal;
+  };
+
+  const handleCancelFetch = () => {
+    fetchAbortRef.current?.abort();
+  };
 
   // Load from cache only (no fetching)
+  // The token pool decides the host (see hosts.js)
   const loadFromCache = async (owner, repo, token) => {
     setIsLoading(true);
     setError(null);
     setProgress({ status: 'Loading from cache...' });
+    setRepoHost(token.host);
 
     try {
-      const cached = await getRepoFromCache(owner, repo);
+      const cached = await getRepoFromCache(owner, repo, token.host);
       console.log('Cache result:', cached);
 
       if (cached && cached.metrics.length > 0) {
@@ -87,8 +215,18 @@ function App() {
         // Check if any metric is pagination limited
         const anyLimited = cached.fetchState?.stars?.limited ||
                           cached.fetchState?.forks?.limited ||
+                          cached.fetchState?.issues?.limited ||
                           cached.fetchState?.prs?.limited;
         setStarsPaginationLimited(anyLimited || false);
+        setFailedPages(cached.fetchState?.failedPages || []);
+        setTraffic(await getTrafficHistory(owner, repo, token.host));
+        setMonthlyMetrics(transformMonthlyMetrics(await getMonthlyMetrics(owner, repo, token.host)));
+        setCommits(await getRawCommits(owner, repo, token.host));
+        setMailmap(await getMailmap(owner, repo, token.host));
+        setStargazers([]);
+        setAudience(null);
+        setStarQuality(null);
+        setContributorList(cached.repository.top_contributors || null);
       } else {
         console.log('No cache found, fetching from GitHub...');
         // No cache, need to fetch
@@ -106,6 +244,9 @@ function App() {
   // silent: true skips UI updates (for batch operations)
   const fetchData = async (owner, repo, token, resumeState = null, silent = false) => {
     const isResuming = !!resumeState;
+    const host = token.host;
+    // Only interactive fetches can be stopped
+    const signal = silent ? null : startFetch();
 
     try {
       if (!silent) {
@@ -118,10 +259,10 @@ function App() {
       console.log(isResuming ? 'Resuming fetch with state:' : 'Full fetch', resumeState);
 
       // Mark fetch as in progress so we can resume if interrupted
-      await updateFetchProgress(owner, repo, { inProgress: true });
+      await updateFetchProgress(owner, repo, { inProgress: true }, host);
 
       const octokit = createGitHubClient(token);
-      const info = await fetchRepoInfo(octokit, owner, repo);
+      const info = await fetchRepoInfo(octokit, owner, repo, signal);
       if (!silent) {
         setRepoInfo(info);
       }
@@ -139,30 +280,37 @@ function App() {
         }));
       };
 
+      // Resumed fetches are deduplicated against the stored raw events (see mergeEvents). Types cached
+      // before raw events were stored have none to dedupe against, so those start over from the beginning.
+      const rawCounts = isResuming ? await getRawCounts(owner, repo, host) : null;
+      const resumeFrom = (type) => rawCounts?.[type] === 0 ? null : resumeState?.[type];
+
       // Track current fetch state for incremental saving
       const currentFetchState = {
-        stars: { cursor: resumeState?.stars?.cursor || null, limited: false },
-        forks: { lastPage: resumeState?.forks?.lastPage || 0, limited: false },
-        issues: { lastDate: resumeState?.issues?.lastDate || null },
-        prs: { lastPage: resumeState?.prs?.lastPage || 0, limited: false },
-        commits: { lastDate: resumeState?.commits?.lastDate || null }
+        stars: { cursor: resumeFrom('stars')?.cursor || null, limited: false },
+        forks: { cursor: resumeFrom('forks')?.cursor || null, limited: false },
+        issues: { cursor: resumeFrom('issues')?.cursor || null, lastDate: resumeFrom('issues')?.lastDate || null, limited: false },
+        prs: { cursor: resumeFrom('prs')?.cursor || null, lastDate: resumeFrom('prs')?.lastDate || null, limited: false },
+        commits: { lastDate: resumeFrom('commits')?.lastDate || null }
       };
 
       // Create onSave callback for incremental saving
       const createOnSave = () => async (saveData) => {
         console.log(`Incremental save: ${saveData.type}, ${saveData.data?.length || 0} items`);
+        await saveIncrementalRawData(owner, repo, saveData.type, saveData.data, host);
 
         // Update fetch state based on save data
         if (saveData.type === 'stars' && saveData.cursor) {
           currentFetchState.stars.cursor = saveData.cursor;
           currentFetchState.stars.limited = saveData.hasMore;
-        } else if (saveData.type === 'forks' && saveData.page) {
-          currentFetchState.forks.lastPage = saveData.page;
+        } else if (saveData.type === 'forks' && saveData.cursor) {
+          currentFetchState.forks.cursor = saveData.cursor;
           currentFetchState.forks.limited = saveData.hasMore;
-        } else if (saveData.type === 'issues' && saveData.lastDate) {
-          currentFetchState.issues.lastDate = saveData.lastDate;
-        } else if (saveData.type === 'prs' && saveData.page) {
-          currentFetchState.prs.lastPage = saveData.page;
+        } else if (saveData.type === 'issues' && saveData.cursor) {
+          currentFetchState.issues.cursor = saveData.cursor;
+          currentFetchState.issues.limited = saveData.hasMore;
+        } else if (saveData.type === 'prs' && saveData.cursor) {
+          currentFetchState.prs.cursor = saveData.cursor;
           currentFetchState.prs.limited = saveData.hasMore;
         } else if (saveData.type === 'commits' && saveData.lastDate) {
           currentFetchState.commits.lastDate = saveData.lastDate;
@@ -172,58 +320,110 @@ function App() {
         await updateFetchProgress(owner, repo, {
           ...currentFetchState,
           inProgress: true
-        });
+        }, host);
       };
 
       const onSave = createOnSave();
 
       // Prepare resume state parameters
-      const starsCursor = resumeState?.stars?.cursor || null;
-      const forksStartPage = resumeState?.forks?.lastPage ? resumeState.forks.lastPage + 1 : 1;
-      const issuesSinceDate = resumeState?.issues?.lastDate || null;
-      const prsStartPage = resumeState?.prs?.lastPage ? resumeState.prs.lastPage + 1 : 1;
-      const commitsSinceDate = resumeState?.commits?.lastDate || null;
+      const starsCursor = resumeFrom('stars')?.cursor || null;
+      const forksCursor = resumeFrom('forks')?.cursor || null;
+      const issuesCursor = resumeFrom('issues')?.cursor || null;
+      const prsCursor = resumeFrom('prs')?.cursor || null;
+      // Issues and PRs continue an unfinished fetch from its cursor, a complete one is refreshed with
+      // what was created or updated since the date it is complete up to
+      const issuesSince = issuesCursor ? null : resumeFrom('issues')?.lastDate || null;
+      const prsSince = prsCursor ? null : resumeFrom('prs')?.lastDate || null;
+      const commitsSinceDate = resumeFrom('commits')?.lastDate || null;
 
       setProgress(prev => ({ ...prev, status: 'Fetching all data (parallel)...' }));
 
       // Fetch all data types in parallel for speed, with incremental saving
-      const [starsResult, forksResult, issuesResult, prsResult, commitsResult] = await Promise.all([
-        fetchAllStargazersGraphQL(token, owner, repo, updateProgress, starsCursor, onSave),
-        fetchAllForks(octokit, owner, repo, updateProgress, forksStartPage, onSave),
-        fetchAllIssues(octokit, owner, repo, updateProgress, issuesSinceDate, onSave),
-        fetchAllPullRequests(octokit, owner, repo, updateProgress, prsStartPage, onSave),
-        fetchContributorCommits(octokit, owner, repo, updateProgress, commitsSinceDate, onSave)
+      const [starsResult, forksResult, issuesResult, prsResult, commitsResult, releasesResult] = await Promise.all([
+        fetchAllStargazersGraphQL(token, owner, repo, updateProgress, starsCursor, onSave, signal),
+        fetchAllForksGraphQL(token, owner, repo, updateProgress, forksCursor, onSave, signal),
+        fetchAllIssuesGraphQL(token, owner, repo, updateProgress, issuesCursor, onSave, signal, issuesSince),
+        fetchAllPullRequestsGraphQL(token, owner, repo, updateProgress, prsCursor, onSave, signal, prsSince),
+        fetchContributorCommits(octokit, owner, repo, updateProgress, commitsSinceDate, onSave, signal),
+        fetchAllReleases(octokit, owner, repo, updateProgress, signal)
       ]);
+      const results = [starsResult, forksResult, issuesResult, prsResult, commitsResult, releasesResult];
 
-      console.log(`Stars fetch: ${starsResult.stargazers.length} stars, hasMore: ${starsResult.hasMorePages}, hitRateLimit: ${starsResult.hitRateLimit}`);
-      console.log(`Forks fetch: ${forksResult.forks.length} forks, hitLimit: ${forksResult.hitPaginationLimit}, lastPage: ${forksResult.lastPage}`);
-      console.log(`Issues fetch: ${issuesResult.issues.length} issues, hitLimit: ${issuesResult.hitPaginationLimit}, lastDate: ${issuesResult.lastDate}`);
-      console.log(`PRs fetch: ${prsResult.prs.length} PRs, hitLimit: ${prsResult.hitPaginationLimit}, lastPage: ${prsResult.lastPage}`);
+      // Aborted fetchers return what they got so far, which is saved below like a rate-limited stop
+      const aborted = results.some(r => r.aborted);
+      if (aborted) {
+        console.log(`Fetch of ${owner}/${repo} aborted, saving partial data and resume state`);
+      }
+
+      // Numbered pages that failed for good are gaps in the data, kept across resumes while runs keep failing.
+      // Failures stored with a cursor were resume points that this run continued from, not gaps.
+      const newFailedPages = results.flatMap(r => r.failedPages);
+      const failedPages = newFailedPages.length === 0 ? [] : [
+        ...(resumeState?.failedPages || []).filter(failure => !failure.cursor),
+        ...newFailedPages
+      ];
+      if (failedPages.length > 0) {
+        console.warn(`${failedPages.length} page(s) failed for ${owner}/${repo}:`, failedPages);
+      }
+
+      console.log(`Stars fetch: ${starsResult.stargazers.length} stars, hasMore: ${starsResult.hasMorePages}, stoppedOnError: ${starsResult.stoppedOnError}`);
+      console.log(`Forks fetch: ${forksResult.forks.length} forks, hasMore: ${forksResult.hasMorePages}`);
+      console.log(`Issues fetch: ${issuesResult.issues.length} issues, hasMore: ${issuesResult.hasMorePages}, lastDate: ${issuesResult.lastDate}`);
+      console.log(`PRs fetch: ${prsResult.prs.length} PRs, hasMore: ${prsResult.hasMorePages}`);
       console.log(`Commits fetch: ${commitsResult.commits.length} commits, hitLimit: ${commitsResult.hitPaginationLimit}, lastDate: ${commitsResult.lastDate}`);
+      console.log(`Releases fetch: ${releasesResult.releases.length} releases`);
+
+      // Traffic needs push access, repos without it simply have no traffic history
+      let traffic = null;
+      if (info.canPush !== false && !aborted) {
+        try {
+          traffic = await fetchTraffic(octokit, owner, repo, signal);
+        } catch (err) {
+          console.error(`Error fetching traffic for ${owner}/${repo}:`, err.message);
+        }
+      }
+
+      // The contributor list is sorted by commits, a partial one still has the top contributors
+      let contributors = null;
+      if (!aborted) {
+        const list = await fetchAllContributors(octokit, owner, repo, () => {}, signal);
+        contributors = list.length > 0 ? list : null;
+      }
       if (!silent) {
         setProgress(prev => ({ ...prev, commits: { ...prev.commits, done: true, partial: commitsResult.hitPaginationLimit } }));
         setProgress({ status: 'Processing data...' });
       }
-      const newAggregated = aggregateToDaily(
-        info,
-        starsResult.stargazers,
-        forksResult.forks,
-        issuesResult.issues,
-        prsResult.prs,
-        commitsResult.commits
-      );
-
-      let finalData;
-      const cached = await getRepoFromCache(owner, repo);
-
-      if (isResuming && cached && cached.metrics.length > 0) {
-        if (!silent) setProgress({ status: 'Merging with cached data...' });
-        const existingData = transformCachedMetrics(cached.metrics);
-        finalData = mergeDailyMetrics(existingData, newAggregated);
-        console.log(`Merged ${existingData.length} cached days with ${newAggregated.length} new days = ${finalData.length} total days`);
+      const repoMailmap = await getMailmap(owner, repo, host);
+      const identityRules = parseMailmap(repoMailmap);
+
+      // Every event stored so far (this run's included, saved through onSave) plus this run's in case
+      // they couldn't be stored, each counted once. Totals are recomputed from these rather than added
+      // to the cached ones, so fetching the same events again changes nothing.
+      const stored = await getRawData(owner, repo, host);
+      const allStars = mergeEvents(stored.stargazers, starsResult.stargazers, 'stars');
+      const allForks = mergeEvents(stored.forks, forksResult.forks, 'forks');
+      const allIssues = mergeEvents(stored.issues, issuesResult.issues, 'issues');
+      const allPrs = mergeEvents(stored.prs, prsResult.prs, 'prs');
+      const allCommits = mergeEvents(stored.commits, commitsResult.commits, 'commits');
+      const allResolved = resolveIdentities(allCommits, identityRules);
+
+      // Snapshot download counts on every refresh, a partial release list would undercount them,
+      // so it falls back to the latest stored snapshot instead
+      let releases = releasesResult.releases;
+      let downloadHistory;
+      if (!releasesResult.aborted && releasesResult.failedPages.length === 0) {
+        downloadHistory = await saveReleaseSnapshot(owner, repo, releases, host);
       } else {
-        finalData = newAggregated;
+        const history = await getReleaseHistory(owner, repo, host);
+        if (history.releases.length > 0) releases = history.releases;
+        downloadHistory = history.downloadHistory;
+      }
+
+      let finalData = aggregateToDaily(info, allStars, allForks, allIssues, allPrs, allResolved, releases, extraBots);
+      if (downloadHistory.length > 0) {
+        finalData = applyDownloadSnapshots(finalData, downloadHistory);
       }
+      console.log(`Aggregated ${allStars.length} stars, ${allForks.length} forks, ${allIssues.length} issues, ${allPrs.length} PRs and ${allCommits.length} commits into ${finalData.length} days`);
 
       if (!silent) {
         setDailyData(finalData);
@@ -231,41 +431,45 @@ function App() {
       }
 
       // Track fetch state for all metrics
-      const fetchState = {
-        stars: {
-          lastPage: null, // Not used for GraphQL
-          limited: starsResult.hasMorePages || starsResult.hitRateLimit,
-          cursor: starsResult.hasMorePages || starsResult.hitRateLimit ? starsResult.lastCursor : null
-        },
-        forks: {
-          lastPage: forksResult.hitPaginationLimit ? forksResult.lastPage : null,
-          limited: forksResult.hitPaginationLimit
-        },
-        prs: {
-          lastPage: prsResult.hitPaginationLimit ? prsResult.lastPage : null,
-          limited: prsResult.hitPaginationLimit
-        },
-        issues: {
-          lastDate: issuesResult.lastDate
-        },
-        commits: {
-          lastDate: commitsResult.lastDate
-        }
-      };
+      const fetchState = fetchStateFromResults({
+        stars: starsResult,
+        forks: forksResult,
+        issues: issuesResult,
+        prs: prsResult,
+        commits: commitsResult
+      }, failedPages);
 
       // Check if any metric is still limited
-      const anyLimited = starsResult.hitPaginationLimit || forksResult.hitPaginationLimit ||
-                         prsResult.hitPaginationLimit || issuesResult.hitPaginationLimit ||
-                         commitsResult.hitPaginationLimit;
+      const anyLimited = fetchState.stars.limited || fetchState.forks.limited ||
+                         prsResult.hasMorePages || issuesResult.hasMorePages ||
+                         commitsResult.hitPaginationLimit || aborted;
 
-      await saveRepoToCache(owner, repo, finalData, isResuming, fetchState);
+      const monthlyStats = aggregateMonthlyStats(allIssues, allPrs, allResolved);
+      await saveRepoToCache(owner, repo, finalData, false, fetchState, host, monthlyStats);
+      await saveTraffic(owner, repo, traffic, host);
+      await saveTopContributors(owner, repo, contributors, host);
 
       // Mark fetch as complete
-      await updateFetchProgress(owner, repo, { ...fetchState, inProgress: false });
+      await updateFetchProgress(owner, repo, { ...fetchState, inProgress: false }, host);
 
-      setDataSource(isResuming ? 'resumed' : 'github');
+      setDataSource(aborted ? 'aborted' : isResuming ? 'resumed' : 'github');
       setLastFetched(new Date().toISOString());
       setStarsPaginationLimited(anyLimited);
+      if (!silent) {
+        setFailedPages(failedPages);
+        setTraffic(await getTrafficHistory(owner, repo, host) || traffic);
+        // Without a cache the monthly metrics only exist in memory
+        const storedMonthly = await getMonthlyMetrics(owner, repo, host);
+        setMonthlyMetrics(storedMonthly.length > 0
+          ? transformMonthlyMetrics(storedMonthly)
+          : calculateMonthlyMetrics(finalData, monthlyStats));
+        setCommits(allCommits);
+        setMailmap(repoMailmap);
+        setStargazers(starsResult.stargazers);
+        setAudience(null);
+        setStarQuality(null);
+        setContributorList(contributors || (await getRepoFromCache(owner, repo, host))?.repository?.top_contributors || null);
+      }
       setCacheKey(k => k + 1);
 
       if (anyLimited) {
@@ -273,6 +477,11 @@ function App() {
       }
 
     } catch (err) {
+      // Aborted before any data came back (e.g. while loading repo info), nothing to save
+      if (signal?.aborted) {
+        console.log(`Fetch of ${owner}/${repo} aborted`);
+        return;
+      }
       console.error('Error fetching repo:', err);
       setError(err.message || 'Failed to fetch repository data');
       // Keep inProgress true on error so we can resume
@@ -289,7 +498,8 @@ function App() {
     try {
       // Check if we have cached data
       setProgress({ status: 'Checking cache...' });
-      const cached = await getRepoFromCache(owner, repo);
+      setRepoHost(token.host);
+      const cached = await getRepoFromCache(owner, repo, token.host);
       console.log('handleSubmit - Cache result:', cached);
 
       if (cached && cached.metrics.length > 0) {
@@ -306,8 +516,18 @@ function App() {
         // Check if any metric is pagination limited
         const anyLimited = cached.fetchState?.stars?.limited ||
                           cached.fetchState?.forks?.limited ||
+                          cached.fetchState?.issues?.limited ||
                           cached.fetchState?.prs?.limited;
         setStarsPaginationLimited(anyLimited || false);
+        setFailedPages(cached.fetchState?.failedPages || []);
+        setTraffic(await getTrafficHistory(owner, repo, token.host));
+        setMonthlyMetrics(transformMonthlyMetrics(await getMonthlyMetrics(owner, repo, token.host)));
+        setCommits(await getRawCommits(owner, repo, token.host));
+        setMailmap(await getMailmap(owner, repo, token.host));
+        setStargazers([]);
+        setAudience(null);
+        setStarQuality(null);
+        setContributorList(cached.repository.top_contributors || null);
       } else {
         // No cache, do full fetch
         console.log('handleSubmit - No cache, doing full fetch');
@@ -326,7 +546,7 @@ function App() {
     if (!repoInfo) return;
 
     const [owner, repo] = repoInfo.name.split('/');
-    const token = localStorage.getItem('github_analytics_token');
+    const token = tokenFor(repoHost);
     if (!token) return;
 
     setIsLoading(true);
@@ -334,9 +554,13 @@ function App() {
     setProgress({});
 
     try {
-      const cached = await getRepoFromCache(owner, repo);
-      // Use the last date as the "since" date for issues/commits
-      const resumeState = {
+      const cached = await getRepoFromCache(owner, repo, repoHost);
+      // Stars and forks continue from their last cursor and issues and PRs read what changed since their
+      // date (see fetchStateFromResults), commits start from the last cached date
+      const resumeState = cached?.fetchState ? {
+        ...cached.fetchState,
+        commits: { lastDate: cached.lastDate }
+      } : {
         issues: { lastDate: cached?.lastDate },
         commits: { lastDate: cached?.lastDate }
       };
@@ -355,7 +579,7 @@ function App() {
     if (!repoInfo) return;
 
     const [owner, repo] = repoInfo.name.split('/');
-    const token = localStorage.getItem('github_analytics_token');
+    const token = tokenFor(repoHost);
     if (!token) return;
 
     setIsLoading(true);
@@ -363,7 +587,7 @@ function App() {
     setProgress({});
 
     try {
-      const cached = await getRepoFromCache(owner, repo);
+      const cached = await getRepoFromCache(owner, repo, repoHost);
       console.log('Continuing fetch with state:', cached?.fetchState);
 
       await fetchData(owner, repo, token, cached?.fetchState);
@@ -376,16 +600,18 @@ function App() {
   };
 
   // Handle clicking a cached repo
-  const handleCachedRepoSelect = (owner, repo) => {
-    const token = localStorage.getItem('github_analytics_token');
+  const handleCachedRepoSelect = (owner, repo, host = DEFAULT_HOST) => {
+    const token = tokenFor(host);
     if (token) {
       loadFromCache(owner, repo, token);
+    } else {
+      setError(`No GitHub token configured for ${host}.`);
     }
   };
 
   // Handle refreshing all cached repos (update data + calculate MoM metrics)
   const handleRefreshAll = async () => {
-    if (!token) {
+    if (!hasAnyToken) {
       setError('No GitHub token found. Please enter your token first.');
       return;
     }
@@ -406,10 +632,16 @@ function App() {
       };
 
       const refreshRepo = async (repo) => {
-        const repoName = `${repo.owner}/${repo.repo}`;
+        const repoName = repoKey(repo.owner, repo.repo, repo.host);
+        const token = tokenFor(repo.host);
 
         try {
-          const cached = await getRepoFromCache(repo.owner, repo.repo);
+          if (!token) {
+            console.log(`Skipping ${repoName} - no token for ${repo.host}`);
+            return;
+          }
+
+          const cached = await getRepoFromCache(repo.owner, repo.repo, repo.host);
 
           // Skip if already up to date (last data is from today)
           const today = new Date().toISOString().split('T')[0];
@@ -423,8 +655,9 @@ function App() {
             stars: cached.fetchState.stars,
             forks: cached.fetchState.forks,
             prs: cached.fetchState.prs,
-            issues: { lastDate: cached.lastDate },
-            commits: { lastDate: cached.lastDate }
+            issues: cached.fetchState.issues,
+            commits: { lastDate: cached.lastDate },
+            failedPages: cached.fetchState.failedPages
           } : {
             issues: { lastDate: cached?.lastDate },
             commits: { lastDate: cached?.lastDate }
@@ -433,13 +666,14 @@ function App() {
           await fetchData(repo.owner, repo.repo, token, resumeState, true); // silent mode
         } catch (err) {
           // Check if rate limited - wait and retry
-          const isRateLimit = err.status === 403 || err.status === 429 ||
-            err.message?.toLowerCase().includes('rate limit');
-
-          if (isRateLimit) {
-            const resetTime = err.response?.headers?.['x-ratelimit-reset'];
+          if (isRateLimitError(err)) {
+            const headers = err.response?.headers || {};
+            const resetTime = headers['x-ratelimit-reset'];
+            const retryAfter = headers['retry-after'];
             let waitMs = 60000;
-            if (resetTime) {
+            if (retryAfter) {
+              waitMs = parseInt(retryAfter) * 1000 + 5000;
+            } else if (resetTime) {
               waitMs = Math.max(0, (parseInt(resetTime) * 1000) - Date.now()) + 5000;
             }
             const waitMins = Math.ceil(waitMs / 60000);
@@ -486,12 +720,109 @@ function App() {
     }
   };
 
+  // Identity rules apply to the stored commits right away: contributor fields are recalculated and saved
+  const handleMailmapChange = async (text) => {
+    if (!repoInfo) return;
+    const [owner, repo] = repoInfo.name.split('/');
+    setMailmap(text);
+    await saveMailmap(owner, repo, text, repoHost);
+    if (commits.length === 0 || !dailyData) return;
+
+    const resolved = resolveIdentities(commits, parseMailmap(text));
+    const updated = applyContributorActivity(dailyData, resolved, extraBots);
+    setDailyData(updated);
+    setMonthlyMetrics(prev => calculateMonthlyMetrics(updated, recalculateCommitStats(prev, resolved)));
+    await saveRepoToCache(owner, repo, updated, true, null, repoHost, aggregateMonthlyStats([], [], resolved));
+  };
+
+  // Rebuild daily and monthly metrics from the raw tables, without fetching anything
+  const handleReaggregate = async () => {
+    if (!repoInfo) return;
+    const [owner, repo] = repoInfo.name.split('/');
+
+    setIsLoading(true);
+    setError(null);
+    setProgress({ status: 'Re-aggregating from raw data...' });
+
+    try {
+      // Each event counted once, whatever the storage returned
+      const stored = await getRawData(owner, repo, repoHost);
+      const raw = {
+        stargazers: mergeEvents(stored.stargazers, [], 'stars'),
+        forks: mergeEvents(stored.forks, [], 'forks'),
+        issues: mergeEvents(stored.issues, [], 'issues'),
+        prs: mergeEvents(stored.prs, [], 'prs'),
+        commits: mergeEvents(stored.commits, [], 'commits')
+      };
+
+      // Repos fetched before raw storage only have some of it, rebuilding those would drop the rest
+      const latest = dailyData?.[dailyData.length - 1];
+      const missing = [
+        ['stars', raw.stargazers, latest?.totalStars],
+        ['forks', raw.forks, latest?.totalForks],
+        ['issues', raw.issues, latest?.totalIssuesOpened],
+        ['pull requests', raw.prs, latest?.totalPRsOpened]
+      ].filter(([, items, total]) => items.length === 0 && total > 0).map(([name]) => name);
+      if (missing.length > 0) {
+        setError(`No raw ${missing.join(', ')} stored for ${owner}/${repo}, use Clear & Re-fetch to store them`);
+        return;
+      }
+
+      const { releases, downloadHistory } = await getReleaseHistory(owner, repo, repoHost);
+      const resolved = resolveIdentities(raw.commits, parseMailmap(mailmap));
+      let rebuilt = aggregateToDaily(repoInfo, raw.stargazers, raw.forks, raw.issues, raw.prs, resolved, releases, extraBots);
+      if (downloadHistory.length > 0) {
+        rebuilt = applyDownloadSnapshots(rebuilt, downloadHistory);
+      }
+
+      setProgress({ status: 'Saving to cache...' });
+      await saveRepoToCache(owner, repo, rebuilt, false, null, repoHost, aggregateMonthlyStats(raw.issues, raw.prs, resolved));
+
+      setDailyData(rebuilt);
+      setMonthlyMetrics(transformMonthlyMetrics(await getMonthlyMetrics(owner, repo, repoHost)));
+      setCommits(raw.commits);
+      setDataSource('raw');
+      setLastFetched(new Date().toISOString());
+      setCacheKey(k => k + 1);
+    } catch (err) {
+      console.error('Error re-aggregating:', err);
+      setError(err.message || 'Failed to re-aggregate from raw data');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Audience of the stored stargazers: cached profiles plus up to budget newly queried ones
+  const handleAnalyzeAudience = async (budget) => {
+    if (!repoInfo) return;
+    const [owner, repo] = repoInfo.name.split('/');
+    setAudienceProgress({});
+
+    try {
+      const stored = await getRawStargazers(owner, repo, repoHost);
+      const list = stored.length > 0 ? stored : stargazers;
+      const result = await enrichStargazers(tokenFor(repoHost), list, repoHost, budget, setAudienceProgress);
+      setAudience({
+        ...aggregateAudience(result.profiles),
+        stargazers: list.length,
+        missing: result.missing,
+        hitRateLimit: result.hitRateLimit
+      });
+      setStarQuality(detectSuspiciousStars(list, result.profiles));
+    } catch (err) {
+      console.error('Error analyzing audience:', err);
+      setError(err.message || 'Failed to analyze the stargazer audience');
+    } finally {
+      setAudienceProgress(null);
+    }
+  };
+
   // Handle deleting a repo from cache and re-fetching fresh
   const handleDeleteAndRefetch = async () => {
     if (!repoInfo) return;
 
     const [owner, repo] = repoInfo.name.split('/');
-    const token = localStorage.getItem('github_analytics_token');
+    const token = tokenFor(repoHost);
     if (!token) return;
 
     if (!confirm(`Delete cached data for ${owner}/${repo} and fetch fresh?`)) {
@@ -503,7 +834,10 @@ function App() {
     setProgress({ status: 'Deleting cached data...' });
 
     try {
-      await deleteRepoFromCache(owner, repo);
+      // Identity rules are set by hand, keep them across the refetch
+      const repoMailmap = await getMailmap(owner, repo, repoHost);
+      await deleteRepoFromCache(owner, repo, repoHost);
+      if (repoMailmap) await saveMailmap(owner, repo, repoMailmap, repoHost);
       setCacheKey(k => k + 1);
 
       // Now fetch fresh
@@ -545,16 +879,22 @@ function App() {
 
           <div className="flex-1 overflow-y-auto">
             <BatchFetch
-              token={token}
+              tokenFor={tokenFor}
               onComplete={() => setCacheKey(k => k + 1)}
             />
 
+            <BotSettings
+              excludeBots={excludeBots}
+              setExcludeBots={setExcludeBots}
+              onBotListChange={setExtraBots}
+            />
+
             {/* Refresh All Repositories */}
             <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 shadow-sm">
               <h3 className="text-sm font-medium text-gray-700 mb-3">All Cached Repositories</h3>
               <button
                 onClick={handleRefreshAll}
-                disabled={refreshingAll || !token}
+                disabled={refreshingAll || !hasAnyToken}
                 className="w-full px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors flex items-center justify-center gap-2"
                 title="Update all cached repositories and calculate MoM metrics"
               >
@@ -578,12 +918,14 @@ function App() {
 
           <div>
             <TokenSettings
-              token={token}
-              setToken={setToken}
+              tokens={tokens}
+              setTokens={setTokens}
+              hosts={hosts}
+              setHosts={setHosts}
               saveToken={saveToken}
               setSaveToken={setSaveToken}
             />
-            <RateLimitStatus token={token} />
+            <RateLimitStatus tokens={tokens} />
           </div>
         </div>
       </div>
@@ -657,16 +999,29 @@ function App() {
                 </div>
               )}
 
-              {isLoading && <LoadingProgress progress={progress} />}
+              {isLoading && <LoadingProgress progress={progress} onCancel={handleCancelFetch} />}
 
               {!isLoading && dailyData && repoInfo && (
                 <Dashboard
                   repoInfo={repoInfo}
-                  dailyData={dailyData}
+                  dailyData={shownDailyData}
                   dataSource={dataSource}
                   lastFetched={lastFetched}
                   onForceRefresh={handleUpdateToToday}
+                  onReaggregate={handleReaggregate}
                   paginationLimited={starsPaginationLimited}
+                  failedPages={failedPages}
+                  traffic={traffic}
+                  monthlyMetrics={shownMonthlyMetrics}
+                  retentionCohorts={retentionCohorts}
+                  topContributors={topContributors}
+                  commits={commits}
+                  mailmap={mailmap}
+                  onMailmapChange={handleMailmapChange}
+                  audience={audience}
+                  audienceProgress={audienceProgress}
+                  starQuality={starQuality}
+                  onAnalyzeAudience={handleAnalyzeAudience}
                   onContinueFetching={handleContinueFetching}
                   onDeleteAndRefetch={handleDeleteAndRefetch}
                 />
@@ -686,12 +1041,12 @@ function App() {
 
           {/* Compare View */}
           {activeView === 'compare' && (
-            <CompareView />
+            <CompareView excludeBots={excludeBots} extraBots={extraBots} />
           )}
 
           {/* Trending View */}
           {activeView === 'trending' && (
-            <TrendingView token={token} />
+            <TrendingView token={tokenFor(DEFAULT_HOST)} />
           )}
         </div>
       </div>
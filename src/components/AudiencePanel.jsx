@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import ChartCard from './ChartCard';
+import { getEnrichmentBudget, saveEnrichmentBudget } from '../services/audience';
+import { SUSPICIOUS_ACCOUNT_AGE_DAYS, BURST_WINDOW_MINUTES, BURST_MIN_STARS } from '../utils/dataAggregator';
+
+function Stat({ label, value, hint }) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-lg font-semibold text-gray-800">{value ?? '—'}</p>
+      {hint && <p className="text-xs text-gray-400">{hint}</p>}
+    </div>
+  );
+}
+
+function TopList({ title, rows, total }) {
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 shadow-sm">
+      <h4 className="text-sm font-medium text-gray-700 mb-2">{title}</h4>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-400">None of the profiles say</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto">
+          <table className="w-full text-xs">
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.name} className="border-t border-gray-100">
+                  <td className="py-1 pr-2 text-gray-700 truncate max-w-0 w-full" title={row.name}>{row.name}</td>
+                  <td className="py-1 pr-2 text-right text-gray-500">{row.count.toLocaleString()}</td>
+                  <td className="py-1 text-right text-gray-400">{Math.round(row.count / total * 100)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const tooltipProps = {
+  contentStyle: { backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' },
+  labelStyle: { color: '#374151' }
+};
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Who stars the repo (see aggregateAudience), from stargazer profiles enriched on demand within a budget,
+// and how organic the stars look (see detectSuspiciousStars)
+export default function AudiencePanel({ audience, starQuality, progress, onAnalyze }) {
+  const [budget, setBudget] = useState(getEnrichmentBudget);
+
+  const handleBudgetChange = (e) => {
+    const value = Math.max(0, parseInt(e.target.value, 10) || 0);
+    setBudget(value);
+    saveEnrichmentBudget(value);
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm mt-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">Stargazer Audience</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="text-gray-500 text-xs" title="Profiles queried per run, already cached ones are free. 0 only reads the cache.">
+            Budget
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={budget}
+              onChange={handleBudgetChange}
+              className="ml-1 w-20 px-2 py-1 border border-gray-300 rounded text-xs"
+            />
+          </label>
+          <button
+            onClick={() => onAnalyze(budget)}
+            disabled={!!progress}
+            className="px-3 py-1.5 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white rounded-lg text-sm transition-colors whitespace-nowrap"
+          >
+            {progress
+              ? `Fetching profiles ${progress.fetched || 0}/${progress.total || '…'}`
+              : audience ? 'Enrich more' : 'Analyze audience'}
+          </button>
+        </div>
+      </div>
+
+      {!audience ? (
+        <p className="text-sm text-gray-500">
+          Looks up company, location and followers of the stargazers over GraphQL. Profiles are cached, so repos sharing stargazers don't query them again.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-4 gap-4 mb-4">
+            <Stat
+              label="Profiled stargazers"
+              value={`${audience.profiled.toLocaleString()} / ${audience.stargazers.toLocaleString()}`}
+              hint={audience.missing > 0 ? `${audience.missing.toLocaleString()} not looked up yet` : null}
+            />
+            <Stat label="With a company" value={audience.profiled > 0 ? `${Math.round(audience.withCompany / audience.profiled * 100)}%` : null} />
+            <Stat label="Country guessed" value={audience.profiled > 0 ? `${Math.round(audience.withCountry / audience.profiled * 100)}%` : null} hint="From the free-text location" />
+            <Stat label="Median followers" value={audience.medianFollowers?.toLocaleString()} />
+          </div>
+          {audience.hitRateLimit && (
+            <p className="text-xs text-yellow-700 mb-3">Stopped near the GraphQL rate limit, enrich more once it resets.</p>
+          )}
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <TopList title="Top companies" rows={audience.companies} total={audience.profiled} />
+            <TopList title="Countries (guessed)" rows={audience.countries} total={audience.profiled} />
+          </div>
+          {starQuality && (
+            <div className="grid grid-cols-3 gap-4 mb-4">
+              <div className="col-span-2">
+                <ChartCard title="Organic stars by month">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={starQuality.byMonth.filter(m => m.organicPct != null)}>
+                      <XAxis dataKey="month" tick={{ fill: '#6B7280', fontSize: 12 }} />
+                      <YAxis domain={[0, 100]} tick={{ fill: '#6B7280', fontSize: 12 }} tickFormatter={(val) => `${val}%`} />
+                      <Tooltip {...tooltipProps} formatter={(value) => [`${value}%`, 'Organic']} />
+                      <Line type="monotone" dataKey="organicPct" stroke="#10B981" strokeWidth={2} dot={false} name="Organic" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+              <div className="border border-gray-200 rounded-lg p-4 shadow-sm">
+                <Stat
+                  label="Organic star ratio"
+                  value={starQuality.organicPct != null ? `${starQuality.organicPct}%` : null}
+                  hint={`Suspicious: accounts under ${SUSPICIOUS_ACCOUNT_AGE_DAYS} days old with no followers or repos`}
+                />
+                <h4 className="text-sm font-medium text-gray-700 mt-3 mb-1">Suspicious bursts</h4>
+                {starQuality.bursts.length === 0 ? (
+                  <p className="text-xs text-gray-400">None among the profiled stargazers</p>
+                ) : (
+                  <ul className="text-xs text-gray-600 max-h-32 overflow-y-auto">
+                    {starQuality.bursts.map(burst => (
+                      <li key={burst.start} className="py-0.5">
+                        {formatTime(burst.start)}: {burst.stars} stars, {burst.suspicious} suspicious
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-xs text-gray-400 mt-1">{BURST_MIN_STARS}+ stars within {BURST_WINDOW_MINUTES} minutes, mostly from suspicious accounts. Marked on the stars chart.</p>
+              </div>
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-4">
+            <ChartCard title="Followers">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={audience.followerBuckets}>
+                  <XAxis dataKey="label" tick={{ fill: '#6B7280', fontSize: 12 }} />
+                  <YAxis allowDecimals={false} tick={{ fill: '#6B7280', fontSize: 12 }} />
+                  <Tooltip {...tooltipProps} />
+                  <Bar dataKey="count" fill="#60A5FA" name="Stargazers" />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+            <ChartCard title="Account created">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={audience.accountsByYear}>
+                  <XAxis dataKey="year" tick={{ fill: '#6B7280', fontSize: 12 }} />
+                  <YAxis allowDecimals={false} tick={{ fill: '#6B7280', fontSize: 12 }} />
+                  <Tooltip {...tooltipProps} />
+                  <Bar dataKey="count" fill="#A78BFA" name="Stargazers" />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -3,99 +3,152 @@ import {
   createGitHubClient,
   fetchRepoInfo,
   fetchAllStargazersGraphQL,
-  fetchAllForks,
-  fetchAllIssues,
-  fetchAllPullRequests,
-  fetchContributorCommits
+  fetchAllForksGraphQL,
+  fetchAllIssuesGraphQL,
+  fetchAllPullRequestsGraphQL,
+  fetchContributorCommits,
+  fetchAllReleases,
+  fetchTraffic
 } from '../services/githubApi';
-import { saveRepoToCache } from '../services/supabase';
-import { aggregateToDaily } from '../utils/dataAggregator';
+import { saveRepoToCache, saveReleaseSnapshot, saveIncrementalRawData, saveTraffic, getMailmap, getRawData, getReleaseHistory, fetchStateFromResults } from '../services/cache';
+import { parseRepoPath, repoKey } from '../services/hosts';
+import { isRateLimitError } from '../services/rateLimit';
+import { aggregateToDaily, mergeEvents, applyDownloadSnapshots, aggregateMonthlyStats } from '../utils/dataAggregator';
+import { parseMailmap, resolveIdentities } from '../services/identities';
+import { getExtraBots } from '../services/bots';
 
-export default function BatchFetch({ token, onComplete }) {
+// tokenFor(host) returns the token pool for a host (null if it has no tokens)
+export default function BatchFetch({ tokenFor, onComplete }) {
   const [repoList, setRepoList] = useState('');
   const [isFetching, setIsFetching] = useState(false);
-  const [progress, setProgress] = useState({}); // { 'owner/repo': { status: 'pending' | 'fetching' | 'done' | 'error', message: '', errorDetails: '' } }
+  const [progress, setProgress] = useState({}); // { 'owner/repo': { status: 'pending' | 'fetching' | 'done' | 'aborted' | 'error', message: '', errorDetails: '' } }
   const [showErrorDetails, setShowErrorDetails] = useState(false);
-  const abortRef = useRef(false);
+  const abortRef = useRef(null); // AbortController for the running batch
 
+  // Lines may be owner/repo, host/owner/repo or full repository URLs
   const parseRepos = (text) => {
     return text
       .split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .map(line => line.replace('https://github.com/', ''))
-      .filter(line => line.includes('/'));
+      .map(line => parseRepoPath(line))
+      .filter(Boolean)
+      .map(({ host, owner, repo }) => repoKey(owner, repo, host));
   };
 
   const fetchSingleRepo = async (repoPath) => {
-    const [owner, repo] = repoPath.split('/');
+    const { host, owner, repo } = parseRepoPath(repoPath);
+    const token = tokenFor(host);
+    const signal = abortRef.current.signal;
 
     try {
+      if (!token) {
+        throw new Error(`No GitHub token configured for ${host}`);
+      }
+
       setProgress(prev => ({
         ...prev,
         [repoPath]: { status: 'fetching', message: 'Fetching' }
       }));
 
       const octokit = createGitHubClient(token);
-      const info = await fetchRepoInfo(octokit, owner, repo);
-
-      if (abortRef.current) return;
+      const info = await fetchRepoInfo(octokit, owner, repo, signal);
 
       setProgress(prev => ({
         ...prev,
         [repoPath]: { status: 'fetching', message: 'Fetching' }
       }));
 
-      // Fetch all data types in parallel for speed
-      const [starsResult, forksResult, issuesResult, prsResult, commitsResult] = await Promise.all([
-        fetchAllStargazersGraphQL(token, owner, repo, () => {}),
-        fetchAllForks(octokit, owner, repo, () => {}),
-        fetchAllIssues(octokit, owner, repo, () => {}),
-        fetchAllPullRequests(octokit, owner, repo, () => {}),
-        fetchContributorCommits(octokit, owner, repo, () => {})
+      // Fetch all data types in parallel for speed, storing the raw items as they come in
+      const onSave = (saveData) => saveIncrementalRawData(owner, repo, saveData.type, saveData.data, host);
+      const [starsResult, forksResult, issuesResult, prsResult, commitsResult, releasesResult] = await Promise.all([
+        fetchAllStargazersGraphQL(token, owner, repo, () => {}, null, onSave, signal),
+        fetchAllForksGraphQL(token, owner, repo, () => {}, null, onSave, signal),
+        fetchAllIssuesGraphQL(token, owner, repo, () => {}, null, onSave, signal),
+        fetchAllPullRequestsGraphQL(token, owner, repo, () => {}, null, onSave, signal),
+        fetchContributorCommits(octokit, owner, repo, () => {}, null, onSave, signal),
+        fetchAllReleases(octokit, owner, repo, () => {}, signal)
       ]);
 
-      if (abortRef.current) return;
+      // On cancel, whatever was fetched is still saved with its resume state
+      const results = [starsResult, forksResult, issuesResult, prsResult, commitsResult, releasesResult];
+      const aborted = results.some(r => r.aborted);
+      const failedPages = results.flatMap(r => r.failedPages);
+
+      // Traffic needs push access, repos without it simply have no traffic history
+      let traffic = null;
+      if (info.canPush !== false && !aborted) {
+        try {
+          traffic = await fetchTraffic(octokit, owner, repo, signal);
+        } catch (err) {
+          console.error(`Error fetching traffic for ${owner}/${repo}:`, err.message);
+        }
+      }
 
       setProgress(prev => ({
         ...prev,
         [repoPath]: { status: 'fetching', message: 'Processing' }
       }));
 
-      const aggregated = aggregateToDaily(
+      // Totals come from every stored event merged with this run's, as in a single repo fetch, so a
+      // partial run adds to what was stored rather than replacing it
+      const stored = await getRawData(owner, repo, host);
+      const allIssues = mergeEvents(stored.issues, issuesResult.issues, 'issues');
+      const allPrs = mergeEvents(stored.prs, prsResult.prs, 'prs');
+      const allCommits = mergeEvents(stored.commits, commitsResult.commits, 'commits');
+
+      // A partial release list would undercount downloads, so it falls back to the latest stored snapshot
+      let releases = releasesResult.releases;
+      let downloadHistory;
+      if (!releasesResult.aborted && releasesResult.failedPages.length === 0) {
+        downloadHistory = await saveReleaseSnapshot(owner, repo, releases, host);
+      } else {
+        const history = await getReleaseHistory(owner, repo, host);
+        if (history.releases.length > 0) releases = history.releases;
+        downloadHistory = history.downloadHistory;
+      }
+
+      const commits = resolveIdentities(allCommits, parseMailmap(await getMailmap(owner, repo, host)));
+      let aggregated = aggregateToDaily(
         info,
-        starsResult.stargazers,
-        forksResult.forks,
-        issuesResult.issues,
-        prsResult.prs,
-        commitsResult.commits
+        mergeEvents(stored.stargazers, starsResult.stargazers, 'stars'),
+        mergeEvents(stored.forks, forksResult.forks, 'forks'),
+        allIssues,
+        allPrs,
+        commits,
+        releases,
+        getExtraBots()
       );
+      if (downloadHistory.length > 0) {
+        aggregated = applyDownloadSnapshots(aggregated, downloadHistory);
+      }
 
-      const fetchState = {
-        stars: {
-          limited: starsResult.hasMorePages || starsResult.hitRateLimit,
-          cursor: starsResult.lastCursor
-        },
-        forks: {
-          lastPage: forksResult.hitPaginationLimit ? forksResult.lastPage : null,
-          limited: forksResult.hitPaginationLimit
-        },
-        prs: {
-          lastPage: prsResult.hitPaginationLimit ? prsResult.lastPage : null,
-          limited: prsResult.hitPaginationLimit
-        },
-        issues: { lastDate: issuesResult.lastDate },
-        commits: { lastDate: commitsResult.lastDate }
-      };
-
-      await saveRepoToCache(owner, repo, aggregated, false, fetchState);
+      // Saved the same way as a single repo fetch, so either can resume it
+      const fetchState = fetchStateFromResults({
+        stars: starsResult,
+        forks: forksResult,
+        issues: issuesResult,
+        prs: prsResult,
+        commits: commitsResult
+      }, failedPages);
+
+      await saveRepoToCache(owner, repo, aggregated, false, fetchState, host, aggregateMonthlyStats(allIssues, allPrs, commits));
+      await saveTraffic(owner, repo, traffic, host);
 
       setProgress(prev => ({
         ...prev,
-        [repoPath]: { status: 'done', message: 'Complete!' }
+        [repoPath]: aborted
+          ? { status: 'aborted', message: 'Stopped (progress saved)' }
+          : { status: 'done', message: failedPages.length > 0 ? `Complete (${failedPages.length} pages failed)` : 'Complete!' }
       }));
 
     } catch (error) {
+      if (signal.aborted) {
+        setProgress(prev => ({
+          ...prev,
+          [repoPath]: { status: 'aborted', message: 'Stopped' }
+        }));
+        return;
+      }
+
       console.error(`Error fetching ${repoPath}:`, error);
 
       // Build detailed error message
@@ -106,12 +159,12 @@ export default function BatchFetch({ token, onComplete }) {
       if (error.status === 404) {
         shortMessage = 'Not found';
         errorDetails = `Repository "${repoPath}" not found. It may be private, deleted, or the name is incorrect.`;
+      } else if (isRateLimitError(error)) {
+        shortMessage = 'Rate limited';
+        errorDetails = `GitHub API rate limit exceeded. ${error.message || 'Wait a few minutes and try again.'}`;
       } else if (error.status === 401 || error.status === 403) {
         shortMessage = 'Auth error';
         errorDetails = `Access denied (${error.status}). ${error.message || 'Check your GitHub token has the required permissions.'}`;
-      } else if (error.status === 429 || error.message?.toLowerCase().includes('rate limit')) {
-        shortMessage = 'Rate limited';
-        errorDetails = `GitHub API rate limit exceeded. ${error.message || 'Wait a few minutes and try again.'}`;
       } else if (error.message?.includes('network') || error.message?.includes('fetch')) {
         shortMessage = 'Network error';
         errorDetails = `Network error: ${error.message}. Check your internet connection.`;
@@ -129,9 +182,9 @@ export default function BatchFetch({ token, onComplete }) {
 
   const handleStartFetch = async () => {
     const repos = parseRepos(repoList);
-    if (repos.length === 0 || !token) return;
+    if (repos.length === 0) return;
 
-    abortRef.current = false;
+    abortRef.current = new AbortController();
     setIsFetching(true);
 
     // Initialize progress for all repos
@@ -149,15 +202,16 @@ export default function BatchFetch({ token, onComplete }) {
   };
 
   const handleCancel = () => {
-    abortRef.current = true;
+    abortRef.current?.abort();
     setIsFetching(false);
   };
 
   const repos = parseRepos(repoList);
   const completedCount = Object.values(progress).filter(p => p.status === 'done').length;
   const errorCount = Object.values(progress).filter(p => p.status === 'error').length;
+  const abortedCount = Object.values(progress).filter(p => p.status === 'aborted').length;
   const totalInProgress = Object.keys(progress).length;
-  const isComplete = !isFetching && totalInProgress > 0 && completedCount + errorCount === totalInProgress;
+  const isComplete = !isFetching && totalInProgress > 0 && completedCount + errorCount + abortedCount === totalInProgress;
 
   const handleClearProgress = () => {
     setProgress({});
@@ -177,7 +231,7 @@ export default function BatchFetch({ token, onComplete }) {
       </div>
       <p className="text-xs text-gray-500 mb-2">
         Enter repositories (one per line).<br />
-        Format: owner/repo
+        Format: owner/repo, or host/owner/repo for GitHub Enterprise
       </p>
       <textarea
         value={repoList}
@@ -203,7 +257,7 @@ export default function BatchFetch({ token, onComplete }) {
           {!isFetching ? (
             <button
               onClick={handleStartFetch}
-              disabled={repos.length === 0 || !token}
+              disabled={repos.length === 0}
               className="px-3 py-1.5 bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 disabled:cursor-not-allowed rounded text-xs transition-colors"
             >
               Fetch All
@@ -236,6 +290,9 @@ export default function BatchFetch({ token, onComplete }) {
               {status === 'done' && (
                 <span className="w-4 h-4 text-green-500">✓</span>
               )}
+              {status === 'aborted' && (
+                <span className="w-4 h-4 text-gray-400">■</span>
+              )}
               {status === 'error' && (
                 <span className="w-4 h-4 text-red-500">✗</span>
               )}
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { getExtraBots, saveExtraBots, DEFAULT_EXTRA_BOTS } from '../services/bots';
+
+// "Exclude bots" toggle and the extra bot logins (see services/bots.js)
+export default function BotSettings({ excludeBots, setExcludeBots, onBotListChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [text, setText] = useState(() => getExtraBots().join('\n'));
+
+  const handleSave = () => {
+    const logins = text.split(/[\s,]+/).filter(Boolean);
+    saveExtraBots(logins);
+    onBotListChange(logins);
+  };
+
+  const handleReset = () => {
+    setText(DEFAULT_EXTRA_BOTS.join('\n'));
+    saveExtraBots(DEFAULT_EXTRA_BOTS);
+    onBotListChange(DEFAULT_EXTRA_BOTS);
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 shadow-sm">
+      <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={excludeBots}
+          onChange={(e) => setExcludeBots(e.target.checked)}
+          className="rounded"
+        />
+        Exclude bots from all metrics
+      </label>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-xs text-blue-600 hover:underline mt-2"
+      >
+        {isOpen ? 'Hide bot list' : 'Edit bot list'}
+      </button>
+      {isOpen && (
+        <div className="mt-2">
+          <p className="text-xs text-gray-500 mb-1">
+            Accounts ending in [bot] are always bots. Extra logins, one per line:
+          </p>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={5}
+            className="w-full px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+          />
+          <p className="text-xs text-gray-400 mb-2">
+            Excluded bot activity follows the list right away, the stored bot counts are updated on the next fetch.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              className="px-2 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded text-xs"
+            >
+              Save
+            </button>
+            <button
+              onClick={handleReset}
+              className="px-2 py-1 bg-gray-100 hover:bg-gray-200 text-gray-600 rounded text-xs"
+            >
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
-import { getCachedRepos } from '../services/supabase';
+import { getCachedRepos } from '../services/cache';
+import { repoKey } from '../services/hosts';
 
 export default function CachedRepos({ onSelect, isLoading }) {
   const [repos, setRepos] = useState([]);
@@ -32,13 +33,13 @@ export default function CachedRepos({ onSelect, isLoading }) {
 
   const filteredRepos = repos
     .filter(repo => {
-      const repoKey = `${repo.owner}/${repo.repo}`.toLowerCase();
-      return repoKey.includes(searchTerm.toLowerCase());
+      const key = repoKey(repo.owner, repo.repo, repo.host).toLowerCase();
+      return key.includes(searchTerm.toLowerCase());
     })
-    .sort((a, b) => `${a.owner}/${a.repo}`.localeCompare(`${b.owner}/${b.repo}`));
+    .sort((a, b) => repoKey(a.owner, a.repo, a.host).localeCompare(repoKey(b.owner, b.repo, b.host)));
 
   const handleSelect = (repo) => {
-    onSelect(repo.owner, repo.repo);
+    onSelect(repo.owner, repo.repo, repo.host);
     setSearchTerm('');
     setIsOpen(false);
   };
@@ -84,7 +85,7 @@ export default function CachedRepos({ onSelect, isLoading }) {
                 onClick={() => handleSelect(repo)}
                 className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-100 focus:bg-gray-100 focus:outline-none"
               >
-                {repo.owner}/{repo.repo}
+                {repoKey(repo.owner, repo.repo, repo.host)}
               </button>
             ))}
           </div>
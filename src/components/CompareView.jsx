@@ -1,6 +1,19 @@
 import { useState, useEffect, useRef } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { getCachedRepos, getRepoFromCache, transformCachedMetrics, getMonthlyMetricsForRepos } from '../services/supabase';
+import {
+  getCachedRepos,
+  getRepoFromCache,
+  transformCachedMetrics,
+  getMonthlyMetricsForRepos,
+  calculateMonthlyMetrics,
+  getRawCommits,
+  getRawIssues,
+  getRawPullRequests,
+  getMailmap
+} from '../services/cache';
+import { withoutBots, recountBots, humanCommits, recalculateCommitStats } from '../utils/dataAggregator';
+import { repoKey as toRepoKey, parseRepoPath } from '../services/hosts';
+import { parseMailmap, resolveIdentities } from '../services/identities';
 import MoMGrowthChart from './MoMGrowthChart';
 
 const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#06B6D4', '#84CC16'];
@@ -14,6 +27,16 @@ const METRICS = [
   { key: 'totalPRsClosed', label: 'PRs Closed' },
   { key: 'totalPRsMerged', label: 'PRs Merged' },
   { key: 'totalContributors', label: 'Contributors' },
+  { key: 'activeContributors30d', label: 'Active Contributors (30d)' },
+  { key: 'activeContributors90d', label: 'Active Contributors (90d)' },
+  // Contributors committing that day for the first time / again, daily counts with no MoM growth chart
+  { key: 'newContributors', label: 'New Contributors', noMom: true },
+  { key: 'returningContributors', label: 'Returning Contributors', noMom: true },
+  // Monthly metrics, charted from the stored monthly data (no MoM growth chart)
+  { key: 'issueFirstResponseMedianHours', label: 'Issue First Response, median (hours)', monthly: true },
+  { key: 'issuesAnswered24hPct', label: 'Issues Answered within 24h (%)', monthly: true },
+  { key: 'issueCloseMedianHours', label: 'Issue Time to Close, median (hours)', monthly: true },
+  { key: 'issueCloseP90Hours', label: 'Issue Time to Close, p90 (hours)', monthly: true },
 ];
 
 const DATE_PRESETS = [
@@ -26,11 +49,13 @@ const DATE_PRESETS = [
   { key: 'custom', label: 'Custom' },
 ];
 
-export default function CompareView() {
+// extraBots is the user's bot list, applied to the stored raw events while bots are excluded
+export default function CompareView({ excludeBots = false, extraBots }) {
   const [cachedRepos, setCachedRepos] = useState([]);
   const [selectedRepos, setSelectedRepos] = useState([]);
   const [repoData, setRepoData] = useState({});
   const [monthlyData, setMonthlyData] = useState({});
+  const [rawData, setRawData] = useState({}); // { repoKey: { commits, issues, prs } }, loaded while bots are excluded
   const [loading, setLoading] = useState(true);
   const [loadingData, setLoadingData] = useState(false);
   const [selectedMetric, setSelectedMetric] = useState('totalStars');
@@ -46,6 +71,7 @@ export default function CompareView() {
   const [momStartDate, setMomStartDate] = useState('');
   const [momEndDate, setMomEndDate] = useState('');
   const repoSearchRef = useRef(null);
+  const rawRequested = useRef(new Set());
 
   useEffect(() => {
     loadCachedRepos();
@@ -61,6 +87,22 @@ export default function CompareView() {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // The stored raw events of the selected repos, to count bots with the current list
+  useEffect(() => {
+    if (!excludeBots) return;
+    selectedRepos.filter(repoKey => !rawRequested.current.has(repoKey)).forEach(async (repoKey) => {
+      rawRequested.current.add(repoKey);
+      const { host, owner, repo } = parseRepoPath(repoKey);
+      const [commits, issues, prs, mailmap] = await Promise.all([
+        getRawCommits(owner, repo, host),
+        getRawIssues(owner, repo, host),
+        getRawPullRequests(owner, repo, host),
+        getMailmap(owner, repo, host)
+      ]);
+      setRawData(prev => ({ ...prev, [repoKey]: { commits: resolveIdentities(commits, parseMailmap(mailmap)), issues, prs } }));
+    });
+  }, [excludeBots, selectedRepos]);
+
   const loadCachedRepos = async () => {
     setLoading(true);
     const repos = await getCachedRepos();
@@ -69,7 +111,7 @@ export default function CompareView() {
   };
 
   const handleRepoToggle = async (repo) => {
-    const repoKey = `${repo.owner}/${repo.repo}`;
+    const repoKey = toRepoKey(repo.owner, repo.repo, repo.host);
 
     if (selectedRepos.includes(repoKey)) {
       // Remove repo
@@ -84,6 +126,12 @@ export default function CompareView() {
         delete newData[repoKey];
         return newData;
       });
+      setRawData(prev => {
+        const newData = { ...prev };
+        delete newData[repoKey];
+        return newData;
+      });
+      rawRequested.current.delete(repoKey);
     } else {
       // Add repo
       const newSelectedRepos = [...selectedRepos, repoKey];
@@ -92,7 +140,7 @@ export default function CompareView() {
       // Load daily data if not already loaded
       if (!repoData[repoKey]) {
         setLoadingData(true);
-        const cached = await getRepoFromCache(repo.owner, repo.repo);
+        const cached = await getRepoFromCache(repo.owner, repo.repo, repo.host);
         if (cached && cached.metrics.length > 0) {
           const transformed = transformCachedMetrics(cached.metrics);
           setRepoData(prev => ({ ...prev, [repoKey]: transformed }));
@@ -157,11 +205,37 @@ export default function CompareView() {
     });
   };
 
+  const isMonthlyMetric = !!METRICS.find(m => m.key === selectedMetric)?.monthly;
+  const hasMomChart = !isMonthlyMetric && !METRICS.find(m => m.key === selectedMetric)?.noMom;
+
+  // Daily metrics of a repo, without bot activity when excluding bots
+  const getDailyData = (repoKey) => {
+    const data = repoData[repoKey] || [];
+    if (!excludeBots) return data;
+    const raw = rawData[repoKey];
+    return withoutBots(raw ? recountBots(data, raw.issues, raw.prs, raw.commits, extraBots) : data);
+  };
+
+  // Monthly metrics of a repo. The stored ones include bots, so when excluding them the daily-derived
+  // ones are recomputed from the filtered days and the commit-based ones from the human commits.
+  const getMonthlyData = (repoKey) => {
+    const data = monthlyData[repoKey] || [];
+    if (!excludeBots || !repoData[repoKey]) return data;
+    const commits = rawData[repoKey]?.commits || [];
+    const stats = commits.length > 0 ? recalculateCommitStats(data, humanCommits(commits, extraBots)) : data;
+    return calculateMonthlyMetrics(getDailyData(repoKey), stats);
+  };
+
   // Get filtered repo data (for metrics chart)
+  // Monthly metrics are plotted at each month end, skipping months without a value
   const getFilteredRepoData = () => {
     const filtered = {};
     selectedRepos.forEach(repoKey => {
-      const data = repoData[repoKey] || [];
+      const data = isMonthlyMetric
+        ? getMonthlyData(repoKey)
+          .filter(m => m[selectedMetric] !== null && m[selectedMetric] !== undefined)
+          .map(m => ({ date: m.monthEnd, [selectedMetric]: m[selectedMetric] }))
+        : getDailyData(repoKey);
       filtered[repoKey] = filterDataByDateRange(data, 'date', metricsDatePreset, metricsStartDate, metricsEndDate);
     });
     return filtered;
@@ -171,7 +245,7 @@ export default function CompareView() {
   const getFilteredMonthlyData = () => {
     const filtered = {};
     selectedRepos.forEach(repoKey => {
-      const data = monthlyData[repoKey] || [];
+      const data = getMonthlyData(repoKey);
       filtered[repoKey] = filterDataByDateRange(data, 'monthEnd', momDatePreset, momStartDate, momEndDate);
     });
     return filtered;
@@ -433,12 +507,12 @@ export default function CompareView() {
               {isRepoDropdownOpen && (
                 (() => {
                   const availableRepos = cachedRepos
-                    .filter(repo => !selectedRepos.includes(`${repo.owner}/${repo.repo}`))
+                    .filter(repo => !selectedRepos.includes(toRepoKey(repo.owner, repo.repo, repo.host)))
                     .filter(repo => {
-                      const repoKey = `${repo.owner}/${repo.repo}`.toLowerCase();
+                      const repoKey = toRepoKey(repo.owner, repo.repo, repo.host).toLowerCase();
                       return repoKey.includes(repoSearchTerm.toLowerCase());
                     })
-                    .sort((a, b) => `${a.owner}/${a.repo}`.localeCompare(`${b.owner}/${b.repo}`));
+                    .sort((a, b) => toRepoKey(a.owner, a.repo, a.host).localeCompare(toRepoKey(b.owner, b.repo, b.host)));
 
                   if (availableRepos.length > 0) {
                     return (
@@ -453,7 +527,7 @@ export default function CompareView() {
                             }}
                             className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-100 focus:bg-gray-100 focus:outline-none"
                           >
-                            {repo.owner}/{repo.repo}
+                            {toRepoKey(repo.owner, repo.repo, repo.host)}
                           </button>
                         ))}
                       </div>
@@ -481,8 +555,7 @@ export default function CompareView() {
                     {repoKey}
                     <button
                       onClick={() => {
-                        const [owner, repo] = repoKey.split('/');
-                        const repoObj = cachedRepos.find(r => r.owner === owner && r.repo === repo);
+                        const repoObj = cachedRepos.find(r => toRepoKey(r.owner, r.repo, r.host) === repoKey);
                         if (repoObj) handleRepoToggle(repoObj);
                       }}
                       className="ml-1 hover:bg-white/20 rounded"
@@ -655,7 +728,7 @@ export default function CompareView() {
       )}
 
       {/* MoM Growth Chart */}
-      {selectedRepos.length > 0 && (
+      {selectedRepos.length > 0 && hasMomChart && (
         <div className="mt-6">
           <MoMGrowthChart
             selectedRepos={selectedRepos}
@@ -0,0 +1,111 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+import { CONCENTRATION_TOP_N } from '../utils/dataAggregator';
+
+function Stat({ label, value, hint }) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-lg font-semibold text-gray-800">{value ?? '—'}</p>
+      {hint && <p className="text-xs text-gray-400">{hint}</p>}
+    </div>
+  );
+}
+
+// Commit concentration over the trailing 12 months (see aggregateConcentration) and the top contributors
+export default function ConcentrationPanel({ monthlyMetrics, topContributors }) {
+  const months = monthlyMetrics.filter(m => m.busFactor != null);
+  if (months.length === 0 && topContributors.length === 0) return null;
+
+  const latest = months[months.length - 1];
+  // Gini is charted as a percentage so it shares the axis with the top-N share
+  const chartData = months.map(m => ({
+    ...m,
+    commitGiniPct: m.commitGini != null ? Math.round(m.commitGini * 100) : null
+  }));
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm mt-4">
+      <h3 className="text-lg font-semibold mb-3 text-gray-800">Contribution Concentration</h3>
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        <Stat
+          label="Bus factor"
+          value={latest?.busFactor}
+          hint={latest?.busFactor === 1 ? 'One person made half of the commits' : 'Fewest authors covering 50% of commits'}
+        />
+        <Stat label="Gini coefficient" value={latest?.commitGini} hint="0 = evenly spread, 1 = one author" />
+        <Stat
+          label={`Top ${CONCENTRATION_TOP_N} share`}
+          value={latest?.top5CommitSharePct != null ? `${latest.top5CommitSharePct}%` : null}
+          hint="Of commits in the last 12 months"
+        />
+      </div>
+      <div className="grid grid-cols-3 gap-4">
+        <div className="col-span-2">
+          <ChartCard title="Over time (trailing 12 months)">
+            {months.length > 0 ? (
+              <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={chartData}>
+                  <XAxis
+                    dataKey="monthEnd"
+                    tick={{ fill: '#6B7280', fontSize: 12 }}
+                    tickFormatter={(val) => val.slice(0, 7)}
+                  />
+                  <YAxis
+                    yAxisId="count"
+                    allowDecimals={false}
+                    tick={{ fill: '#6B7280', fontSize: 12 }}
+                  />
+                  <YAxis
+                    yAxisId="pct"
+                    orientation="right"
+                    domain={[0, 100]}
+                    tick={{ fill: '#6B7280', fontSize: 12 }}
+                    tickFormatter={(val) => `${val}%`}
+                  />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+                    labelStyle={{ color: '#374151' }}
+                  />
+                  <Legend />
+                  <Line yAxisId="count" type="stepAfter" dataKey="busFactor" stroke="#EF4444" strokeWidth={2} dot={false} connectNulls name="Bus factor" />
+                  <Line yAxisId="pct" type="monotone" dataKey="commitGiniPct" stroke="#8B5CF6" dot={false} connectNulls name="Gini (%)" />
+                  <Line yAxisId="pct" type="monotone" dataKey="top5CommitSharePct" stroke="#F59E0B" strokeDasharray="4 2" dot={false} connectNulls name={`Top ${CONCENTRATION_TOP_N} share (%)`} />
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <div style={{ height: '250px' }} className="flex items-center justify-center text-gray-400">
+                <p>No stored commits yet, refresh the repository to compute it</p>
+              </div>
+            )}
+          </ChartCard>
+        </div>
+        <div className="border border-gray-200 rounded-lg p-4 shadow-sm">
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Top contributors</h4>
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-white">
+                <tr className="text-gray-500">
+                  <th className="text-left font-medium py-1 pr-2">Author</th>
+                  <th className="text-right font-medium py-1 pr-2">Commits</th>
+                  <th className="text-right font-medium py-1 pr-2">Share</th>
+                  <th className="text-right font-medium py-1">Last 12 mo</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topContributors.map(c => (
+                  <tr key={c.login} className="border-t border-gray-100">
+                    <td className="py-1 pr-2 text-gray-700 truncate max-w-0 w-full" title={c.login}>{c.login}</td>
+                    <td className="py-1 pr-2 text-right text-gray-500">{c.contributions.toLocaleString()}</td>
+                    <td className="py-1 pr-2 text-right text-gray-500">{c.sharePct != null ? `${c.sharePct}%` : '—'}</td>
+                    <td className="py-1 text-right text-gray-400">{c.recentCommits.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,34 +1,78 @@
-import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { useState } from 'react';
+import { ComposedChart, Area, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
 import ChartCard from './ChartCard';
 
+const VIEWS = [
+  { key: 'active', label: 'Active' },
+  { key: 'newReturning', label: 'New vs returning' }
+];
+
 export default function ContributorsChart({ data }) {
-  const chartData = data.filter((_, i) => i % Math.max(1, Math.floor(data.length / 100)) === 0);
+  const [view, setView] = useState('active');
+  const step = Math.max(1, Math.floor(data.length / 100));
+  const chartData = data.filter((_, i) => i % step === 0);
+
+  // New and returning contributors are per day, so sum each sampled step instead of skipping days
+  const newReturningData = chartData.map((day, i) => {
+    const days = data.slice(i * step, (i + 1) * step);
+    return {
+      date: day.date,
+      newContributors: days.reduce((sum, d) => sum + (d.newContributors || 0), 0),
+      returningContributors: days.reduce((sum, d) => sum + (d.returningContributors || 0), 0)
+    };
+  });
+
+  const axisProps = {
+    dataKey: 'date',
+    tick: { fill: '#6B7280', fontSize: 12 },
+    tickFormatter: (val) => val.slice(5)
+  };
+  const tooltipProps = {
+    contentStyle: { backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' },
+    labelStyle: { color: '#374151' }
+  };
 
   return (
     <ChartCard title="Contributors Growth">
-      <ResponsiveContainer width="100%" height={250}>
-        <AreaChart data={chartData}>
-          <XAxis
-            dataKey="date"
-            tick={{ fill: '#6B7280', fontSize: 12 }}
-            tickFormatter={(val) => val.slice(5)}
-          />
-          <YAxis
-            tick={{ fill: '#6B7280', fontSize: 12 }}
-          />
-          <Tooltip
-            contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
-            labelStyle={{ color: '#374151' }}
-          />
-          <Area
-            type="monotone"
-            dataKey="totalContributors"
-            stroke="#34D399"
-            fill="#34D399"
-            fillOpacity={0.3}
-            name="Total Contributors"
-          />
-        </AreaChart>
+      <div className="flex justify-end gap-1 -mt-10 mb-2">
+        {VIEWS.map(v => (
+          <button
+            key={v.key}
+            onClick={() => setView(v.key)}
+            className={`px-2 py-0.5 text-xs rounded ${view === v.key ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+          >
+            {v.label}
+          </button>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={230}>
+        {view === 'active' ? (
+          <ComposedChart data={chartData}>
+            <XAxis {...axisProps} />
+            <YAxis tick={{ fill: '#6B7280', fontSize: 12 }} />
+            <Tooltip {...tooltipProps} />
+            <Legend />
+            <Area
+              type="monotone"
+              dataKey="totalContributors"
+              stroke="#34D399"
+              fill="#34D399"
+              fillOpacity={0.3}
+              name="Total Contributors"
+            />
+            <Line type="monotone" dataKey="activeContributors90d" stroke="#059669" dot={false} name="Active (90d)" />
+            <Line type="monotone" dataKey="activeContributors30d" stroke="#F59E0B" dot={false} name="Active (30d)" />
+          </ComposedChart>
+        ) : (
+          <BarChart data={newReturningData}>
+            <XAxis {...axisProps} />
+            <YAxis tick={{ fill: '#6B7280', fontSize: 12 }} allowDecimals={false} />
+            <Tooltip {...tooltipProps} />
+            <Legend />
+            <Bar dataKey="newContributors" stackId="contributors" fill="#34D399" name="New" />
+            <Bar dataKey="returningContributors" stackId="contributors" fill="#60A5FA" name="Returning" />
+          </BarChart>
+        )}
       </ResponsiveContainer>
     </ChartCard>
   );
@@ -4,6 +4,14 @@ import ForksChart from './ForksChart';
 import ContributorsChart from './ContributorsChart';
 import IssuesChart from './IssuesChart';
 import PRsChart from './PRsChart';
+import ReleasesChart from './ReleasesChart';
+import TrafficSection from './TrafficSection';
+import IssueResponsivenessCharts from './IssueResponsivenessCharts';
+import PrHealthPanel from './PrHealthPanel';
+import RetentionHeatmap from './RetentionHeatmap';
+import ConcentrationPanel from './ConcentrationPanel';
+import IdentityReview from './IdentityReview';
+import AudiencePanel from './AudiencePanel';
 import ExportButton from './ExportButton';
 
 function formatDate(isoString) {
@@ -28,7 +36,7 @@ function formatDateShort(dateStr) {
   });
 }
 
-export default function Dashboard({ repoInfo, dailyData, dataSource, lastFetched, onForceRefresh, paginationLimited, onContinueFetching, onDeleteAndRefetch }) {
+export default function Dashboard({ repoInfo, dailyData, dataSource, lastFetched, onForceRefresh, onReaggregate, paginationLimited, failedPages = [], traffic = null, monthlyMetrics = [], retentionCohorts = [], topContributors = [], commits = [], mailmap = '', onMailmapChange, audience = null, audienceProgress = null, starQuality = null, onAnalyzeAudience, onContinueFetching, onDeleteAndRefetch }) {
   const latestMetrics = dailyData[dailyData.length - 1];
   const firstDate = dailyData[0]?.date;
   const lastDate = dailyData[dailyData.length - 1]?.date;
@@ -47,6 +55,18 @@ export default function Dashboard({ repoInfo, dailyData, dataSource, lastFetched
           label: 'Incrementally updated',
           detail: 'Merged new data with cache'
         };
+      case 'raw':
+        return {
+          color: 'indigo',
+          label: 'Re-aggregated',
+          detail: 'Rebuilt from stored raw data'
+        };
+      case 'aborted':
+        return {
+          color: 'yellow',
+          label: 'Fetch stopped',
+          detail: 'Partial data saved, continue fetching to resume'
+        };
       case 'github':
       default:
         return {
@@ -107,6 +127,18 @@ export default function Dashboard({ repoInfo, dailyData, dataSource, lastFetched
             </svg>
             Update to Today
           </button>
+          <button
+            onClick={onReaggregate}
+            className="flex items-center gap-2 px-3 py-1.5 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg text-sm transition-colors whitespace-nowrap"
+            title="Rebuild daily and monthly metrics from the stored raw data, without fetching"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+              <path d="M3 12v3c0 1.657 3.134 3 7 3s7-1.343 7-3v-3c0 1.657-3.134 3-7 3s-7-1.343-7-3z" />
+              <path d="M3 7v3c0 1.657 3.134 3 7 3s7-1.343 7-3V7c0 1.657-3.134 3-7 3S3 8.657 3 7z" />
+              <path d="M17 5c0 1.657-3.134 3-7 3S3 6.657 3 5s3.134-3 7-3 7 1.343 7 3z" />
+            </svg>
+            Re-aggregate
+          </button>
           <button
             onClick={onDeleteAndRefetch}
             className="flex items-center gap-2 px-3 py-1.5 bg-red-500 hover:bg-red-600 text-white rounded-lg text-sm transition-colors whitespace-nowrap"
@@ -120,10 +152,26 @@ export default function Dashboard({ repoInfo, dailyData, dataSource, lastFetched
         </div>
       </div>
 
+      {failedPages.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-2 mb-4 text-sm text-yellow-800">
+          <span className="font-medium">
+            {failedPages.length} {failedPages.length === 1 ? 'page' : 'pages'} could not be fetched after retrying
+          </span>
+          {' '}— the data has gaps. Clear & Re-fetch to fill them.
+          <ul className="mt-1 text-xs text-yellow-700">
+            {failedPages.map((failure, i) => (
+              <li key={i}>
+                {failure.type} {failure.page ? `page ${failure.page}` : 'cursor page'}: {failure.kind}{failure.status ? ` (${failure.status})` : ''} {failure.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <SummaryCards repoInfo={repoInfo} latestMetrics={latestMetrics} />
 
       <div className="grid grid-cols-2 gap-4 mb-4">
-        <StarsChart data={dailyData} />
+        <StarsChart data={dailyData} bursts={starQuality?.bursts} />
         <ForksChart data={dailyData} />
       </div>
 
@@ -132,6 +180,28 @@ export default function Dashboard({ repoInfo, dailyData, dataSource, lastFetched
         <IssuesChart data={dailyData} />
         <PRsChart data={dailyData} />
       </div>
+
+      <div className="grid grid-cols-2 gap-4 mt-4">
+        <ReleasesChart data={dailyData} />
+      </div>
+
+      <IssueResponsivenessCharts monthlyMetrics={monthlyMetrics} />
+
+      <PrHealthPanel monthlyMetrics={monthlyMetrics} />
+
+      <RetentionHeatmap cohorts={retentionCohorts} />
+
+      <ConcentrationPanel monthlyMetrics={monthlyMetrics} topContributors={topContributors} />
+
+      {onMailmapChange && (
+        <IdentityReview key={repoInfo.name} commits={commits} mailmap={mailmap} onMailmapChange={onMailmapChange} />
+      )}
+
+      {onAnalyzeAudience && (
+        <AudiencePanel audience={audience} starQuality={starQuality} progress={audienceProgress} onAnalyze={onAnalyzeAudience} />
+      )}
+
+      {traffic && <TrafficSection traffic={traffic} />}
     </div>
   );
 }
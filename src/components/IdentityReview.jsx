@@ -0,0 +1,116 @@
+import { useState, useMemo } from 'react';
+import { parseMailmap, suggestDuplicates, mergeRules } from '../services/identities';
+
+const SUGGESTIONS_SHOWN = 20;
+
+// Suggested duplicate contributors to merge, plus the repo's identity rules in .mailmap format
+export default function IdentityReview({ commits, mailmap, onMailmapChange }) {
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const [targets, setTargets] = useState({}); // Chosen identity per suggestion, the first one by default
+  const [isEditing, setIsEditing] = useState(false);
+  const [text, setText] = useState(mailmap);
+
+  const suggestions = useMemo(
+    () => suggestDuplicates(commits, parseMailmap(mailmap)),
+    [commits, mailmap]
+  );
+  if (commits.length === 0) return null;
+
+  const groupKey = (group) => group.identities.map(identity => identity.label).join('|');
+  const shown = suggestions.filter(group => !dismissed.has(groupKey(group))).slice(0, SUGGESTIONS_SHOWN);
+
+  const handleMerge = (group) => {
+    const target = group.identities[targets[groupKey(group)] || 0];
+    const lines = mergeRules(target, group.identities);
+    const updated = [mailmap.trimEnd(), ...lines].filter(Boolean).join('\n') + '\n';
+    setText(updated);
+    onMailmapChange(updated);
+  };
+
+  const handleEdit = () => {
+    setText(mailmap);
+    setIsEditing(!isEditing);
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm mt-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">Contributor Identities</h3>
+        <button onClick={handleEdit} className="text-xs text-blue-600 hover:underline">
+          {isEditing ? 'Hide rules' : `Edit rules (${parseMailmap(mailmap).length})`}
+        </button>
+      </div>
+
+      {isEditing && (
+        <div className="mb-4">
+          <p className="text-xs text-gray-500 mb-1">
+            One rule per line in .mailmap format, e.g. <code>login &lt;old@email&gt;</code> or <code>&lt;main@email&gt; &lt;other@email&gt;</code>
+          </p>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={6}
+            className="w-full px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+          />
+          <button
+            onClick={() => onMailmapChange(text)}
+            className="mt-1 px-2 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded text-xs"
+          >
+            Save rules
+          </button>
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-500">No likely duplicates among the commit authors.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mb-2">
+            These authors share a name or email user and may be the same person. Pick the identity to keep and merge.
+          </p>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {shown.map(group => {
+              const key = groupKey(group);
+              return (
+                <div key={key} className="border border-gray-100 rounded p-2">
+                  {group.identities.map((identity, i) => (
+                    <label key={identity.label} className="flex items-start gap-2 text-xs py-0.5 cursor-pointer">
+                      <input
+                        type="radio"
+                        name={key}
+                        checked={(targets[key] || 0) === i}
+                        onChange={() => setTargets(prev => ({ ...prev, [key]: i }))}
+                        className="mt-0.5"
+                      />
+                      <span className="text-gray-800 font-medium">{identity.label}</span>
+                      <span className="text-gray-400 truncate" title={identity.emails.join(', ')}>
+                        {identity.emails.join(', ')}
+                      </span>
+                      <span className="ml-auto text-gray-500 whitespace-nowrap">
+                        {identity.commits.toLocaleString()} commits
+                      </span>
+                    </label>
+                  ))}
+                  <div className="flex gap-2 mt-1">
+                    <button
+                      onClick={() => handleMerge(group)}
+                      className="px-2 py-0.5 bg-blue-500 hover:bg-blue-600 text-white rounded text-xs"
+                    >
+                      Merge
+                    </button>
+                    <button
+                      onClick={() => setDismissed(prev => new Set(prev).add(key))}
+                      className="px-2 py-0.5 bg-gray-100 hover:bg-gray-200 text-gray-600 rounded text-xs"
+                    >
+                      Not the same
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+
+const toDays = (hours) => hours === null || hours === undefined ? null : Math.round(hours / 24 * 10) / 10;
+
+// Monthly issue responsiveness (see aggregateIssueResponsiveness): first maintainer response and time to close
+export default function IssueResponsivenessCharts({ monthlyMetrics }) {
+  const hasResponses = monthlyMetrics.some(m => m.issueFirstResponseMedianHours != null || m.issuesAnswered24hPct != null);
+  const hasCloses = monthlyMetrics.some(m => m.issueCloseMedianHours != null);
+
+  if (!hasResponses && !hasCloses) return null;
+
+  const closeData = monthlyMetrics.map(m => ({
+    monthEnd: m.monthEnd,
+    closeMedianDays: toDays(m.issueCloseMedianHours),
+    closeP90Days: toDays(m.issueCloseP90Hours)
+  }));
+
+  return (
+    <div className="grid grid-cols-2 gap-4 mt-4">
+      <ChartCard title="Issue First Response">
+        {hasResponses ? (
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={monthlyMetrics}>
+              <XAxis
+                dataKey="monthEnd"
+                tick={{ fill: '#6B7280', fontSize: 12 }}
+                tickFormatter={(val) => val.slice(0, 7)}
+              />
+              <YAxis
+                yAxisId="hours"
+                tick={{ fill: '#6B7280', fontSize: 12 }}
+                tickFormatter={(val) => `${val}h`}
+              />
+              <YAxis
+                yAxisId="pct"
+                orientation="right"
+                domain={[0, 100]}
+                tick={{ fill: '#6B7280', fontSize: 12 }}
+                tickFormatter={(val) => `${val}%`}
+              />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+                labelStyle={{ color: '#374151' }}
+              />
+              <Legend />
+              <Line yAxisId="hours" type="monotone" dataKey="issueFirstResponseMedianHours" stroke="#60A5FA" strokeWidth={2} dot={false} connectNulls name="Median (h)" />
+              <Line yAxisId="hours" type="monotone" dataKey="issueFirstResponseP90Hours" stroke="#60A5FA" strokeDasharray="4 2" dot={false} connectNulls name="p90 (h)" />
+              <Line yAxisId="pct" type="monotone" dataKey="issuesAnswered24hPct" stroke="#34D399" strokeWidth={2} dot={false} connectNulls name="Answered in 24h (%)" />
+            </LineChart>
+          </ResponsiveContainer>
+        ) : (
+          <div style={{ height: '250px' }} className="flex items-center justify-center text-gray-400">
+            <p>No maintainer comment data, re-fetch issues to compute it</p>
+          </div>
+        )}
+      </ChartCard>
+      <ChartCard title="Issue Time to Close">
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={closeData}>
+            <XAxis
+              dataKey="monthEnd"
+              tick={{ fill: '#6B7280', fontSize: 12 }}
+              tickFormatter={(val) => val.slice(0, 7)}
+            />
+            <YAxis
+              tick={{ fill: '#6B7280', fontSize: 12 }}
+              tickFormatter={(val) => `${val}d`}
+            />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+              labelStyle={{ color: '#374151' }}
+            />
+            <Legend />
+            <Line type="monotone" dataKey="closeMedianDays" stroke="#FB923C" strokeWidth={2} dot={false} connectNulls name="Median (days)" />
+            <Line type="monotone" dataKey="closeP90Days" stroke="#FB923C" strokeDasharray="4 2" dot={false} connectNulls name="p90 (days)" />
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartCard>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-export default function LoadingProgress({ progress }) {
+export default function LoadingProgress({ progress, onCancel }) {
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-6 mb-6 shadow-sm">
       <div className="flex items-center gap-3">
@@ -16,6 +16,15 @@ export default function LoadingProgress({ progress }) {
         {progress.status && (
           <span className="text-gray-500 text-sm">— {progress.status}</span>
         )}
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="ml-auto px-3 py-1.5 bg-red-500 hover:bg-red-600 text-white rounded-lg text-xs transition-colors"
+            title="Stop fetching and keep the progress so far"
+          >
+            Stop
+          </button>
+        )}
       </div>
     </div>
   );
@@ -13,6 +13,8 @@ const METRIC_MAP = {
   totalPRsClosed: { label: 'PRs Closed', changeKey: 'prsOpenedMomChange', pctKey: 'prsOpenedMomGrowthPct' }, // Using opened as proxy
   totalPRsMerged: { label: 'PRs Merged', changeKey: 'prsMergedMomChange', pctKey: 'prsMergedMomGrowthPct' },
   totalContributors: { label: 'Contributors', changeKey: 'contributorsMomChange', pctKey: 'contributorsMomGrowthPct' },
+  activeContributors30d: { label: 'Active Contributors (30d)', changeKey: 'activeContributors30dMomChange', pctKey: 'activeContributors30dMomGrowthPct' },
+  activeContributors90d: { label: 'Active Contributors (90d)', changeKey: 'activeContributors90dMomChange', pctKey: 'activeContributors90dMomGrowthPct' },
 };
 
 const VIEW_MODES = [
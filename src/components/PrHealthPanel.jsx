@@ -0,0 +1,103 @@
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+import { PR_SIZE_BUCKETS } from '../utils/dataAggregator';
+
+const SIZE_COLORS = ['#A7F3D0', '#6EE7B7', '#FCD34D', '#FB923C', '#F87171'];
+
+function Stat({ label, value }) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-lg font-semibold text-gray-800">{value ?? '—'}</p>
+    </div>
+  );
+}
+
+// Monthly pull request health (see aggregatePullRequestHealth): review and merge times, merge rate and sizes
+export default function PrHealthPanel({ monthlyMetrics }) {
+  const months = monthlyMetrics.filter(m => m.prsMergedInMonth != null || m.prReviewsAvg != null);
+  if (months.length === 0) return null;
+
+  const hasSizes = months.some(m => m.prSizeXs != null);
+
+  // Summary over the last 12 months with data
+  const recent = months.slice(-12);
+  const merged = recent.reduce((sum, m) => sum + (m.prsMergedInMonth || 0), 0);
+  const closedUnmerged = recent.reduce((sum, m) => sum + (m.prsClosedUnmergedInMonth || 0), 0);
+  const reviewed = recent.filter(m => m.prReviewsAvg != null);
+  const latest = (field) => [...recent].reverse().find(m => m[field] != null)?.[field];
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm mt-4">
+      <h3 className="text-lg font-semibold mb-3 text-gray-800">PR Health</h3>
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <Stat label="Merged / closed unmerged (12 mo)" value={`${merged.toLocaleString()} / ${closedUnmerged.toLocaleString()}`} />
+        <Stat label="Merge rate (12 mo)" value={merged + closedUnmerged > 0 ? `${Math.round(merged / (merged + closedUnmerged) * 100)}%` : null} />
+        <Stat label="Median time to merge (latest month)" value={latest('prMergeMedianHours') != null ? `${latest('prMergeMedianHours')}h` : null} />
+        <Stat
+          label="Reviews per PR (12 mo)"
+          value={reviewed.length > 0 ? Math.round(reviewed.reduce((sum, m) => sum + m.prReviewsAvg, 0) / reviewed.length * 10) / 10 : null}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <ChartCard title="Time to Review and Merge">
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={months}>
+              <XAxis
+                dataKey="monthEnd"
+                tick={{ fill: '#6B7280', fontSize: 12 }}
+                tickFormatter={(val) => val.slice(0, 7)}
+              />
+              <YAxis
+                yAxisId="hours"
+                tick={{ fill: '#6B7280', fontSize: 12 }}
+                tickFormatter={(val) => `${val}h`}
+              />
+              <YAxis
+                yAxisId="pct"
+                orientation="right"
+                domain={[0, 100]}
+                tick={{ fill: '#6B7280', fontSize: 12 }}
+                tickFormatter={(val) => `${val}%`}
+              />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+                labelStyle={{ color: '#374151' }}
+              />
+              <Legend />
+              <Line yAxisId="hours" type="monotone" dataKey="prFirstReviewMedianHours" stroke="#60A5FA" strokeWidth={2} dot={false} connectNulls name="First review, median (h)" />
+              <Line yAxisId="hours" type="monotone" dataKey="prMergeMedianHours" stroke="#A78BFA" strokeWidth={2} dot={false} connectNulls name="Merge, median (h)" />
+              <Line yAxisId="pct" type="monotone" dataKey="prMergeRatePct" stroke="#34D399" strokeDasharray="4 2" dot={false} connectNulls name="Merged of closed (%)" />
+            </LineChart>
+          </ResponsiveContainer>
+        </ChartCard>
+        <ChartCard title="PR Size (lines changed)">
+          {hasSizes ? (
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={months}>
+                <XAxis
+                  dataKey="monthEnd"
+                  tick={{ fill: '#6B7280', fontSize: 12 }}
+                  tickFormatter={(val) => val.slice(0, 7)}
+                />
+                <YAxis tick={{ fill: '#6B7280', fontSize: 12 }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+                  labelStyle={{ color: '#374151' }}
+                />
+                <Legend />
+                {PR_SIZE_BUCKETS.map((bucket, index) => (
+                  <Bar key={bucket.key} dataKey={bucket.key} stackId="size" fill={SIZE_COLORS[index]} name={bucket.label} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <div style={{ height: '250px' }} className="flex items-center justify-center text-gray-400">
+              <p>No PR size data, re-fetch pull requests to compute it</p>
+            </div>
+          )}
+        </ChartCard>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,22 @@
 import { useState, useEffect } from 'react';
 import { createGitHubClient } from '../services/githubApi';
+import { getETagCacheStats, subscribeETagCacheStats } from '../services/etagCache';
+import { DEFAULT_HOST } from '../services/hosts';
 
-export default function RateLimitStatus({ token }) {
-  const [rateLimit, setRateLimit] = useState(null);
+// Shows the core rate limit of every token in the pool
+export default function RateLimitStatus({ tokens }) {
+  const [rateLimits, setRateLimits] = useState(null); // [{ label, limit }]
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [cacheStats, setCacheStats] = useState(getETagCacheStats);
+
+  useEffect(() => subscribeETagCacheStats(setCacheStats), []);
+
+  const activeTokens = tokens.filter(t => t.token);
 
   const fetchRateLimit = async () => {
-    if (!token) {
-      setRateLimit(null);
+    if (activeTokens.length === 0) {
+      setRateLimits(null);
       return;
     }
 
@@ -16,9 +24,18 @@ export default function RateLimitStatus({ token }) {
     setError(null);
 
     try {
-      const octokit = createGitHubClient(token);
-      const { data } = await octokit.rest.rateLimit.get();
-      setRateLimit(data.resources.core);
+      const results = await Promise.all(activeTokens.map(async (t) => {
+        const octokit = createGitHubClient(t.token, t.host);
+        try {
+          const { data } = await octokit.rest.rateLimit.get();
+          return { label: t.host && t.host !== DEFAULT_HOST ? `${t.label} (${t.host})` : t.label, limit: data.resources.core };
+        } catch (err) {
+          // Enterprise hosts with rate limiting disabled answer 404
+          if (err.status === 404) return null;
+          throw err;
+        }
+      }));
+      setRateLimits(results.filter(Boolean));
     } catch (err) {
       console.error('Error fetching rate limit:', err);
       setError('Failed to fetch');
@@ -32,7 +49,7 @@ export default function RateLimitStatus({ token }) {
     // Refresh every 30 seconds
     const interval = setInterval(fetchRateLimit, 30000);
     return () => clearInterval(interval);
-  }, [token]);
+  }, [tokens]);
 
   const formatResetTime = (resetTimestamp) => {
     const resetDate = new Date(resetTimestamp * 1000);
@@ -50,11 +67,7 @@ export default function RateLimitStatus({ token }) {
     return `${diffSecs}s`;
   };
 
-  if (!token) return null;
-
-  const usagePercent = rateLimit ? ((rateLimit.limit - rateLimit.remaining) / rateLimit.limit) * 100 : 0;
-  const isLow = rateLimit && rateLimit.remaining < 100;
-  const isDepleted = rateLimit && rateLimit.remaining === 0;
+  if (activeTokens.length === 0) return null;
 
   return (
     <div className="text-xs text-gray-500 mt-3 pt-3 border-t border-gray-200">
@@ -74,31 +87,44 @@ export default function RateLimitStatus({ token }) {
 
       {error && <p className="text-red-500">{error}</p>}
 
-      {rateLimit && (
-        <>
-          <div className="flex items-center gap-2">
-            <div className="flex-1 bg-gray-200 rounded-full h-1.5">
-              <div
-                className={`h-1.5 rounded-full transition-all ${
-                  isDepleted ? 'bg-red-500' : isLow ? 'bg-yellow-500' : 'bg-green-500'
-                }`}
-                style={{ width: `${100 - usagePercent}%` }}
-              />
+      {rateLimits && rateLimits.map(({ label, limit: rateLimit }) => {
+        const usagePercent = ((rateLimit.limit - rateLimit.remaining) / rateLimit.limit) * 100;
+        const isLow = rateLimit.remaining < 100;
+        const isDepleted = rateLimit.remaining === 0;
+
+        return (
+          <div key={label} className="mb-1">
+            {rateLimits.length > 1 && <p className="text-gray-400">{label}</p>}
+            <div className="flex items-center gap-2">
+              <div className="flex-1 bg-gray-200 rounded-full h-1.5">
+                <div
+                  className={`h-1.5 rounded-full transition-all ${
+                    isDepleted ? 'bg-red-500' : isLow ? 'bg-yellow-500' : 'bg-green-500'
+                  }`}
+                  style={{ width: `${100 - usagePercent}%` }}
+                />
+              </div>
+              <span className={`font-medium ${isDepleted ? 'text-red-600' : isLow ? 'text-yellow-600' : 'text-gray-600'}`}>
+                {rateLimit.remaining}/{rateLimit.limit}
+              </span>
             </div>
-            <span className={`font-medium ${isDepleted ? 'text-red-600' : isLow ? 'text-yellow-600' : 'text-gray-600'}`}>
-              {rateLimit.remaining}/{rateLimit.limit}
-            </span>
+
+            {(isLow || isDepleted) && (
+              <p className={`mt-1 ${isDepleted ? 'text-red-600' : 'text-yellow-600'}`}>
+                Resets in {formatResetTime(rateLimit.reset)}
+              </p>
+            )}
           </div>
+        );
+      })}
 
-          {(isLow || isDepleted) && (
-            <p className={`mt-1 ${isDepleted ? 'text-red-600' : 'text-yellow-600'}`}>
-              Resets in {formatResetTime(rateLimit.reset)}
-            </p>
-          )}
-        </>
-      )}
+      {loading && !rateLimits && <p>Loading...</p>}
 
-      {loading && !rateLimit && <p>Loading...</p>}
+      {cacheStats.hits + cacheStats.misses > 0 && (
+        <p className="mt-1" title="Unchanged responses served from the ETag cache don't count against the rate limit">
+          ETag cache: {cacheStats.hits.toLocaleString()} hits / {cacheStats.misses.toLocaleString()} misses
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,74 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+
+const formatCount = (val) => val >= 1000000 ? `${(val / 1000000).toFixed(1)}M` : val >= 1000 ? `${(val / 1000).toFixed(0)}k` : val;
+
+export default function ReleasesChart({ data }) {
+  const chartData = data.filter((_, i) => i % Math.max(1, Math.floor(data.length / 100)) === 0);
+
+  const hasReleases = data.some(d => d.totalReleases > 0);
+  // Downloads start at the first snapshot, earlier days have no value
+  const hasDownloads = data.some(d => d.totalDownloads != null);
+
+  if (!hasReleases) {
+    return (
+      <ChartCard title="Releases">
+        <div style={{ height: '250px' }} className="flex items-center justify-center text-gray-400">
+          <p>No published releases</p>
+        </div>
+      </ChartCard>
+    );
+  }
+
+  return (
+    <ChartCard title="Releases">
+      <ResponsiveContainer width="100%" height={250}>
+        <LineChart data={chartData}>
+          <XAxis
+            dataKey="date"
+            tick={{ fill: '#6B7280', fontSize: 12 }}
+            tickFormatter={(val) => val.slice(5)}
+          />
+          <YAxis
+            yAxisId="releases"
+            allowDecimals={false}
+            tick={{ fill: '#6B7280', fontSize: 12 }}
+          />
+          {hasDownloads && (
+            <YAxis
+              yAxisId="downloads"
+              orientation="right"
+              tick={{ fill: '#6B7280', fontSize: 12 }}
+              tickFormatter={formatCount}
+            />
+          )}
+          <Tooltip
+            contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+            labelStyle={{ color: '#374151' }}
+          />
+          <Legend />
+          <Line
+            yAxisId="releases"
+            type="stepAfter"
+            dataKey="totalReleases"
+            stroke="#818CF8"
+            strokeWidth={2}
+            dot={false}
+            name="Releases"
+          />
+          {hasDownloads && (
+            <Line
+              yAxisId="downloads"
+              type="monotone"
+              dataKey="totalDownloads"
+              stroke="#F59E0B"
+              strokeWidth={2}
+              dot={false}
+              name="Downloads"
+            />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+}
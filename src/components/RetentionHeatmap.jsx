@@ -0,0 +1,53 @@
+import { RETENTION_OFFSETS } from '../utils/dataAggregator';
+
+// Darker green for higher retention
+function cellStyle(pct) {
+  if (pct === null) return { backgroundColor: '#F9FAFB', color: '#D1D5DB' };
+  const alpha = 0.1 + (pct / 100) * 0.9;
+  return { backgroundColor: `rgba(16, 185, 129, ${alpha})`, color: pct > 50 ? '#ffffff' : '#374151' };
+}
+
+// Contributor retention cohorts (see aggregateRetentionCohorts), one row per first-commit month
+export default function RetentionHeatmap({ cohorts }) {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm mt-4">
+      <h3 className="text-lg font-semibold mb-1 text-gray-800">Contributor Retention</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Contributors by month of first commit, and the share still committing N months later
+      </p>
+      {cohorts.length === 0 ? (
+        <p className="text-sm text-gray-400 py-8 text-center">No stored commits yet, refresh the repository to compute cohorts</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-white">
+              <tr className="text-gray-500">
+                <th className="text-left font-medium py-1 pr-2">Cohort</th>
+                <th className="text-right font-medium py-1 pr-2">Contributors</th>
+                {RETENTION_OFFSETS.map(offset => (
+                  <th key={offset} className="text-center font-medium py-1 w-20">{offset} mo</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {[...cohorts].reverse().map(cohort => (
+                <tr key={cohort.cohort} className="border-t border-gray-100">
+                  <td className="py-1 pr-2 text-gray-700">{cohort.cohort}</td>
+                  <td className="py-1 pr-2 text-right text-gray-500">{cohort.size.toLocaleString()}</td>
+                  {RETENTION_OFFSETS.map(offset => {
+                    const pct = cohort.retention[offset];
+                    return (
+                      <td key={offset} className="py-1 text-center" style={cellStyle(pct)}>
+                        {pct === null ? '—' : `${Math.round(pct)}%`}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
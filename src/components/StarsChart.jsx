@@ -1,8 +1,19 @@
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
 import ChartCard from './ChartCard';
 
-export default function StarsChart({ data }) {
-  const chartData = data.filter((_, i) => i % Math.max(1, Math.floor(data.length / 100)) === 0);
+// bursts: suspicious star bursts (see detectSuspiciousStars), marked on the days they happened
+export default function StarsChart({ data, bursts = [] }) {
+  const burstsByDate = new Map();
+  for (const burst of bursts) {
+    const day = burstsByDate.get(burst.date) || { stars: 0, suspicious: 0 };
+    burstsByDate.set(burst.date, { stars: day.stars + burst.stars, suspicious: day.suspicious + burst.suspicious });
+  }
+
+  // Burst days are always kept when sampling, so their markers sit on the line
+  const step = Math.max(1, Math.floor(data.length / 100));
+  const chartData = data
+    .filter((d, i) => i % step === 0 || burstsByDate.has(d.date))
+    .map(d => burstsByDate.has(d.date) ? { ...d, burstAt: d.totalStars, burst: burstsByDate.get(d.date) } : d);
 
   // Check if we have any star data
   const hasStarData = data.some(d => d.totalStars > 0);
@@ -36,6 +47,9 @@ export default function StarsChart({ data }) {
           <Tooltip
             contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
             labelStyle={{ color: '#374151' }}
+            formatter={(value, name, item) => name === 'Suspicious burst'
+              ? [`${item.payload.burst.stars} stars in minutes, ${item.payload.burst.suspicious} from new empty accounts`, name]
+              : [value, name]}
           />
           <Line
             type="monotone"
@@ -45,6 +59,16 @@ export default function StarsChart({ data }) {
             dot={false}
             name="Total Stars"
           />
+          {burstsByDate.size > 0 && (
+            <Line
+              dataKey="burstAt"
+              stroke="none"
+              dot={{ r: 4, fill: '#EF4444', stroke: '#EF4444' }}
+              activeDot={{ r: 6, fill: '#EF4444' }}
+              isAnimationActive={false}
+              name="Suspicious burst"
+            />
+          )}
         </LineChart>
       </ResponsiveContainer>
     </ChartCard>
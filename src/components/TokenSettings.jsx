@@ -1,10 +1,46 @@
 import { useState } from 'react';
+import { DEFAULT_HOST, createHostProfile } from '../services/hosts';
 
-export default function TokenSettings({ token, setToken, saveToken, setSaveToken }) {
+// tokens: [{ label, token, host }] - requests to a host are spread across its tokens (see services/tokenPool.js)
+// hosts: host profiles for github.com and any GitHub Enterprise Server instances (see services/hosts.js)
+export default function TokenSettings({ tokens, setTokens, hosts, setHosts, saveToken, setSaveToken }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [newHost, setNewHost] = useState({ host: '', apiUrl: '', graphqlUrl: '' });
 
-  const handleClearToken = () => {
-    setToken('');
+  const hasToken = tokens.some(t => t.token);
+
+  const updateToken = (index, field, value) => {
+    setTokens(prev => prev.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const handleAddToken = () => {
+    setTokens(prev => [...prev, { label: `Token ${prev.length + 1}`, token: '', host: DEFAULT_HOST }]);
+  };
+
+  const handleAddHost = () => {
+    const host = newHost.host.trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+    if (!host || hosts.some(h => h.host === host)) return;
+
+    setHosts(prev => [...prev, createHostProfile(host, {
+      apiUrl: newHost.apiUrl.trim(),
+      graphqlUrl: newHost.graphqlUrl.trim()
+    })]);
+    setNewHost({ host: '', apiUrl: '', graphqlUrl: '' });
+  };
+
+  // Tokens for a removed host fall back to github.com
+  const handleRemoveHost = (host) => {
+    setHosts(prev => prev.filter(h => h.host !== host));
+    setTokens(prev => prev.map(t => (t.host === host ? { ...t, host: DEFAULT_HOST } : t)));
+  };
+
+  const handleRemoveToken = (index) => {
+    setTokens(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleClearTokens = () => {
+    setTokens([]);
+    localStorage.removeItem('github_analytics_tokens');
     localStorage.removeItem('github_analytics_token');
   };
 
@@ -16,7 +52,9 @@ export default function TokenSettings({ token, setToken, saveToken, setSaveToken
       >
         <span className="text-sm text-gray-600">Settings</span>
         <div className="flex items-center gap-2">
-          {token && <span className="w-2 h-2 bg-green-500 rounded-full" title="Token set"></span>}
+          {hasToken && (
+            <span className="w-2 h-2 bg-green-500 rounded-full" title={`${tokens.filter(t => t.token).length} token(s) set`}></span>
+          )}
           <svg
             xmlns="http://www.w3.org/2000/svg"
             className={`h-4 w-4 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`}
@@ -30,28 +68,123 @@ export default function TokenSettings({ token, setToken, saveToken, setSaveToken
 
       {isOpen && (
         <div className="mt-3">
-          <label htmlFor="token" className="block text-sm font-medium text-gray-700 mb-2">
-            GitHub Token
-          </label>
-          <div className="flex gap-2">
-            <input
-              type="password"
-              id="token"
-              value={token}
-              onChange={(e) => setToken(e.target.value)}
-              placeholder="xxxxxxxxxxxxxxxx"
-              className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
-            />
-            {token && (
+          <div className="flex items-center justify-between mb-2">
+            <span className="block text-sm font-medium text-gray-700">GitHub Tokens</span>
+            {tokens.length > 0 && (
+              <button
+                type="button"
+                onClick={handleClearTokens}
+                className="text-xs text-gray-500 hover:text-gray-700"
+                title="Clear all saved tokens"
+              >
+                Clear all
+              </button>
+            )}
+          </div>
+          <div className="space-y-2">
+            {tokens.map((t, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  type="text"
+                  value={t.label}
+                  onChange={(e) => updateToken(index, 'label', e.target.value)}
+                  placeholder="Label"
+                  className="w-20 px-2 py-2 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
+                />
+                {hosts.length > 1 && (
+                  <select
+                    value={t.host || DEFAULT_HOST}
+                    onChange={(e) => updateToken(index, 'host', e.target.value)}
+                    className="w-24 px-1 py-2 bg-white border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
+                    title="Host this token belongs to"
+                  >
+                    {hosts.map(h => (
+                      <option key={h.host} value={h.host}>{h.host}</option>
+                    ))}
+                  </select>
+                )}
+                <input
+                  type="password"
+                  value={t.token}
+                  onChange={(e) => updateToken(index, 'token', e.target.value)}
+                  placeholder="xxxxxxxxxxxxxxxx"
+                  className="flex-1 min-w-0 px-3 py-2 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleRemoveToken(index)}
+                  className="px-2 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg text-xs transition-colors"
+                  title="Remove token"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={handleAddToken}
+            className="mt-2 w-full px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-xs transition-colors"
+          >
+            + Add token
+          </button>
+          {tokens.length > 1 && (
+            <p className="text-xs text-gray-500 mt-2">
+              Requests use the token with the most remaining quota.
+            </p>
+          )}
+
+          <span className="block text-sm font-medium text-gray-700 mt-4 mb-2">GitHub Enterprise Hosts</span>
+          {hosts.filter(h => h.host !== DEFAULT_HOST).map(h => (
+            <div key={h.host} className="flex items-center justify-between gap-2 mb-1">
+              <div className="min-w-0">
+                <p className="text-xs text-gray-700 truncate">{h.host}</p>
+                <p className="text-xs text-gray-400 truncate" title={`${h.apiUrl} · ${h.graphqlUrl}`}>{h.apiUrl}</p>
+              </div>
               <button
                 type="button"
-                onClick={handleClearToken}
-                className="px-2 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg text-xs transition-colors"
-                title="Clear saved token"
+                onClick={() => handleRemoveHost(h.host)}
+                className="px-2 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg text-xs transition-colors"
+                title="Remove host"
               >
-                Clear
+                ✕
               </button>
+            </div>
+          ))}
+          <div className="space-y-1">
+            <input
+              type="text"
+              value={newHost.host}
+              onChange={(e) => setNewHost(prev => ({ ...prev, host: e.target.value }))}
+              placeholder="github.example.com"
+              className="w-full px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
+            />
+            {newHost.host.trim() && (
+              <>
+                <input
+                  type="text"
+                  value={newHost.apiUrl}
+                  onChange={(e) => setNewHost(prev => ({ ...prev, apiUrl: e.target.value }))}
+                  placeholder="API URL (default https://host/api/v3)"
+                  className="w-full px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
+                />
+                <input
+                  type="text"
+                  value={newHost.graphqlUrl}
+                  onChange={(e) => setNewHost(prev => ({ ...prev, graphqlUrl: e.target.value }))}
+                  placeholder="GraphQL URL (default https://host/api/graphql)"
+                  className="w-full px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
+                />
+              </>
             )}
+            <button
+              type="button"
+              onClick={handleAddHost}
+              disabled={!newHost.host.trim()}
+              className="w-full px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-xs transition-colors"
+            >
+              + Add host
+            </button>
           </div>
           <div className="flex items-center gap-2 mt-2">
             <input
@@ -62,7 +195,7 @@ export default function TokenSettings({ token, setToken, saveToken, setSaveToken
               className="rounded border-gray-300"
             />
             <label htmlFor="saveToken" className="text-xs text-gray-600">
-              Remember token in browser
+              Remember tokens in browser
             </label>
           </div>
         </div>
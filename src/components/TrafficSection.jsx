@@ -0,0 +1,69 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+
+function TopList({ title, items, labelOf }) {
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-gray-700 mb-1">{title}</h4>
+      {items.length === 0 ? (
+        <p className="text-xs text-gray-400">No data</p>
+      ) : (
+        <table className="w-full text-xs">
+          <tbody>
+            {items.slice(0, 5).map(item => (
+              <tr key={labelOf(item)} className="border-t border-gray-100">
+                <td className="py-1 pr-2 text-gray-700 truncate max-w-0 w-full" title={labelOf(item)}>{labelOf(item)}</td>
+                <td className="py-1 text-right text-gray-500 whitespace-nowrap">{item.count.toLocaleString()}</td>
+                <td className="py-1 pl-2 text-right text-gray-400 whitespace-nowrap">{item.uniques.toLocaleString()} unique</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Accumulated traffic history (see services/traffic.js), only shown for repos with push access
+export default function TrafficSection({ traffic }) {
+  const { daily, paths, referrers } = traffic;
+  const firstDate = daily[0]?.date;
+
+  return (
+    <div className="mt-4">
+      <div className="grid grid-cols-3 gap-4">
+        <div className="col-span-2">
+          <ChartCard title={`Traffic${firstDate ? ` (since ${firstDate})` : ''}`}>
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={daily}>
+                <XAxis
+                  dataKey="date"
+                  tick={{ fill: '#6B7280', fontSize: 12 }}
+                  tickFormatter={(val) => val.slice(5)}
+                />
+                <YAxis
+                  tick={{ fill: '#6B7280', fontSize: 12 }}
+                  tickFormatter={(val) => val >= 1000 ? `${(val / 1000).toFixed(0)}k` : val}
+                />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#ffffff', border: '1px solid #e5e7eb', borderRadius: '8px' }}
+                  labelStyle={{ color: '#374151' }}
+                />
+                <Legend />
+                <Line type="monotone" dataKey="views" stroke="#60A5FA" strokeWidth={2} dot={false} name="Views" />
+                <Line type="monotone" dataKey="uniqueViews" stroke="#60A5FA" strokeDasharray="4 2" dot={false} name="Unique visitors" />
+                <Line type="monotone" dataKey="clones" stroke="#A78BFA" strokeWidth={2} dot={false} name="Clones" />
+                <Line type="monotone" dataKey="uniqueClones" stroke="#A78BFA" strokeDasharray="4 2" dot={false} name="Unique cloners" />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+        <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800">Last 14 days</h3>
+          <TopList title="Referrers" items={referrers} labelOf={r => r.referrer} />
+          <TopList title="Popular content" items={paths} labelOf={p => p.path} />
+        </div>
+      </div>
+    </div>
+  );
+}
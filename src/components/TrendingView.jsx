@@ -1,17 +1,22 @@
 import { useState, useEffect } from 'react';
 import { fetchTrendingRepos, filterNewRepos } from '../services/trendingScraper';
-import { getCachedRepos } from '../services/supabase';
+import { getCachedRepos } from '../services/cache';
 import {
   createGitHubClient,
   fetchRepoInfo,
   fetchAllStargazersGraphQL,
-  fetchAllForks,
+  fetchAllForksGraphQL,
   fetchAllIssues,
   fetchAllPullRequests,
-  fetchContributorCommits
+  fetchContributorCommits,
+  fetchAllReleases
 } from '../services/githubApi';
-import { saveRepoToCache } from '../services/supabase';
-import { aggregateToDaily } from '../utils/dataAggregator';
+import { saveRepoToCache, saveReleaseSnapshot, saveIncrementalRawData } from '../services/cache';
+import { isRateLimitError } from '../services/rateLimit';
+import { DEFAULT_HOST } from '../services/hosts';
+import { aggregateToDaily, applyDownloadSnapshots, aggregateMonthlyStats } from '../utils/dataAggregator';
+import { resolveIdentities } from '../services/identities';
+import { getExtraBots } from '../services/bots';
 
 // Load skipped repos from localStorage
 const loadSkippedRepos = () => {
@@ -52,7 +57,7 @@ export default function TrendingView({ token }) {
       const trending = await fetchTrendingRepos('weekly');
       setTrendingRepos(trending);
 
-      // Get cached repos from Supabase
+      // Get cached repos
       const cached = await getCachedRepos();
 
       // Filter to find net new repos (excluding skipped repos)
@@ -106,13 +111,15 @@ export default function TrendingView({ token }) {
         [repoPath]: { status: 'fetching', message: 'Fetching data...' }
       }));
 
-      // Fetch all data types in parallel
-      const [starsResult, forksResult, issuesResult, prsResult, commitsResult] = await Promise.all([
-        fetchAllStargazersGraphQL(token, owner, repo, () => {}),
-        fetchAllForks(octokit, owner, repo, () => {}),
-        fetchAllIssues(octokit, owner, repo, () => {}),
-        fetchAllPullRequests(octokit, owner, repo, () => {}),
-        fetchContributorCommits(octokit, owner, repo, () => {})
+      // Fetch all data types in parallel, storing the raw items as they come in
+      const onSave = (saveData) => saveIncrementalRawData(owner, repo, saveData.type, saveData.data, DEFAULT_HOST);
+      const [starsResult, forksResult, issuesResult, prsResult, commitsResult, releasesResult] = await Promise.all([
+        fetchAllStargazersGraphQL(token, owner, repo, () => {}, null, onSave),
+        fetchAllForksGraphQL(token, owner, repo, () => {}, null, onSave),
+        fetchAllIssues(octokit, owner, repo, () => {}, null, onSave),
+        fetchAllPullRequests(octokit, owner, repo, () => {}, 1, onSave),
+        fetchContributorCommits(octokit, owner, repo, () => {}, null, onSave),
+        fetchAllReleases(octokit, owner, repo, () => {})
       ]);
 
       setFetchProgress(prev => ({
@@ -120,23 +127,31 @@ export default function TrendingView({ token }) {
         [repoPath]: { status: 'fetching', message: 'Processing...' }
       }));
 
-      const aggregated = aggregateToDaily(
+      const commits = resolveIdentities(commitsResult.commits);
+      let aggregated = aggregateToDaily(
         info,
         starsResult.stargazers,
         forksResult.forks,
         issuesResult.issues,
         prsResult.prs,
-        commitsResult.commits
+        commits,
+        releasesResult.releases,
+        getExtraBots()
       );
 
+      if (releasesResult.failedPages.length === 0) {
+        const downloadHistory = await saveReleaseSnapshot(owner, repo, releasesResult.releases);
+        aggregated = applyDownloadSnapshots(aggregated, downloadHistory);
+      }
+
       const fetchState = {
         stars: {
-          limited: starsResult.hasMorePages || starsResult.hitRateLimit,
+          limited: starsResult.hasMorePages,
           cursor: starsResult.lastCursor
         },
         forks: {
-          lastPage: forksResult.hitPaginationLimit ? forksResult.lastPage : null,
-          limited: forksResult.hitPaginationLimit
+          limited: forksResult.hasMorePages,
+          cursor: forksResult.hasMorePages ? forksResult.lastCursor : null
         },
         prs: {
           lastPage: prsResult.hitPaginationLimit ? prsResult.lastPage : null,
@@ -146,7 +161,7 @@ export default function TrendingView({ token }) {
         commits: { lastDate: commitsResult.lastDate }
       };
 
-      await saveRepoToCache(owner, repo, aggregated, false, fetchState);
+      await saveRepoToCache(owner, repo, aggregated, false, fetchState, DEFAULT_HOST, aggregateMonthlyStats(issuesResult.issues, prsResult.prs, commits));
 
       setFetchProgress(prev => ({
         ...prev,
@@ -160,15 +175,15 @@ export default function TrendingView({ token }) {
       console.error(`Error fetching ${repoPath}:`, err);
 
       // Check if rate limited - wait and retry
-      const isRateLimit = err.status === 403 || err.status === 429 ||
-        err.message?.toLowerCase().includes('rate limit');
-
-      if (isRateLimit) {
-        // Get reset time from headers if available
-        const resetTime = err.response?.headers?.['x-ratelimit-reset'];
+      if (isRateLimitError(err)) {
+        // Get the wait from Retry-After (secondary limits) or the reset time if available
+        const headers = err.response?.headers || {};
+        const resetTime = headers['x-ratelimit-reset'];
         let waitMs = 60000; // Default 1 minute
 
-        if (resetTime) {
+        if (headers['retry-after']) {
+          waitMs = parseInt(headers['retry-after']) * 1000 + 5000;
+        } else if (resetTime) {
           waitMs = Math.max(0, (parseInt(resetTime) * 1000) - Date.now()) + 5000;
         }
 
@@ -0,0 +1,56 @@
+// Stargazer profile enrichment for the audience report (see aggregateAudience)
+// Profiles are cached per user in github_users, so repos with overlapping stargazers only query
+// each user once. How many users a run may query is the enrichment budget, kept in localStorage.
+import { fetchUserProfiles } from './githubApi';
+import { getUserProfiles, saveUserProfiles } from './cache';
+
+const BUDGET_KEY = 'github_analytics_enrichment_budget';
+export const DEFAULT_ENRICHMENT_BUDGET = 1000;
+
+export function getEnrichmentBudget() {
+  const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(BUDGET_KEY) : null;
+  return saved !== null && !isNaN(parseInt(saved, 10)) ? parseInt(saved, 10) : DEFAULT_ENRICHMENT_BUDGET;
+}
+
+export function saveEnrichmentBudget(budget) {
+  localStorage.setItem(BUDGET_KEY, String(budget));
+}
+
+// Profiles looked up this session by host/login, the only cache without storage
+const sessionProfiles = new Map();
+
+// Profiles of the stargazers ({ user, starredAt }), querying at most budget users that aren't cached
+// yet, most recent stargazers first. A budget of 0 only reads the cache.
+// Returns { profiles, fetched, missing, hitRateLimit, aborted }, missing being the stargazers left without one
+export async function enrichStargazers(token, stargazers, host, budget, onProgress = null, signal = null) {
+  const logins = [...stargazers]
+    .sort((a, b) => b.starredAt.localeCompare(a.starredAt))
+    .map(s => s.user);
+  const profiles = new Map();
+  const remember = (profile) => {
+    profiles.set(profile.login, profile);
+    sessionProfiles.set(`${host}/${profile.login}`, profile);
+  };
+
+  for (const login of logins) {
+    const cached = sessionProfiles.get(`${host}/${login}`);
+    if (cached) profiles.set(login, cached);
+  }
+  (await getUserProfiles(logins.filter(login => !profiles.has(login)), host)).forEach(remember);
+
+  const toFetch = logins.filter(login => !profiles.has(login)).slice(0, budget);
+  let result = { profiles: [], hitRateLimit: false, aborted: false };
+  if (toFetch.length > 0 && token) {
+    result = await fetchUserProfiles(token, toFetch, onProgress, signal);
+    await saveUserProfiles(result.profiles, host);
+    result.profiles.forEach(remember);
+  }
+
+  return {
+    profiles: logins.filter(login => profiles.has(login)).map(login => profiles.get(login)),
+    fetched: result.profiles.length,
+    missing: logins.filter(login => !profiles.has(login)).length,
+    hitRateLimit: result.hitRateLimit,
+    aborted: result.aborted
+  };
+}
@@ -0,0 +1,48 @@
+// Bot accounts (Dependabot, Renovate, GitHub Actions, ...)
+// GitHub Apps act as '<name>[bot]' with account type 'Bot'; bots running on regular user accounts
+// are matched by a configurable list of extra logins. Bot activity is aggregated separately from
+// the totals (see aggregateToDaily) so "exclude bots" works on cached data without refetching.
+
+const BOTS_KEY = 'github_analytics_bots';
+const EXCLUDE_BOTS_KEY = 'github_analytics_exclude_bots';
+
+export const DEFAULT_EXTRA_BOTS = [
+  'renovate-bot',
+  'dependabot-preview',
+  'greenkeeperio-bot',
+  'snyk-bot',
+  'codecov-commenter',
+  'pre-commit-ci'
+];
+
+// isBot runs for every commit, issue and PR, so the parsed list is kept in memory
+let extraBots = null;
+
+export function getExtraBots() {
+  if (!extraBots) {
+    const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(BOTS_KEY) : null;
+    extraBots = saved ? JSON.parse(saved) : DEFAULT_EXTRA_BOTS;
+  }
+  return extraBots;
+}
+
+export function saveExtraBots(logins) {
+  extraBots = logins;
+  localStorage.setItem(BOTS_KEY, JSON.stringify(logins));
+}
+
+export function getExcludeBots() {
+  return typeof localStorage !== 'undefined' && localStorage.getItem(EXCLUDE_BOTS_KEY) === 'true';
+}
+
+export function saveExcludeBots(exclude) {
+  localStorage.setItem(EXCLUDE_BOTS_KEY, String(exclude));
+}
+
+// type is the account type from the API ('Bot', 'User', ...) when known
+export function isBot(login, type = null, extraBots = getExtraBots()) {
+  if (!login) return false;
+  if (type === 'Bot') return true;
+  const lower = login.toLowerCase();
+  return lower.endsWith('[bot]') || extraBots.some(bot => bot.toLowerCase() === lower);
+}
@@ -0,0 +1,1076 @@
+// Cache of fetched repositories and their metrics, kept on the self-hosted backend when
+// VITE_STORAGE_API_URL is set, else in Supabase when it is configured and in the browser's IndexedDB
+// otherwise. With none available nothing is cached: reads return null or [].
+//
+// All go through a storage adapter (storage/rest.js, storage/supabase.js, storage/indexedDb.js) holding the
+// repositories table plus the tables of TABLE_KEYS, rows in the column layout of supabase/migrations:
+//   getRepo(host, owner, repo), saveRepo(record) upserting on host/owner/repo, updateRepo(host, owner, repo, fields),
+//   listRepos() most recently fetched first, deleteRepo(repoId) with all of its rows,
+//   getRows(table, repoId, { columns, orderBy, ascending, version }), upsertRows(table, rows) on the table's key,
+//   deleteRows(table, repoId, { belowVersion }), countRows(table, repoId), getUsers(host, logins, fetchedSince)
+// version / belowVersion only apply to daily_metrics, which is versioned (see saveRepoToCache).
+// Adapter methods throw when storage fails, the functions here log it and fall back.
+import { DEFAULT_HOST, parseRepoPath } from './hosts';
+import { trafficRows, trafficFromRows } from './traffic';
+import { storageApiUrl, storageApiToken, createRestStorage } from './storage/rest';
+import { supabase, createSupabaseStorage } from './storage/supabase';
+import { indexedDbAvailable, createIndexedDbStorage } from './storage/indexedDb';
+
+function createStorage() {
+  if (storageApiUrl) return createRestStorage(storageApiUrl, storageApiToken);
+  if (supabase) return createSupabaseStorage(supabase);
+  return indexedDbAvailable() ? createIndexedDbStorage() : null;
+}
+
+const storage = createStorage();
+
+// Name of the storage in use ('api', 'supabase' or 'indexeddb'), null when nothing can be cached
+export const storageName = storage?.name || null;
+
+console.log('Cache storage:', storageName || 'none');
+
+// Repos are keyed by host + owner/repo so same-named repos on GitHub Enterprise don't collide
+export async function getRepoFromCache(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return null;
+
+  try {
+    const current = await getCurrentDailyMetrics(await storage.getRepo(host, owner, repo));
+    if (!current) return null;
+    const { repoData, metrics } = current;
+
+    // Find the last date we have data for
+    const lastDate = metrics.length > 0 ? metrics[metrics.length - 1].date : null;
+
+    console.log('Returning cache with', metrics.length, 'metrics, lastDate:', lastDate);
+    return {
+      repository: repoData,
+      metrics,
+      lastDate,
+      // Fetch state for each metric type
+      fetchState: {
+        stars: {
+          lastPage: repoData.stars_last_page,
+          limited: repoData.stars_pagination_limited,
+          cursor: repoData.stars_cursor // GraphQL cursor for resuming
+        },
+        forks: {
+          lastPage: repoData.forks_last_page,
+          limited: repoData.forks_pagination_limited,
+          cursor: repoData.forks_cursor // GraphQL cursor for resuming
+        },
+        prs: {
+          lastPage: repoData.prs_last_page,
+          lastDate: repoData.prs_last_date,
+          limited: repoData.prs_pagination_limited,
+          cursor: repoData.prs_cursor // GraphQL cursor for resuming
+        },
+        issues: {
+          lastDate: repoData.issues_last_date,
+          limited: repoData.issues_pagination_limited,
+          cursor: repoData.issues_cursor // GraphQL cursor for resuming
+        },
+        commits: {
+          lastDate: repoData.commits_last_date
+        },
+        failedPages: repoData.failed_pages || [] // Pages that failed after retrying
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching from cache:', error);
+    return null;
+  }
+}
+
+// Version of daily_metrics the repo points at, 0 for repos stored before versioning
+function metricsVersion(repoData) {
+  return repoData.metrics_version ?? 0;
+}
+
+// The repo's daily_metrics in the version it points at, along with the repo as of reading them.
+// A full refresh deletes the old version right after swapping in a new one, so when the pointer
+// moved while reading, the rows may be partly gone and the new version is read instead.
+async function getCurrentDailyMetrics(repoData) {
+  for (let attempt = 0; repoData && attempt < 3; attempt++) {
+    const metrics = await storage.getRows('daily_metrics', repoData.id, { orderBy: 'date', version: metricsVersion(repoData) });
+    const latest = await storage.getRepo(repoData.host, repoData.owner, repoData.repo);
+    if (latest && metricsVersion(latest) === metricsVersion(repoData)) return { repoData: latest, metrics };
+    repoData = latest;
+  }
+  if (repoData) throw new Error('daily_metrics kept being replaced while reading');
+  return null;
+}
+
+// Row of daily_metrics for one day of aggregated metrics
+function dailyMetricRow(repoId, version, m) {
+  return {
+    repo_id: repoId,
+    version,
+    date: m.date,
+    total_stars: m.totalStars,
+    total_forks: m.totalForks,
+    total_contributors: m.totalContributors,
+    total_issues_opened: m.totalIssuesOpened,
+    total_issues_closed: m.totalIssuesClosed,
+    total_prs_opened: m.totalPRsOpened,
+    total_prs_closed: m.totalPRsClosed,
+    total_prs_merged: m.totalPRsMerged,
+    total_releases: m.totalReleases,
+    total_downloads: m.totalDownloads,
+    active_contributors_30d: m.activeContributors30d,
+    active_contributors_90d: m.activeContributors90d,
+    new_contributors: m.newContributors,
+    returning_contributors: m.returningContributors,
+    // Bot share of the totals above (see withoutBots)
+    bot_contributors: m.botContributors,
+    bot_active_contributors_30d: m.botActiveContributors30d,
+    bot_active_contributors_90d: m.botActiveContributors90d,
+    bot_new_contributors: m.botNewContributors,
+    bot_returning_contributors: m.botReturningContributors,
+    bot_issues_opened: m.botIssuesOpened,
+    bot_issues_closed: m.botIssuesClosed,
+    bot_prs_opened: m.botPRsOpened,
+    bot_prs_closed: m.botPRsClosed,
+    bot_prs_merged: m.botPRsMerged
+  };
+}
+
+// monthlyStats: issue responsiveness and PR health from aggregateMonthlyStats for the items fetched this run
+export async function saveRepoToCache(owner, repo, dailyMetrics, incrementalUpdate = false, fetchState = null, host = DEFAULT_HOST, monthlyStats = []) {
+  if (!storage) return null;
+
+  try {
+    // Upsert repository with optional fetch state for all metrics
+    const repoRecord = {
+      host,
+      owner,
+      repo,
+      last_fetched: new Date().toISOString()
+    };
+
+    // Add fetch state if provided (tracks pagination/date progress for each metric)
+    if (fetchState) {
+      if (fetchState.stars) {
+        repoRecord.stars_last_page = fetchState.stars.lastPage;
+        repoRecord.stars_pagination_limited = fetchState.stars.limited;
+        repoRecord.stars_cursor = fetchState.stars.cursor; // GraphQL cursor for resuming
+      }
+      if (fetchState.forks) {
+        repoRecord.forks_last_page = fetchState.forks.lastPage;
+        repoRecord.forks_pagination_limited = fetchState.forks.limited;
+        repoRecord.forks_cursor = fetchState.forks.cursor; // GraphQL cursor for resuming
+      }
+      if (fetchState.prs) {
+        repoRecord.prs_last_page = fetchState.prs.lastPage;
+        repoRecord.prs_last_date = fetchState.prs.lastDate;
+        repoRecord.prs_pagination_limited = fetchState.prs.limited;
+        repoRecord.prs_cursor = fetchState.prs.cursor; // GraphQL cursor for resuming
+      }
+      // Issues track a GraphQL cursor plus the date they are complete up to, commits use date-based 'since' parameter
+      if (fetchState.issues) {
+        repoRecord.issues_last_date = fetchState.issues.lastDate;
+        repoRecord.issues_pagination_limited = fetchState.issues.limited;
+        repoRecord.issues_cursor = fetchState.issues.cursor;
+      }
+      if (fetchState.commits) {
+        repoRecord.commits_last_date = fetchState.commits.lastDate;
+      }
+      if (fetchState.failedPages) {
+        repoRecord.failed_pages = fetchState.failedPages;
+      }
+    }
+    let repoData;
+
+    if (incrementalUpdate) {
+      repoData = await storage.saveRepo(repoRecord);
+      await storage.upsertRows('daily_metrics', dailyMetrics.map(m => dailyMetricRow(repoData.id, metricsVersion(repoData), m)));
+    } else {
+      // Full refresh: stage the metrics as a new version, then swap it in by pointing the repo at it
+      // in the same write as its fetch state, so readers only ever see a complete version. If staging
+      // fails the repo keeps its current version, and the next full refresh clears the leftovers.
+      const current = await storage.getRepo(host, owner, repo) || await storage.saveRepo({ host, owner, repo });
+      const version = Math.max(Date.now(), metricsVersion(current) + 1);
+      await storage.upsertRows('daily_metrics', dailyMetrics.map(m => dailyMetricRow(current.id, version, m)));
+      repoData = await storage.saveRepo({ ...repoRecord, metrics_version: version });
+      await storage.deleteRows('daily_metrics', repoData.id, { belowVersion: version });
+    }
+
+    // Calculate and save monthly metrics
+    // An incremental update only has some of the issues and PRs, months it has none of keep their stored stats
+    const stats = incrementalUpdate
+      ? mergeMonthlyStats(await getStoredMonthlyStats(repoData.id), monthlyStats)
+      : monthlyStats;
+    const monthlyMetrics = calculateMonthlyMetrics(dailyMetrics, stats);
+    await saveMonthlyMetrics(repoData.id, monthlyMetrics);
+
+    return repoData;
+  } catch (error) {
+    console.error('Error saving to cache:', error);
+    return null;
+  }
+}
+
+export function transformCachedMetrics(metrics) {
+  return metrics.map(m => ({
+    date: m.date,
+    totalStars: m.total_stars,
+    totalForks: m.total_forks,
+    totalContributors: m.total_contributors,
+    totalIssuesOpened: m.total_issues_opened,
+    totalIssuesClosed: m.total_issues_closed,
+    totalPRsOpened: m.total_prs_opened,
+    totalPRsClosed: m.total_prs_closed,
+    totalPRsMerged: m.total_prs_merged,
+    totalReleases: m.total_releases ?? 0,
+    totalDownloads: m.total_downloads,
+    activeContributors30d: m.active_contributors_30d ?? 0,
+    activeContributors90d: m.active_contributors_90d ?? 0,
+    newContributors: m.new_contributors ?? 0,
+    returningContributors: m.returning_contributors ?? 0,
+    // Null for days stored before bots were tracked
+    botContributors: m.bot_contributors,
+    botActiveContributors30d: m.bot_active_contributors_30d,
+    botActiveContributors90d: m.bot_active_contributors_90d,
+    botNewContributors: m.bot_new_contributors,
+    botReturningContributors: m.bot_returning_contributors,
+    botIssuesOpened: m.bot_issues_opened,
+    botIssuesClosed: m.bot_issues_closed,
+    botPRsOpened: m.bot_prs_opened,
+    botPRsClosed: m.bot_prs_closed,
+    botPRsMerged: m.bot_prs_merged
+  }));
+}
+
+export async function getCachedRepos() {
+  if (!storage) return [];
+
+  try {
+    return await storage.listRepos();
+  } catch (error) {
+    console.error('Error fetching cached repos:', error);
+    return [];
+  }
+}
+
+// Tables holding history that only exists because we stored it at the time
+const HISTORY_TABLES = ['release_snapshots', 'traffic_daily', 'traffic_paths', 'traffic_referrers'];
+
+// Delete a repository and its metrics from cache
+export async function deleteRepoFromCache(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return false;
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+
+    if (repoData) {
+      await storage.deleteRows('daily_metrics', repoData.id);
+      for (const { table } of Object.values(RAW_TABLES)) {
+        await storage.deleteRows(table, repoData.id);
+      }
+
+      // Traffic and release download history can't be fetched again, so a repository that has
+      // some keeps its row (the fresh fetch that follows overwrites its fetch state)
+      const historyCounts = await Promise.all(HISTORY_TABLES.map(table => storage.countRows(table, repoData.id)));
+
+      if (historyCounts.every(count => count === 0)) {
+        await storage.deleteRepo(repoData.id);
+      }
+    }
+
+    console.log(`Deleted ${owner}/${repo} from cache`);
+    return true;
+  } catch (error) {
+    console.error('Error deleting from cache:', error);
+    return false;
+  }
+}
+
+// Fields of a monthly metric that aren't derived from daily metrics (see aggregateMonthlyStats)
+const MONTHLY_STAT_FIELDS = [
+  'issueFirstResponseMedianHours',
+  'issueFirstResponseP90Hours',
+  'issuesAnswered24hPct',
+  'issueCloseMedianHours',
+  'issueCloseP90Hours',
+  'prMergeMedianHours',
+  'prsMergedInMonth',
+  'prsClosedUnmergedInMonth',
+  'prMergeRatePct',
+  'prFirstReviewMedianHours',
+  'prReviewsAvg',
+  'prUniqueReviewers',
+  'prSizeXs',
+  'prSizeS',
+  'prSizeM',
+  'prSizeL',
+  'prSizeXl',
+  'newContributorsInMonth',
+  'returningContributorsInMonth',
+  'busFactor',
+  'commitGini',
+  'top5CommitSharePct'
+];
+
+// Replace the stored fields of each month with the ones that have new stats
+function mergeMonthlyStats(stored, fresh) {
+  const byMonth = new Map(stored.map(m => [m.monthEnd, m]));
+  for (const m of fresh) {
+    byMonth.set(m.monthEnd, { ...byMonth.get(m.monthEnd), ...m });
+  }
+  return Array.from(byMonth.values());
+}
+
+async function getStoredMonthlyStats(repoId) {
+  return transformMonthlyMetrics(await storage.getRows('monthly_metrics', repoId));
+}
+
+// Calculate monthly metrics from daily metrics, plus per-month issue and PR stats
+export function calculateMonthlyMetrics(dailyMetrics, monthlyStats = []) {
+  if (!dailyMetrics || dailyMetrics.length === 0) return [];
+
+  const statsByMonth = new Map(monthlyStats.map(m => [m.monthEnd, m]));
+
+  // Group daily metrics by month (using month-end date)
+  const monthlyData = new Map();
+
+  for (const day of dailyMetrics) {
+    const date = new Date(day.date);
+    // Get the last day of the month
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    const monthEndStr = monthEnd.toISOString().split('T')[0];
+
+    // Keep the latest day's data for each month (which represents month-end values)
+    if (!monthlyData.has(monthEndStr) || day.date > monthlyData.get(monthEndStr).date) {
+      monthlyData.set(monthEndStr, {
+        monthEnd: monthEndStr,
+        date: day.date,
+        stars: day.totalStars || 0,
+        forks: day.totalForks || 0,
+        issuesOpened: day.totalIssuesOpened || 0,
+        issuesClosed: day.totalIssuesClosed || 0,
+        prsOpened: day.totalPRsOpened || 0,
+        prsMerged: day.totalPRsMerged || 0,
+        contributors: day.totalContributors || 0,
+        activeContributors30d: day.activeContributors30d || 0,
+        activeContributors90d: day.activeContributors90d || 0
+      });
+    }
+  }
+
+  // Sort by month and calculate MoM changes
+  const sortedMonths = Array.from(monthlyData.values())
+    .sort((a, b) => a.monthEnd.localeCompare(b.monthEnd));
+
+  return sortedMonths.map((month, index) => {
+    const prevMonth = index > 0 ? sortedMonths[index - 1] : null;
+
+    const calcChange = (current, previous) => previous !== null ? current - previous : null;
+    const calcGrowthPct = (current, previous) => {
+      if (previous === null || previous === 0) return null;
+      return Math.round(((current - previous) / previous) * 10000) / 100; // 2 decimal places
+    };
+
+    return {
+      monthEnd: month.monthEnd,
+
+      starsAtMonthEnd: month.stars,
+      starsMomChange: calcChange(month.stars, prevMonth?.stars ?? null),
+      starsMomGrowthPct: calcGrowthPct(month.stars, prevMonth?.stars ?? null),
+
+      forksAtMonthEnd: month.forks,
+      forksMomChange: calcChange(month.forks, prevMonth?.forks ?? null),
+      forksMomGrowthPct: calcGrowthPct(month.forks, prevMonth?.forks ?? null),
+
+      issuesOpenedAtMonthEnd: month.issuesOpened,
+      issuesOpenedMomChange: calcChange(month.issuesOpened, prevMonth?.issuesOpened ?? null),
+      issuesOpenedMomGrowthPct: calcGrowthPct(month.issuesOpened, prevMonth?.issuesOpened ?? null),
+
+      issuesClosedAtMonthEnd: month.issuesClosed,
+      issuesClosedMomChange: calcChange(month.issuesClosed, prevMonth?.issuesClosed ?? null),
+      issuesClosedMomGrowthPct: calcGrowthPct(month.issuesClosed, prevMonth?.issuesClosed ?? null),
+
+      prsOpenedAtMonthEnd: month.prsOpened,
+      prsOpenedMomChange: calcChange(month.prsOpened, prevMonth?.prsOpened ?? null),
+      prsOpenedMomGrowthPct: calcGrowthPct(month.prsOpened, prevMonth?.prsOpened ?? null),
+
+      prsMergedAtMonthEnd: month.prsMerged,
+      prsMergedMomChange: calcChange(month.prsMerged, prevMonth?.prsMerged ?? null),
+      prsMergedMomGrowthPct: calcGrowthPct(month.prsMerged, prevMonth?.prsMerged ?? null),
+
+      contributorsAtMonthEnd: month.contributors,
+      contributorsMomChange: calcChange(month.contributors, prevMonth?.contributors ?? null),
+      contributorsMomGrowthPct: calcGrowthPct(month.contributors, prevMonth?.contributors ?? null),
+
+      activeContributors30dAtMonthEnd: month.activeContributors30d,
+      activeContributors30dMomChange: calcChange(month.activeContributors30d, prevMonth?.activeContributors30d ?? null),
+      activeContributors30dMomGrowthPct: calcGrowthPct(month.activeContributors30d, prevMonth?.activeContributors30d ?? null),
+
+      activeContributors90dAtMonthEnd: month.activeContributors90d,
+      activeContributors90dMomChange: calcChange(month.activeContributors90d, prevMonth?.activeContributors90d ?? null),
+      activeContributors90dMomGrowthPct: calcGrowthPct(month.activeContributors90d, prevMonth?.activeContributors90d ?? null),
+
+      ...Object.fromEntries(MONTHLY_STAT_FIELDS.map(field => [
+        field,
+        statsByMonth.get(month.monthEnd)?.[field] ?? null
+      ]))
+    };
+  });
+}
+
+// Row of monthly_metrics for one month of calculateMonthlyMetrics
+function monthlyMetricRow(repoId, m) {
+  return {
+    repo_id: repoId,
+    month_end: m.monthEnd,
+    stars_at_month_end: m.starsAtMonthEnd,
+    stars_mom_change: m.starsMomChange,
+    stars_mom_growth_pct: m.starsMomGrowthPct,
+    forks_at_month_end: m.forksAtMonthEnd,
+    forks_mom_change: m.forksMomChange,
+    forks_mom_growth_pct: m.forksMomGrowthPct,
+    issues_opened_at_month_end: m.issuesOpenedAtMonthEnd,
+    issues_opened_mom_change: m.issuesOpenedMomChange,
+    issues_opened_mom_growth_pct: m.issuesOpenedMomGrowthPct,
+    issues_closed_at_month_end: m.issuesClosedAtMonthEnd,
+    issues_closed_mom_change: m.issuesClosedMomChange,
+    issues_closed_mom_growth_pct: m.issuesClosedMomGrowthPct,
+    prs_opened_at_month_end: m.prsOpenedAtMonthEnd,
+    prs_opened_mom_change: m.prsOpenedMomChange,
+    prs_opened_mom_growth_pct: m.prsOpenedMomGrowthPct,
+    prs_merged_at_month_end: m.prsMergedAtMonthEnd,
+    prs_merged_mom_change: m.prsMergedMomChange,
+    prs_merged_mom_growth_pct: m.prsMergedMomGrowthPct,
+    contributors_at_month_end: m.contributorsAtMonthEnd,
+    contributors_mom_change: m.contributorsMomChange,
+    contributors_mom_growth_pct: m.contributorsMomGrowthPct,
+    active_contributors_30d_at_month_end: m.activeContributors30dAtMonthEnd,
+    active_contributors_30d_mom_change: m.activeContributors30dMomChange,
+    active_contributors_30d_mom_growth_pct: m.activeContributors30dMomGrowthPct,
+    active_contributors_90d_at_month_end: m.activeContributors90dAtMonthEnd,
+    active_contributors_90d_mom_change: m.activeContributors90dMomChange,
+    active_contributors_90d_mom_growth_pct: m.activeContributors90dMomGrowthPct,
+    issue_first_response_median_hours: m.issueFirstResponseMedianHours,
+    issue_first_response_p90_hours: m.issueFirstResponseP90Hours,
+    issues_answered_24h_pct: m.issuesAnswered24hPct,
+    issue_close_median_hours: m.issueCloseMedianHours,
+    issue_close_p90_hours: m.issueCloseP90Hours,
+    pr_merge_median_hours: m.prMergeMedianHours,
+    prs_merged_in_month: m.prsMergedInMonth,
+    prs_closed_unmerged_in_month: m.prsClosedUnmergedInMonth,
+    pr_merge_rate_pct: m.prMergeRatePct,
+    pr_first_review_median_hours: m.prFirstReviewMedianHours,
+    pr_reviews_avg: m.prReviewsAvg,
+    pr_unique_reviewers: m.prUniqueReviewers,
+    pr_size_xs: m.prSizeXs,
+    pr_size_s: m.prSizeS,
+    pr_size_m: m.prSizeM,
+    pr_size_l: m.prSizeL,
+    pr_size_xl: m.prSizeXl,
+    new_contributors_in_month: m.newContributorsInMonth,
+    returning_contributors_in_month: m.returningContributorsInMonth,
+    bus_factor: m.busFactor,
+    commit_gini: m.commitGini,
+    top5_commit_share_pct: m.top5CommitSharePct,
+    updated_at: new Date().toISOString()  };
+}
+
+// Replace the stored monthly metrics of a repository
+export async function saveMonthlyMetrics(repoId, monthlyMetrics) {
+  if (!storage || !monthlyMetrics || monthlyMetrics.length === 0) return;
+
+  try {
+    await storage.deleteRows('monthly_metrics', repoId);
+    await storage.upsertRows('monthly_metrics', monthlyMetrics.map(m => monthlyMetricRow(repoId, m)));
+    console.log(`Saved ${monthlyMetrics.length} monthly metrics for repo ${repoId}`);
+  } catch (error) {
+    console.error('Error saving monthly metrics:', error);
+  }
+}
+
+// Fetch monthly metrics for a repository
+export async function getMonthlyMetrics(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return [];
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    if (!repoData) return [];
+    return await storage.getRows('monthly_metrics', repoData.id, { orderBy: 'month_end' });
+  } catch (error) {
+    console.error('Error fetching monthly metrics:', error);
+    return [];
+  }
+}
+
+// Transform monthly metrics from DB format to frontend format
+export function transformMonthlyMetrics(metrics) {
+  return metrics.map(m => ({
+    monthEnd: m.month_end,
+    starsAtMonthEnd: m.stars_at_month_end,
+    starsMomChange: m.stars_mom_change,
+    starsMomGrowthPct: m.stars_mom_growth_pct,
+    forksAtMonthEnd: m.forks_at_month_end,
+    forksMomChange: m.forks_mom_change,
+    forksMomGrowthPct: m.forks_mom_growth_pct,
+    issuesOpenedAtMonthEnd: m.issues_opened_at_month_end,
+    issuesOpenedMomChange: m.issues_opened_mom_change,
+    issuesOpenedMomGrowthPct: m.issues_opened_mom_growth_pct,
+    issuesClosedAtMonthEnd: m.issues_closed_at_month_end,
+    issuesClosedMomChange: m.issues_closed_mom_change,
+    issuesClosedMomGrowthPct: m.issues_closed_mom_growth_pct,
+    prsOpenedAtMonthEnd: m.prs_opened_at_month_end,
+    prsOpenedMomChange: m.prs_opened_mom_change,
+    prsOpenedMomGrowthPct: m.prs_opened_mom_growth_pct,
+    prsMergedAtMonthEnd: m.prs_merged_at_month_end,
+    prsMergedMomChange: m.prs_merged_mom_change,
+    prsMergedMomGrowthPct: m.prs_merged_mom_growth_pct,
+    contributorsAtMonthEnd: m.contributors_at_month_end,
+    contributorsMomChange: m.contributors_mom_change,
+    contributorsMomGrowthPct: m.contributors_mom_growth_pct,
+    activeContributors30dAtMonthEnd: m.active_contributors_30d_at_month_end,
+    activeContributors30dMomChange: m.active_contributors_30d_mom_change,
+    activeContributors30dMomGrowthPct: m.active_contributors_30d_mom_growth_pct,
+    activeContributors90dAtMonthEnd: m.active_contributors_90d_at_month_end,
+    activeContributors90dMomChange: m.active_contributors_90d_mom_change,
+    activeContributors90dMomGrowthPct: m.active_contributors_90d_mom_growth_pct,
+    issueFirstResponseMedianHours: m.issue_first_response_median_hours,
+    issueFirstResponseP90Hours: m.issue_first_response_p90_hours,
+    issuesAnswered24hPct: m.issues_answered_24h_pct,
+    issueCloseMedianHours: m.issue_close_median_hours,
+    issueCloseP90Hours: m.issue_close_p90_hours,
+    prMergeMedianHours: m.pr_merge_median_hours,
+    prsMergedInMonth: m.prs_merged_in_month,
+    prsClosedUnmergedInMonth: m.prs_closed_unmerged_in_month,
+    prMergeRatePct: m.pr_merge_rate_pct,
+    prFirstReviewMedianHours: m.pr_first_review_median_hours,
+    prReviewsAvg: m.pr_reviews_avg,
+    prUniqueReviewers: m.pr_unique_reviewers,
+    prSizeXs: m.pr_size_xs,
+    prSizeS: m.pr_size_s,
+    prSizeM: m.pr_size_m,
+    prSizeL: m.pr_size_l,
+    prSizeXl: m.pr_size_xl,
+    newContributorsInMonth: m.new_contributors_in_month,
+    returningContributorsInMonth: m.returning_contributors_in_month,
+    busFactor: m.bus_factor,
+    commitGini: m.commit_gini,
+    top5CommitSharePct: m.top5_commit_share_pct
+  }));
+}
+
+// Backfill monthly metrics for all cached repos from existing daily data
+export async function backfillAllMonthlyMetrics() {
+  if (!storage) return { success: false, message: 'No cache storage available' };
+
+  try {
+    const repos = await storage.listRepos();
+
+    let processed = 0;
+    for (const repo of repos) {
+      const dailyMetrics = await storage.getRows('daily_metrics', repo.id, { orderBy: 'date', version: metricsVersion(repo) });
+
+      if (dailyMetrics.length > 0) {
+        // Transform to frontend format
+        const transformed = transformCachedMetrics(dailyMetrics);
+        // Calculate monthly metrics, keeping the issue and PR stats that can't be derived from daily data
+        const monthlyMetrics = calculateMonthlyMetrics(transformed, await getStoredMonthlyStats(repo.id));
+        await saveMonthlyMetrics(repo.id, monthlyMetrics);
+        processed++;
+        console.log(`Backfilled monthly metrics for ${repo.owner}/${repo.repo}`);
+      }
+    }
+
+    return { success: true, message: `Backfilled ${processed} repositories` };
+  } catch (error) {
+    console.error('Error backfilling monthly metrics:', error);
+    return { success: false, message: error.message };
+  }
+}
+
+// Get monthly metrics for multiple repos (for comparison)
+export async function getMonthlyMetricsForRepos(repoKeys) {
+  if (!storage || !repoKeys || repoKeys.length === 0) return {};
+
+  try {
+    const result = {};
+
+    for (const repoKey of repoKeys) {
+      const { host, owner, repo } = parseRepoPath(repoKey);
+      const repoData = await storage.getRepo(host, owner, repo);
+      if (!repoData) continue;
+
+      const metrics = await storage.getRows('monthly_metrics', repoData.id, { orderBy: 'month_end' });
+      result[repoKey] = transformMonthlyMetrics(metrics);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error fetching monthly metrics for repos:', error);
+    return {};
+  }
+}
+
+// Get or create a repository record (for incremental saving)
+export async function getOrCreateRepo(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return null;
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    if (repoData) return repoData;
+    return await storage.saveRepo({ host, owner, repo, last_fetched: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error in getOrCreateRepo:', error);
+    return null;
+  }
+}
+
+// Fetch state to save once the fetchers are done, from their results. Stars and forks only ever gain
+// items, so they keep their last cursor even when complete and a refresh only reads the new ones.
+// Issues and PRs keep a cursor while pages are left and the date they are complete up to, a refresh
+// reads what was created or updated since (see fetchAllIssuesGraphQL). Commits keep the newest date seen.
+export function fetchStateFromResults({ stars, forks, issues, prs, commits }, failedPages) {
+  const appendOnlyState = (result) => ({
+    lastPage: null, // Not used for GraphQL
+    limited: result.hasMorePages,
+    cursor: result.lastCursor
+  });
+  const updatableState = (result) => ({
+    lastPage: null,
+    limited: result.hasMorePages,
+    cursor: result.hasMorePages ? result.lastCursor : null,
+    lastDate: result.lastDate
+  });
+
+  return {
+    stars: appendOnlyState(stars),
+    forks: appendOnlyState(forks),
+    prs: updatableState(prs),
+    issues: updatableState(issues),
+    commits: { lastDate: commits.lastDate },
+    failedPages
+  };
+}
+
+// Update fetch progress/state for a repository (cursor, page, etc.)
+export async function updateFetchProgress(owner, repo, fetchState, host = DEFAULT_HOST) {
+  if (!storage) return false;
+
+  try {
+    const updateData = {
+      last_fetched: new Date().toISOString()
+    };
+
+    // Add fetch state fields
+    if (fetchState.stars) {
+      updateData.stars_last_page = fetchState.stars.lastPage;
+      updateData.stars_pagination_limited = fetchState.stars.limited;
+      updateData.stars_cursor = fetchState.stars.cursor;
+    }
+    if (fetchState.forks) {
+      updateData.forks_last_page = fetchState.forks.lastPage;
+      updateData.forks_pagination_limited = fetchState.forks.limited;
+      updateData.forks_cursor = fetchState.forks.cursor;
+    }
+    if (fetchState.prs) {
+      updateData.prs_last_page = fetchState.prs.lastPage;
+      updateData.prs_last_date = fetchState.prs.lastDate;
+      updateData.prs_pagination_limited = fetchState.prs.limited;
+      updateData.prs_cursor = fetchState.prs.cursor;
+    }
+    if (fetchState.issues) {
+      updateData.issues_last_date = fetchState.issues.lastDate;
+      updateData.issues_pagination_limited = fetchState.issues.limited;
+      updateData.issues_cursor = fetchState.issues.cursor;
+    }
+    if (fetchState.commits) {
+      updateData.commits_last_date = fetchState.commits.lastDate;
+    }
+    if (fetchState.failedPages) {
+      updateData.failed_pages = fetchState.failedPages;
+    }
+    // Track if fetch is in progress (for resume detection)
+    if (fetchState.inProgress !== undefined) {
+      updateData.fetch_in_progress = fetchState.inProgress;
+    }
+    await storage.updateRepo(host, owner, repo, updateData);
+    return true;
+  } catch (error) {
+    console.error('Error in updateFetchProgress:', error);
+    return false;
+  }
+}
+
+// Raw fetch data by fetcher type (the type passed to onSave), one table each keyed on its natural key
+// so refetched items overwrite themselves instead of being counted twice
+const RAW_TABLES = {
+  stars: {
+    table: 'raw_stargazers',
+    key: 'login',
+    columns: 'login, starred_at',
+    orderBy: 'starred_at',
+    toRow: (s) => ({ login: s.user, starred_at: s.starredAt }),
+    fromRow: (r) => ({ user: r.login, starredAt: r.starred_at })
+  },
+  forks: {
+    table: 'raw_forks',
+    key: 'owner',
+    columns: 'owner, created_at',
+    orderBy: 'created_at',
+    toRow: (f) => ({ owner: f.owner, created_at: f.createdAt }),
+    fromRow: (r) => ({ owner: r.owner, createdAt: r.created_at })
+  },
+  // Issues and PRs keep the whole fetched item, the latest fetch of one wins (e.g. once it is closed)
+  issues: {
+    table: 'raw_issues',
+    key: 'number',
+    columns: 'data',
+    orderBy: 'created_at',
+    toRow: (i) => ({ number: i.number, created_at: i.createdAt, data: i }),
+    fromRow: (r) => r.data
+  },
+  prs: {
+    table: 'raw_prs',
+    key: 'number',
+    columns: 'data',
+    orderBy: 'created_at',
+    toRow: (pr) => ({ number: pr.number, created_at: pr.createdAt, data: pr }),
+    fromRow: (r) => r.data
+  },
+  commits: {
+    table: 'raw_commits',
+    key: 'sha',
+    columns: 'sha, author, author_type, author_login, author_name, author_email, co_authors, committed_at',
+    orderBy: 'committed_at',
+    toRow: (c) => ({
+      sha: c.sha,
+      author: c.author || null,
+      author_type: c.authorType || null,
+      author_login: c.login || null,
+      author_name: c.name || null,
+      author_email: c.email || null,
+      co_authors: c.coAuthors || [],
+      committed_at: c.date
+    }),
+    fromRow: (r) => ({
+      sha: r.sha,
+      author: r.author,
+      authorType: r.author_type,
+      login: r.author_login,
+      name: r.author_name,
+      email: r.author_email,
+      coAuthors: r.co_authors || [],
+      date: r.committed_at
+    })
+  }
+};
+
+// Upsert raw fetch data (the items a fetcher hands to onSave) into its raw table
+// Types without a raw table (e.g. releases) are ignored
+export async function saveIncrementalRawData(owner, repo, dataType, items, host = DEFAULT_HOST) {
+  const config = RAW_TABLES[dataType];
+  if (!storage || !config || !items || items.length === 0) return true;
+
+  try {
+    const repoData = await getOrCreateRepo(owner, repo, host);
+    if (!repoData) return false;
+
+    // An upsert can't touch the same row twice, so duplicates within the batch keep the last one
+    const rows = new Map();
+    for (const item of items) {
+      const row = { repo_id: repoData.id, ...config.toRow(item) };
+      rows.set(row[config.key], row);
+    }
+
+    await storage.upsertRows(config.table, Array.from(rows.values()));
+    return true;
+  } catch (error) {
+    console.error(`Error saving incremental ${dataType}:`, error);
+    return false;
+  }
+}
+
+// Every stored item of one raw type for a repo, oldest first, in the shape the fetcher returned it
+async function loadRawItems(repoId, dataType) {
+  const config = RAW_TABLES[dataType];
+  const rows = await storage.getRows(config.table, repoId, { columns: config.columns, orderBy: config.orderBy });
+  return rows.map(config.fromRow);
+}
+
+async function getRawItems(owner, repo, dataType, host) {
+  if (!storage) return [];
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    if (!repoData) return [];
+    return await loadRawItems(repoData.id, dataType);
+  } catch (error) {
+    console.error(`Error fetching raw ${dataType}:`, error);
+    return [];
+  }
+}
+
+// All stored commits of a repo as { sha, author, authorType, login, name, email, coAuthors, date }, oldest first
+export async function getRawCommits(owner, repo, host = DEFAULT_HOST) {
+  return getRawItems(owner, repo, 'commits', host);
+}
+
+// All stored stargazers of a repo as { user, starredAt }, oldest first
+export async function getRawStargazers(owner, repo, host = DEFAULT_HOST) {
+  return getRawItems(owner, repo, 'stars', host);
+}
+
+// All stored issues and pull requests of a repo, oldest first, as the fetchers returned them
+export async function getRawIssues(owner, repo, host = DEFAULT_HOST) {
+  return getRawItems(owner, repo, 'issues', host);
+}
+
+export async function getRawPullRequests(owner, repo, host = DEFAULT_HOST) {
+  return getRawItems(owner, repo, 'prs', host);
+}
+
+// Everything stored raw for a repo as { stargazers, forks, issues, prs, commits }, the inputs of aggregateToDaily
+export async function getRawData(owner, repo, host = DEFAULT_HOST) {
+  const [stargazers, forks, issues, prs, commits] = await Promise.all(
+    ['stars', 'forks', 'issues', 'prs', 'commits'].map(type => getRawItems(owner, repo, type, host))
+  );
+  return { stargazers, forks, issues, prs, commits };
+}
+
+// How many events of each type are stored raw for a repo, keyed like RAW_TABLES; null without storage
+export async function getRawCounts(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return null;
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    if (!repoData) return null;
+
+    const counts = {};
+    for (const [type, { table }] of Object.entries(RAW_TABLES)) {
+      counts[type] = await storage.countRows(table, repoData.id);
+    }
+    return counts;
+  } catch (error) {
+    console.error('Error counting raw data:', error);
+    return null;
+  }
+}
+
+// Save partial daily metrics during fetch (upsert to not lose existing data)
+export async function savePartialMetrics(owner, repo, dailyMetrics, host = DEFAULT_HOST) {
+  if (!storage || !dailyMetrics || dailyMetrics.length === 0) return true;
+
+  try {
+    const repoData = await getOrCreateRepo(owner, repo, host);
+    if (!repoData) return false;
+
+    await storage.upsertRows('daily_metrics', dailyMetrics.map(m => dailyMetricRow(repoData.id, metricsVersion(repoData), m)));
+    console.log(`Saved ${dailyMetrics.length} partial metrics for ${owner}/${repo}`);
+    return true;
+  } catch (error) {
+    console.error('Error saving partial metrics:', error);
+    return false;
+  }
+}
+
+// Check for incomplete fetches that can be resumed
+export async function getIncompleteFetches() {
+  if (!storage) return [];
+
+  try {
+    return (await storage.listRepos()).filter(repo => repo.fetch_in_progress);
+  } catch (error) {
+    console.error('Error in getIncompleteFetches:', error);
+    return [];
+  }
+}
+
+// Download totals of release_snapshots rows summed per day as [{ date, totalDownloads }]
+function downloadTotals(snapshots) {
+  const totals = new Map();
+  for (const row of snapshots) {
+    totals.set(row.captured_on, (totals.get(row.captured_on) || 0) + row.downloads);
+  }
+  return Array.from(totals, ([date, totalDownloads]) => ({ date, totalDownloads }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Record today's download counts for every release and return the download history as
+// [{ date, totalDownloads }], one entry per day a snapshot was taken (see applyDownloadSnapshots)
+// Without storage only today's snapshot is returned
+export async function saveReleaseSnapshot(owner, repo, releases, host = DEFAULT_HOST) {
+  const today = new Date().toISOString().split('T')[0];
+  const todayTotal = [{ date: today, totalDownloads: releases.reduce((sum, r) => sum + r.downloads, 0) }];
+  if (!storage) return todayTotal;
+
+  try {
+    const repoData = await getOrCreateRepo(owner, repo, host);
+    if (!repoData) return todayTotal;
+
+    await storage.upsertRows('release_snapshots', releases.map(r => ({
+      repo_id: repoData.id,
+      captured_on: today,
+      tag: r.tag,
+      prerelease: r.prerelease,
+      published_at: r.publishedAt,
+      downloads: r.downloads,
+      assets: r.assets
+    })));
+
+    const snapshots = await storage.getRows('release_snapshots', repoData.id, { columns: 'captured_on, downloads', orderBy: 'captured_on' });
+    return downloadTotals(snapshots);
+  } catch (error) {
+    console.error('Error saving release snapshot:', error);
+    return todayTotal;
+  }
+}
+
+// Releases as of the latest snapshot ({ tag, prerelease, publishedAt, downloads }) and the download
+// history, so metrics can be re-aggregated without fetching releases again
+export async function getReleaseHistory(owner, repo, host = DEFAULT_HOST) {
+  const empty = { releases: [], downloadHistory: [] };
+  if (!storage) return empty;
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    if (!repoData) return empty;
+
+    const snapshots = await storage.getRows('release_snapshots', repoData.id, {
+      columns: 'captured_on, tag, prerelease, published_at, downloads',
+      orderBy: 'captured_on'
+    });
+    if (snapshots.length === 0) return empty;
+
+    const latest = snapshots[snapshots.length - 1].captured_on;
+    return {
+      releases: snapshots
+        .filter(r => r.captured_on === latest)
+        .map(r => ({ tag: r.tag, prerelease: r.prerelease, publishedAt: r.published_at, downloads: r.downloads })),
+      downloadHistory: downloadTotals(snapshots)
+    };
+  } catch (error) {
+    console.error('Error fetching release history:', error);
+    return empty;
+  }
+}
+
+// Add a traffic fetch (see fetchTraffic) to the stored history
+export async function saveTraffic(owner, repo, traffic, host = DEFAULT_HOST) {
+  if (!storage || !traffic) return false;
+
+  try {
+    const repoData = await getOrCreateRepo(owner, repo, host);
+    if (!repoData) return false;
+
+    for (const [table, rows] of Object.entries(trafficRows(repoData.id, traffic))) {
+      await storage.upsertRows(table, rows);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error saving traffic:', error);
+    return false;
+  }
+}
+
+// Full traffic history for a repository, or null if none has been stored
+export async function getTrafficHistory(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return null;
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    if (!repoData) return null;
+
+    const [daily, paths, referrers] = await Promise.all(
+      ['traffic_daily', 'traffic_paths', 'traffic_referrers'].map(table => storage.getRows(table, repoData.id))
+    );
+    return trafficFromRows(daily, paths, referrers);
+  } catch (error) {
+    console.error('Error fetching traffic history:', error);
+    return null;
+  }
+}
+
+const TOP_CONTRIBUTORS_STORED = 100;
+
+// Keep the top of the contributor list (fetchAllContributors) on the repository for the concentration report
+export async function saveTopContributors(owner, repo, contributors, host = DEFAULT_HOST) {
+  if (!storage || !contributors || contributors.length === 0) return true;
+
+  try {
+    await storage.updateRepo(host, owner, repo, { top_contributors: contributors.slice(0, TOP_CONTRIBUTORS_STORED) });
+    return true;
+  } catch (error) {
+    console.error('Error saving top contributors:', error);
+    return false;
+  }
+}
+
+// Identity rules of a repo in .mailmap format (see services/identities.js), '' when there are none
+export async function getMailmap(owner, repo, host = DEFAULT_HOST) {
+  if (!storage) return '';
+
+  try {
+    const repoData = await storage.getRepo(host, owner, repo);
+    return repoData?.mailmap || '';
+  } catch (error) {
+    console.error('Error fetching mailmap:', error);
+    return '';
+  }
+}
+
+export async function saveMailmap(owner, repo, mailmap, host = DEFAULT_HOST) {
+  if (!storage) return true;
+
+  try {
+    const repoData = await getOrCreateRepo(owner, repo, host);
+    if (!repoData) return false;
+
+    await storage.updateRepo(host, owner, repo, { mailmap });
+    return true;
+  } catch (error) {
+    console.error('Error saving mailmap:', error);
+    return false;
+  }
+}
+
+// Cached user profiles (see fetchUserProfiles) by login, shared by every repo on the host
+// Profiles fetched before maxAgeDays ago are left out so they get refreshed
+export async function getUserProfiles(logins, host = DEFAULT_HOST, maxAgeDays = 90) {
+  if (!storage || logins.length === 0) return [];
+
+  try {
+    const since = new Date(Date.now() - maxAgeDays * 86400000).toISOString();
+    const users = await storage.getUsers(host, logins, since);
+
+    return users.map(p => ({
+      login: p.login,
+      company: p.company,
+      location: p.location,
+      followers: p.followers,
+      repos: p.public_repos,
+      createdAt: p.account_created_at
+    }));
+  } catch (error) {
+    console.error('Error fetching user profiles:', error);
+    return [];
+  }
+}
+
+export async function saveUserProfiles(profiles, host = DEFAULT_HOST) {
+  if (!storage || profiles.length === 0) return true;
+
+  try {
+    const fetchedAt = new Date().toISOString();
+    await storage.upsertRows('github_users', profiles.map(p => ({
+      host,
+      login: p.login,
+      company: p.company,
+      location: p.location,
+      followers: p.followers,
+      public_repos: p.repos,
+      account_created_at: p.createdAt,
+      fetched_at: fetchedAt
+    })));
+    return true;
+  } catch (error) {
+    console.error('Error saving user profiles:', error);
+    return false;
+  }
+}
@@ -0,0 +1,244 @@
+// Conditional-request (ETag / If-None-Match) cache for the Octokit REST client
+// Unchanged responses come back as 304s, which don't count against the rate limit
+
+const DB_NAME = 'github-analytics-etags';
+const STORE_NAME = 'responses';
+const USAGE_STORE_NAME = 'usage';
+
+const stats = { hits: 0, misses: 0 };
+const listeners = new Set();
+
+function recordResult(hit) {
+  if (hit) {
+    stats.hits++;
+  } else {
+    stats.misses++;
+  }
+  listeners.forEach(listener => listener({ ...stats }));
+}
+
+export function getETagCacheStats() {
+  return { ...stats };
+}
+
+// Subscribe to hit/miss updates, returns an unsubscribe function
+export function subscribeETagCacheStats(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Cached bodies are bounded: larger responses aren't kept, and past the total the least recently used
+// ones are evicted
+const MAX_ENTRY_BYTES = 512 * 1024;
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+// Stores keep { etag, data } values with their size: get(key), set(key, value, size), clear()
+
+// In-memory store, used where IndexedDB isn't available (server-side, tests)
+export function createMemoryStore(maxBytes = MAX_TOTAL_BYTES) {
+  const entries = new Map(); // Least recently used first
+  let totalBytes = 0;
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, size) => {
+      const existing = entries.get(key);
+      if (existing) {
+        totalBytes -= existing.size;
+        entries.delete(key);
+      }
+      entries.set(key, { value, size });
+      totalBytes += size;
+
+      for (const [oldKey, entry] of entries) {
+        if (totalBytes <= maxBytes) break;
+        entries.delete(oldKey);
+        totalBytes -= entry.size;
+      }
+    },
+    clear: async () => {
+      entries.clear();
+      totalBytes = 0;
+    }
+  };
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Persistent browser store backed by IndexedDB (localStorage is too small for response bodies).
+// Bodies live in one object store, their size and last use in another that eviction walks oldest first.
+export function createIndexedDBStore(maxBytes = MAX_TOTAL_BYTES) {
+  let dbPromise = null;
+  let totalBytes = null; // Summed from the usage store on first write
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        // 2: added the usage store, bodies cached by version 1 have no size and are dropped
+        const request = indexedDB.open(DB_NAME, 2);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (db.objectStoreNames.contains(STORE_NAME)) db.deleteObjectStore(STORE_NAME);
+          db.createObjectStore(STORE_NAME);
+          db.createObjectStore(USAGE_STORE_NAME).createIndex('usedAt', 'usedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('Could not open ETag cache database:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  // Runs operation(responses, usage) in one transaction, resolving with its result once committed
+  const run = async (mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    try {
+      const transaction = db.transaction([STORE_NAME, USAGE_STORE_NAME], mode);
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+      const result = await operation(transaction.objectStore(STORE_NAME), transaction.objectStore(USAGE_STORE_NAME));
+      await done;
+      return result ?? null;
+    } catch (error) {
+      console.error('ETag cache error:', error);
+      return null;
+    }
+  };
+
+  // Deletes the least recently used entries until the total is back under the budget
+  const evict = (responses, usage) => new Promise((resolve, reject) => {
+    const request = usage.index('usedAt').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || totalBytes <= maxBytes) {
+        resolve();
+        return;
+      }
+      totalBytes -= cursor.value.size;
+      responses.delete(cursor.primaryKey);
+      cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  return {
+    get: (key) => run('readwrite', async (responses, usage) => {
+      const [value, used] = await Promise.all([promisify(responses.get(key)), promisify(usage.get(key))]);
+      if (value && used) usage.put({ ...used, usedAt: Date.now() }, key);
+      return value;
+    }),
+    set: (key, value, size) => run('readwrite', async (responses, usage) => {
+      if (totalBytes === null) {
+        totalBytes = (await promisify(usage.getAll())).reduce((sum, used) => sum + used.size, 0);
+      }
+      const existing = await promisify(usage.get(key));
+      totalBytes += size - (existing?.size || 0);
+      responses.put(value, key);
+      usage.put({ size, usedAt: Date.now() }, key);
+      if (totalBytes > maxBytes) await evict(responses, usage);
+    }),
+    clear: () => run('readwrite', (responses, usage) => {
+      responses.clear();
+      usage.clear();
+      totalBytes = 0;
+    })
+  };
+}
+
+let defaultStore = null;
+
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = typeof indexedDB !== 'undefined' ? createIndexedDBStore() : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+export async function clearETagCache() {
+  await getDefaultStore().clear();
+  stats.hits = 0;
+  stats.misses = 0;
+  listeners.forEach(listener => listener({ ...stats }));
+}
+
+// Short FNV-1a hash, so cache keys tell tokens apart without containing them
+function hashIdentity(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+// The token a request goes out with: set on the request by a token pool wrapping this cache, else the
+// client's own auth. ETags are kept per token, since responses can differ by who asks.
+async function requestIdentity(octokit, options) {
+  const authorization = options.headers?.authorization || (await octokit.auth())?.token;
+  return authorization ? hashIdentity(authorization) : 'anonymous';
+}
+
+// Wrap every GET request: send If-None-Match for responses we have cached and
+// serve the cached body when GitHub answers 304 Not Modified
+export function withETagCache(octokit, store = getDefaultStore()) {
+  octokit.hook.wrap('request', async (request, options) => {
+    if (options.method !== 'GET' || options.url === '/rate_limit') {
+      return request(options);
+    }
+
+    const { method, url } = octokit.request.endpoint(options);
+    const key = `${await requestIdentity(octokit, options)} ${method} ${url}`;
+    const cached = await store.get(key);
+
+    if (cached) {
+      options.headers = { ...options.headers, 'if-none-match': cached.etag };
+    }
+
+    try {
+      const response = await request(options);
+      recordResult(false);
+
+      if (response.headers.etag) {
+        const size = JSON.stringify(response.data)?.length || 0;
+        if (size <= MAX_ENTRY_BYTES) {
+          await store.set(key, { etag: response.headers.etag, data: response.data }, size);
+        }
+      }
+      return response;
+    } catch (error) {
+      if (error.status === 304 && cached) {
+        recordResult(true);
+        // Keep the fresh headers so rate limit tracking stays accurate
+        return {
+          status: 200,
+          url,
+          headers: error.response?.headers || {},
+          data: cached.data
+        };
+      }
+      throw error;
+    }
+  });
+
+  return octokit;
+}
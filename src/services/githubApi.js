@@ -1,32 +1,39 @@
 import { Octokit } from '@octokit/rest';
 import { graphql } from '@octokit/graphql';
-
-// Number of parallel requests to make (balance between speed and rate limits)
-const PARALLEL_REQUESTS = 5;
-
-export function createGitHubClient(token) {
-  return new Octokit({ auth: token });
+import { paginate, PARALLEL_REQUESTS } from './pagination';
+import { restRateLimit, graphQLRateLimit, isRateLimitError } from './rateLimit';
+import { withETagCache } from './etagCache';
+import { isTokenPool, withTokenPool } from './tokenPool';
+import { getHostProfile } from './hosts';
+import { normalizeTraffic } from './traffic';
+import { parseCoAuthors } from './identities';
+
+// token may be a single token string or a token pool (see tokenPool.js)
+// host selects the host profile (see hosts.js); a pool carries its own host
+export function createGitHubClient(token, host = token?.host) {
+  const { apiUrl } = getHostProfile(host);
+  if (isTokenPool(token)) {
+    // The ETag cache goes inside the pool, so it sees which token each request is sent with
+    return withTokenPool(withETagCache(new Octokit({ baseUrl: apiUrl })), token);
+  }
+  return withETagCache(new Octokit({ auth: token, baseUrl: apiUrl }));
 }
 
-export function createGraphQLClient(token) {
+export function createGraphQLClient(token, host = token?.host) {
+  const { apiUrl, graphqlUrl } = getHostProfile(host);
+  if (isTokenPool(token)) {
+    return withTokenPool(new Octokit({ baseUrl: apiUrl }), token).graphql.defaults({ url: graphqlUrl });
+  }
   return graphql.defaults({
+    url: graphqlUrl,
     headers: {
       authorization: `token ${token}`
     }
   });
 }
 
-// Helper to fetch multiple pages in parallel
-async function fetchPagesInParallel(fetchFn, startPage, numPages) {
-  const promises = [];
-  for (let i = 0; i < numPages; i++) {
-    promises.push(fetchFn(startPage + i));
-  }
-  return Promise.allSettled(promises);
-}
-
-export async function fetchRepoInfo(octokit, owner, repo) {
-  const { data } = await octokit.repos.get({ owner, repo });
+export async function fetchRepoInfo(octokit, owner, repo, signal = null) {
+  const { data } = await octokit.repos.get({ owner, repo, request: { signal } });
   return {
     name: data.full_name,
     description: data.description,
@@ -34,88 +41,15 @@ export async function fetchRepoInfo(octokit, owner, repo) {
     stars: data.stargazers_count,
     forks: data.forks_count,
     openIssues: data.open_issues_count,
-    language: data.language
+    language: data.language,
+    // Only reported for authenticated requests, null when unknown (e.g. GitHub App tokens)
+    canPush: data.permissions ? !!data.permissions.push : null
   };
 }
 
-function isPaginationLimitError(error) {
-  const message = error.message || error.response?.data?.message || '';
-  return error.status === 422 && message.includes('pagination');
-}
-
-function isRateLimitError(error) {
-  const status = error.status || error.response?.status;
-  const message = error.message || error.response?.data?.message || '';
-
-  return (
-    status === 403 ||
-    status === 429 ||
-    message.toLowerCase().includes('rate limit') ||
-    message.toLowerCase().includes('api rate limit')
-  );
-}
-
-async function handleRateLimit(error, onProgress, type, fetched) {
-  if (!isRateLimitError(error)) {
-    return false;
-  }
-
-  const headers = error.response?.headers || {};
-  const resetTime = headers['x-ratelimit-reset'] || headers['X-RateLimit-Reset'];
-
-  let waitTime = 60000;
-
-  if (resetTime) {
-    const resetTimestamp = parseInt(resetTime) * 1000;
-    waitTime = Math.max(0, resetTimestamp - Date.now()) + 5000;
-  }
-
-  waitTime = Math.min(waitTime, 3600000);
-
-  const waitMinutes = Math.ceil(waitTime / 60000);
-  console.log(`Rate limited on ${type} (fetched: ${fetched}). Waiting ${waitMinutes} minute(s) until reset...`);
-
-  onProgress?.({
-    type,
-    fetched,
-    rateLimit: true,
-    waitTime,
-    resetTime: resetTime ? new Date(parseInt(resetTime) * 1000).toLocaleTimeString() : null
-  });
-
-  const startTime = Date.now();
-  while (Date.now() - startTime < waitTime) {
-    const remaining = Math.ceil((waitTime - (Date.now() - startTime)) / 1000);
-    onProgress?.({
-      type,
-      fetched,
-      rateLimit: true,
-      secondsRemaining: remaining
-    });
-    await sleep(1000);
-  }
-
-  onProgress?.({ type, fetched, rateLimit: false });
-  console.log(`Rate limit wait complete for ${type}, resuming...`);
-  return true;
-}
-
-// Fetch stargazers using GraphQL (cursor-based pagination, no 1000-page limit)
-// onSave callback is called periodically to save progress
-export async function fetchAllStargazersGraphQL(token, owner, repo, onProgress, startCursor = null, onSave = null) {
-  const graphqlWithAuth = createGraphQLClient(token);
-  const stargazers = [];
-  let cursor = startCursor;
-  let hasNextPage = true;
-  let retryCount = 0;
-  const maxRetries = 10;
-  let lastCursor = cursor;
-  let hitRateLimit = false;
-  const SAVE_INTERVAL = 500; // Save every 500 items
-  let lastSaveCount = 0;
-
-  console.log(`Fetching stargazers via GraphQL${startCursor ? ` (resuming from cursor)` : ' (full fetch)'}...`);
+// Metric descriptors for the shared pagination engine (see pagination.js)
 
+function stargazersGraphQLDescriptor(graphqlWithAuth, owner, repo) {
   const query = `
     query($owner: String!, $repo: String!, $first: Int!, $after: String) {
       repository(owner: $owner, name: $repo) {
@@ -139,134 +73,28 @@ export async function fetchAllStargazersGraphQL(token, owner, repo, onProgress,
     }
   `;
 
-  while (hasNextPage && retryCount < maxRetries) {
-    try {
-      const result = await graphqlWithAuth(query, {
-        owner,
-        repo,
-        first: 100,
-        after: cursor
-      });
-
-      const { edges, pageInfo } = result.repository.stargazers;
-      const rateLimit = result.rateLimit;
-
-      for (const edge of edges) {
-        stargazers.push({
-          user: edge.node.login,
-          starredAt: edge.starredAt
-        });
-      }
-
-      lastCursor = pageInfo.endCursor;
-      hasNextPage = pageInfo.hasNextPage;
-      cursor = pageInfo.endCursor;
-
-      onProgress?.({
-        type: 'stars',
-        fetched: stargazers.length,
-        partial: false,
-        cursor: lastCursor,
-        rateLimit: rateLimit.remaining < 100,
-        remaining: rateLimit.remaining
-      });
-
-      // Save progress incrementally
-      if (onSave && stargazers.length - lastSaveCount >= SAVE_INTERVAL) {
-        console.log(`Saving stars progress: ${stargazers.length} items, cursor: ${lastCursor}`);
-        await onSave({
-          type: 'stars',
-          data: stargazers.slice(lastSaveCount), // Only save new items since last save
-          cursor: lastCursor,
-          hasMore: hasNextPage
-        });
-        lastSaveCount = stargazers.length;
-      }
-
-      // Check rate limit
-      if (rateLimit.remaining < 50) {
-        const resetTime = new Date(rateLimit.resetAt).getTime();
-        const waitTime = Math.max(0, resetTime - Date.now()) + 5000;
-        console.log(`GraphQL rate limit low (${rateLimit.remaining} remaining), waiting ${Math.ceil(waitTime / 1000)}s...`);
-
-        const startTime = Date.now();
-        while (Date.now() - startTime < waitTime) {
-          const remaining = Math.ceil((waitTime - (Date.now() - startTime)) / 1000);
-          onProgress?.({
-            type: 'stars',
-            fetched: stargazers.length,
-            rateLimit: true,
-            secondsRemaining: remaining
-          });
-          await sleep(1000);
-        }
-        onProgress?.({ type: 'stars', fetched: stargazers.length, rateLimit: false });
-      }
-
-      retryCount = 0;
-    } catch (error) {
-      console.error('GraphQL error fetching stars:', error.message);
-
-      // Check for rate limit error
-      if (error.message?.includes('rate limit') || error.status === 403) {
-        hitRateLimit = true;
-        console.log('Hit GraphQL rate limit, saving progress...');
-        // Save remaining data before breaking
-        if (onSave && stargazers.length > lastSaveCount) {
-          await onSave({
-            type: 'stars',
-            data: stargazers.slice(lastSaveCount),
-            cursor: lastCursor,
-            hasMore: true
-          });
-        }
-        break;
-      }
-
-      retryCount++;
-      if (retryCount >= maxRetries) {
-        console.error('Max retries reached for GraphQL stargazers fetch');
-        break;
-      }
-
-      // Wait before retry
-      await sleep(5000);
-    }
-  }
-
-  // Final save of any remaining data
-  if (onSave && stargazers.length > lastSaveCount) {
-    console.log(`Final save for stars: ${stargazers.length - lastSaveCount} items`);
-    await onSave({
-      type: 'stars',
-      data: stargazers.slice(lastSaveCount),
-      cursor: lastCursor,
-      hasMore: hasNextPage
-    });
-  }
-
   return {
-    stargazers,
-    lastCursor,
-    hasMorePages: hasNextPage,
-    hitRateLimit
+    type: 'stars',
+    resume: 'cursor',
+    rateLimitThreshold: 50,
+    fetchPage: async ({ cursor, perPage, signal }) => {
+      const result = await graphqlWithAuth(query, { owner, repo, first: perPage, after: cursor, request: { signal } });
+      const { edges, pageInfo } = result.repository.stargazers;
+      return { items: edges, pageInfo, rateLimit: graphQLRateLimit(result.rateLimit) };
+    },
+    mapItem: (edge) => ({
+      user: edge.node.login,
+      starredAt: edge.starredAt
+    })
   };
 }
 
-// Fetch stargazers using REST API - supports resuming from a specific page for large repos
-export async function fetchAllStargazers(octokit, owner, repo, onProgress, sinceDate = null, startPage = 1) {
-  const stargazers = [];
-  let page = startPage;
-  const perPage = 100;
-  let retryCount = 0;
-  const maxRetries = 10;
-  let hitPaginationLimit = false;
-  let lastPage = page;
-
-  console.log(`Fetching stargazers${startPage > 1 ? ` (resuming from page ${startPage})` : ''}${sinceDate ? ` since ${sinceDate}` : ' (full fetch)'}...`);
-
-  while (retryCount < maxRetries) {
-    try {
+function stargazersDescriptor(octokit, owner, repo) {
+  return {
+    type: 'stars',
+    resume: 'page',
+    parallel: false,
+    fetchPage: async ({ page, perPage, signal }) => {
       const { data, headers } = await octokit.request('GET /repos/{owner}/{repo}/stargazers', {
         owner,
         repo,
@@ -274,616 +102,615 @@ export async function fetchAllStargazers(octokit, owner, repo, onProgress, since
         page,
         headers: {
           accept: 'application/vnd.github.star+json'
-        }
+        },
+        request: { signal }
       });
+      return { items: data, rateLimit: restRateLimit(headers) };
+    },
+    mapItem: (s) => ({
+      user: s.user.login,
+      starredAt: s.starred_at
+    })
+  };
+}
 
-      if (data.length === 0) break;
-
-      for (const s of data) {
-        stargazers.push({
-          user: s.user.login,
-          starredAt: s.starred_at
-        });
-      }
-
-      lastPage = page;
-      onProgress?.({ type: 'stars', fetched: stargazers.length + ((startPage - 1) * perPage), partial: false, page });
-
-      if (data.length < perPage) break;
-      page++;
-      retryCount = 0;
-
-      await checkRateLimit(headers, onProgress, 'stars', stargazers.length);
-    } catch (error) {
-      console.error(`Error fetching stars (page ${page}):`, error.message);
-
-      if (isPaginationLimitError(error)) {
-        console.warn(`Stars: Hit pagination limit at page ${page} (${stargazers.length} items this run)`);
-        hitPaginationLimit = true;
-        onProgress?.({ type: 'stars', fetched: stargazers.length + ((startPage - 1) * perPage), partial: true, page: lastPage });
-        break;
+// Forks oldest first over GraphQL, which pages through all of them where REST listing stops at a
+// pagination limit for heavily forked repos
+function forksGraphQLDescriptor(graphqlWithAuth, owner, repo) {
+  const query = `
+    query($owner: String!, $repo: String!, $first: Int!, $after: String) {
+      repository(owner: $owner, name: $repo) {
+        forks(first: $first, after: $after, orderBy: {field: CREATED_AT, direction: ASC}) {
+          nodes {
+            createdAt
+            owner {
+              login
+            }
+          }
+          pageInfo {
+            endCursor
+            hasNextPage
+          }
+        }
       }
-
-      if (await handleRateLimit(error, onProgress, 'stars', stargazers.length)) {
-        retryCount++;
-        continue;
+      rateLimit {
+        remaining
+        resetAt
       }
-
-      throw error;
     }
-  }
+  `;
 
   return {
-    stargazers,
-    hitPaginationLimit,
-    lastPage,
-    startPage
+    type: 'forks',
+    resume: 'cursor',
+    rateLimitThreshold: 50,
+    fetchPage: async ({ cursor, perPage, signal }) => {
+      const result = await graphqlWithAuth(query, { owner, repo, first: perPage, after: cursor, request: { signal } });
+      const { nodes, pageInfo } = result.repository.forks;
+      return { items: nodes, pageInfo, rateLimit: graphQLRateLimit(result.rateLimit) };
+    },
+    mapItem: (f) => ({
+      owner: f.owner.login,
+      createdAt: f.createdAt
+    })
   };
 }
 
-export async function fetchAllForks(octokit, owner, repo, onProgress, startPage = 1, onSave = null) {
-  const forks = [];
-  let currentPage = startPage;
-  const perPage = 100;
-  let hitPaginationLimit = false;
-  let lastPage = currentPage;
-  const SAVE_INTERVAL = 1000;
-  let lastSaveCount = 0;
-  let hasMore = true;
-
-  console.log(`Fetching forks${startPage > 1 ? ` (resuming from page ${startPage})` : ' (full fetch)'} with ${PARALLEL_REQUESTS}x parallelism...`);
-
-  while (hasMore) {
-    // Fetch multiple pages in parallel
-    const fetchPage = async (page) => {
-      const { data, headers } = await octokit.repos.listForks({
+function issuesDescriptor(octokit, owner, repo) {
+  return {
+    type: 'issues',
+    resume: 'date',
+    fetchPage: async ({ page, since, perPage, signal }) => {
+      const { data, headers } = await octokit.issues.listForRepo({
         owner,
         repo,
+        state: 'all',
         per_page: perPage,
         page,
-        sort: 'oldest'
+        sort: 'created',
+        direction: 'asc',
+        since,
+        request: { signal }
       });
-      return { data, headers, page };
-    };
-
-    try {
-      const results = await fetchPagesInParallel(fetchPage, currentPage, PARALLEL_REQUESTS);
-
-      let gotEmptyPage = false;
-      let gotPartialPage = false;
-      let lowestRateLimit = Infinity;
-      let rateLimitHeaders = null;
-
-      // Process results in order
-      for (let i = 0; i < results.length; i++) {
-        const result = results[i];
-        if (result.status === 'rejected') {
-          const error = result.reason;
-          if (isPaginationLimitError(error)) {
-            hitPaginationLimit = true;
-            gotEmptyPage = true;
-            break;
-          }
-          if (isRateLimitError(error)) {
-            await handleRateLimit(error, onProgress, 'forks', forks.length);
-            // Don't break, we'll retry this batch
-            gotEmptyPage = true;
-            break;
-          }
-          console.error(`Error fetching forks page:`, error.message);
-          continue;
-        }
-
-        const { data, headers, page } = result.value;
-
-        if (data.length === 0) {
-          gotEmptyPage = true;
-          break;
-        }
-
-        for (const f of data) {
-          forks.push({
-            owner: f.owner.login,
-            createdAt: f.created_at
-          });
-        }
-
-        lastPage = page;
-
-        // Track rate limit
-        const remaining = parseInt(headers['x-ratelimit-remaining'] || '100');
-        if (remaining < lowestRateLimit) {
-          lowestRateLimit = remaining;
-          rateLimitHeaders = headers;
-        }
-
-        if (data.length < perPage) {
-          gotPartialPage = true;
-        }
-      }
-
-      onProgress?.({ type: 'forks', fetched: forks.length + ((startPage - 1) * perPage), partial: false, page: lastPage });
-
-      // Save progress incrementally
-      if (onSave && forks.length - lastSaveCount >= SAVE_INTERVAL) {
-        console.log(`Saving forks progress: ${forks.length} items, page: ${lastPage}`);
-        await onSave({ type: 'forks', data: forks.slice(lastSaveCount), page: lastPage, hasMore: true });
-        lastSaveCount = forks.length;
-      }
-
-      if (gotEmptyPage || gotPartialPage || hitPaginationLimit) {
-        hasMore = false;
-      } else {
-        currentPage += PARALLEL_REQUESTS;
-        // Check rate limit before next batch
-        if (rateLimitHeaders) {
-          await checkRateLimit(rateLimitHeaders, onProgress, 'forks', forks.length);
-        }
-      }
-    } catch (error) {
-      console.error(`Error in parallel forks fetch:`, error.message);
-      if (isPaginationLimitError(error)) {
-        hitPaginationLimit = true;
-      }
-      hasMore = false;
-    }
-  }
-
-  // Final save of any remaining data
-  if (onSave && forks.length > lastSaveCount) {
-    console.log(`Final save for forks: ${forks.length - lastSaveCount} items`);
-    await onSave({ type: 'forks', data: forks.slice(lastSaveCount), page: lastPage, hasMore: false });
-  }
-
-  return {
-    forks,
-    hitPaginationLimit,
-    lastPage,
-    startPage
+      return { items: data, rateLimit: restRateLimit(headers) };
+    },
+    // The issues endpoint also returns pull requests, skip them
+    mapItem: (i) => i.pull_request ? null : ({
+      number: i.number,
+      state: i.state,
+      createdAt: i.created_at,
+      closedAt: i.closed_at,
+      author: i.user?.login || null,
+      authorType: i.user?.type || null
+    }),
+    dateOf: (i) => i.createdAt
   };
 }
 
-export async function fetchAllIssues(octokit, owner, repo, onProgress, sinceDate = null, onSave = null) {
-  const issues = [];
-  let currentPage = 1;
-  const perPage = 100;
-  let hitPaginationLimit = false;
-  let lastDate = null;
-  const SAVE_INTERVAL = 1000;
-  let lastSaveCount = 0;
-  let hasMore = true;
-
-  console.log(`Fetching issues${sinceDate ? ` since ${sinceDate}` : ' (full fetch)'} with ${PARALLEL_REQUESTS}x parallelism...`);
-
-  while (hasMore) {
-    const fetchPage = async (page) => {
-      const params = {
+function pullRequestsDescriptor(octokit, owner, repo) {
+  return {
+    type: 'prs',
+    resume: 'page',
+    fetchPage: async ({ page, perPage, signal }) => {
+      const { data, headers } = await octokit.pulls.list({
         owner,
         repo,
         state: 'all',
         per_page: perPage,
         page,
         sort: 'created',
-        direction: 'asc'
-      };
-      if (sinceDate) {
-        params.since = new Date(sinceDate).toISOString();
-      }
-      const { data, headers } = await octokit.issues.listForRepo(params);
-      return { data, headers, page };
-    };
-
-    try {
-      const results = await fetchPagesInParallel(fetchPage, currentPage, PARALLEL_REQUESTS);
-
-      let gotEmptyPage = false;
-      let gotPartialPage = false;
-      let lowestRateLimit = Infinity;
-      let rateLimitHeaders = null;
-
-      for (let i = 0; i < results.length; i++) {
-        const result = results[i];
-        if (result.status === 'rejected') {
-          const error = result.reason;
-          if (isPaginationLimitError(error)) {
-            hitPaginationLimit = true;
-            gotEmptyPage = true;
-            break;
-          }
-          if (isRateLimitError(error)) {
-            await handleRateLimit(error, onProgress, 'issues', issues.length);
-            gotEmptyPage = true;
-            break;
-          }
-          continue;
-        }
-
-        const { data, headers } = result.value;
+        direction: 'asc',
+        request: { signal }
+      });
+      return { items: data, rateLimit: restRateLimit(headers) };
+    },
+    mapItem: (pr) => ({
+      number: pr.number,
+      state: pr.state,
+      createdAt: pr.created_at,
+      closedAt: pr.closed_at,
+      mergedAt: pr.merged_at,
+      author: pr.user?.login || null,
+      authorType: pr.user?.type || null
+    })
+  };
+}
 
-        if (data.length === 0) {
-          gotEmptyPage = true;
-          break;
-        }
+// Comment authors that count as a maintainer response
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+// Comments scanned per issue for the first maintainer response
+const ISSUE_COMMENTS_SCANNED = 20;
 
-        const realIssues = data.filter(i => !i.pull_request);
-        for (const i of realIssues) {
-          issues.push({
-            number: i.number,
-            state: i.state,
-            createdAt: i.created_at,
-            closedAt: i.closed_at
-          });
-          const issueDate = i.created_at.split('T')[0];
-          if (!lastDate || issueDate > lastDate) {
-            lastDate = issueDate;
+// Issues and pull requests over GraphQL are ordered by CREATED_AT so a stored cursor always resumes
+// right after the newest item we have, with no REST pagination limit.
+// With updatedSince (an ISO date) only the ones created or updated since then are fetched, which is how
+// a complete fetch is refreshed: resuming from its last cursor would miss older ones closing or merging.
+function issuesGraphQLDescriptor(graphqlWithAuth, owner, repo, updatedSince = null) {
+  const query = `
+    query($owner: String!, $repo: String!, $first: Int!, $after: String, $comments: Int!, $since: DateTime) {
+      repository(owner: $owner, name: $repo) {
+        issues(first: $first, after: $after, orderBy: {field: CREATED_AT, direction: ASC}, filterBy: {since: $since}) {
+          nodes {
+            number
+            state
+            createdAt
+            closedAt
+            authorAssociation
+            author {
+              login
+              __typename
+            }
+            comments(first: $comments) {
+              nodes {
+                createdAt
+                authorAssociation
+                author {
+                  login
+                }
+              }
+            }
+          }
+          pageInfo {
+            endCursor
+            hasNextPage
           }
-        }
-
-        const remaining = parseInt(headers['x-ratelimit-remaining'] || '100');
-        if (remaining < lowestRateLimit) {
-          lowestRateLimit = remaining;
-          rateLimitHeaders = headers;
-        }
-
-        if (data.length < perPage) {
-          gotPartialPage = true;
         }
       }
+      rateLimit {
+        remaining
+        resetAt
+      }
+    }
+  `;
 
-      onProgress?.({ type: 'issues', fetched: issues.length, partial: false });
+  return {
+    type: 'issues',
+    resume: 'cursor',
+    rateLimitThreshold: 50,
+    fetchPage: async ({ cursor, perPage, signal }) => {
+      const result = await graphqlWithAuth(query, {
+        owner,
+        repo,
+        first: perPage,
+        after: cursor,
+        comments: ISSUE_COMMENTS_SCANNED,
+        since: updatedSince,
+        request: { signal }
+      });
+      const { nodes, pageInfo } = result.repository.issues;
+      return { items: nodes, pageInfo, rateLimit: graphQLRateLimit(result.rateLimit) };
+    },
+    mapItem: (i) => ({
+      number: i.number,
+      state: i.state.toLowerCase(),
+      createdAt: i.createdAt,
+      closedAt: i.closedAt,
+      author: i.author?.login || null,
+      authorType: i.author?.__typename || null,
+      openedByMaintainer: MAINTAINER_ASSOCIATIONS.includes(i.authorAssociation),
+      // First comment by a maintainer other than the author, null if none in the scanned comments
+      firstResponseAt: i.comments.nodes.find(c =>
+        MAINTAINER_ASSOCIATIONS.includes(c.authorAssociation) && c.author?.login !== i.author?.login
+      )?.createdAt || null
+    }),
+    dateOf: (i) => i.createdAt
+  };
+}
 
-      if (onSave && issues.length - lastSaveCount >= SAVE_INTERVAL) {
-        console.log(`Saving issues progress: ${issues.length} items, lastDate: ${lastDate}`);
-        await onSave({ type: 'issues', data: issues.slice(lastSaveCount), lastDate, hasMore: true });
-        lastSaveCount = issues.length;
-      }
+// Reviews scanned per pull request for the first review and the reviewer list
+const PR_REVIEWS_SCANNED = 20;
 
-      if (gotEmptyPage || gotPartialPage || hitPaginationLimit) {
-        hasMore = false;
-      } else {
-        currentPage += PARALLEL_REQUESTS;
-        if (rateLimitHeaders) {
-          await checkRateLimit(rateLimitHeaders, onProgress, 'issues', issues.length);
+// Pull requests have no since filter, so a refresh (updatedSince) reads them most recently updated first
+// and stops at the first one updated before it
+function pullRequestsGraphQLDescriptor(graphqlWithAuth, owner, repo, updatedSince = null) {
+  const order = updatedSince ? '{field: UPDATED_AT, direction: DESC}' : '{field: CREATED_AT, direction: ASC}';
+  const query = `
+    query($owner: String!, $repo: String!, $first: Int!, $after: String, $reviews: Int!) {
+      repository(owner: $owner, name: $repo) {
+        pullRequests(first: $first, after: $after, orderBy: ${order}) {
+          nodes {
+            number
+            state
+            createdAt
+            updatedAt
+            closedAt
+            mergedAt
+            additions
+            deletions
+            changedFiles
+            author {
+              login
+              __typename
+            }
+            reviews(first: $reviews) {
+              totalCount
+              nodes {
+                createdAt
+                author {
+                  login
+                }
+              }
+            }
+          }
+          pageInfo {
+            endCursor
+            hasNextPage
+          }
         }
       }
-    } catch (error) {
-      console.error(`Error in parallel issues fetch:`, error.message);
-      if (isPaginationLimitError(error)) {
-        hitPaginationLimit = true;
+      rateLimit {
+        remaining
+        resetAt
       }
-      hasMore = false;
     }
-  }
-
-  // Final save of any remaining data
-  if (onSave && issues.length > lastSaveCount) {
-    console.log(`Final save for issues: ${issues.length - lastSaveCount} items`);
-    await onSave({ type: 'issues', data: issues.slice(lastSaveCount), lastDate, hasMore: false });
-  }
+  `;
 
   return {
-    issues,
-    hitPaginationLimit,
-    lastDate
+    type: 'prs',
+    resume: 'cursor',
+    rateLimitThreshold: 50,
+    fetchPage: async ({ cursor, perPage, signal }) => {
+      const result = await graphqlWithAuth(query, { owner, repo, first: perPage, after: cursor, reviews: PR_REVIEWS_SCANNED, request: { signal } });
+      const { nodes, pageInfo } = result.repository.pullRequests;
+      const rateLimit = graphQLRateLimit(result.rateLimit);
+      if (!updatedSince) return { items: nodes, pageInfo, rateLimit };
+
+      const updated = nodes.filter(pr => Date.parse(pr.updatedAt) >= Date.parse(updatedSince));
+      return {
+        items: updated,
+        pageInfo: { ...pageInfo, hasNextPage: pageInfo.hasNextPage && updated.length === nodes.length },
+        rateLimit
+      };
+    },
+    // GraphQL reports MERGED as its own state, REST reports merged PRs as closed
+    mapItem: (pr) => {
+      // Reviews by the author (replies in their own review threads) don't count
+      const reviews = pr.reviews.nodes.filter(r => r.author?.login !== pr.author?.login);
+      return {
+        number: pr.number,
+        state: pr.state === 'OPEN' ? 'open' : 'closed',
+        createdAt: pr.createdAt,
+        closedAt: pr.closedAt,
+        mergedAt: pr.mergedAt,
+        author: pr.author?.login || null,
+        authorType: pr.author?.__typename || null,
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changedFiles: pr.changedFiles,
+        reviewCount: pr.reviews.totalCount - (pr.reviews.nodes.length - reviews.length),
+        reviewers: [...new Set(reviews.map(r => r.author?.login).filter(Boolean))],
+        firstReviewAt: reviews[0]?.createdAt || null
+      };
+    },
+    dateOf: (pr) => pr.createdAt
   };
 }
 
-export async function fetchAllPullRequests(octokit, owner, repo, onProgress, startPage = 1, onSave = null) {
-  const prs = [];
-  let currentPage = startPage;
-  const perPage = 100;
-  let hitPaginationLimit = false;
-  let lastPage = currentPage;
-  const SAVE_INTERVAL = 500;
-  let lastSaveCount = 0;
-  let hasMore = true;
+function contributorsDescriptor(octokit, owner, repo) {
+  return {
+    type: 'contributors',
+    resume: 'page',
+    parallel: false,
+    fetchPage: async ({ page, perPage, signal }) => {
+      const { data, headers } = await octokit.repos.listContributors({
+        owner,
+        repo,
+        per_page: perPage,
+        page,
+        anon: 'true',
+        request: { signal }
+      });
+      return { items: data, rateLimit: restRateLimit(headers) };
+    },
+    mapItem: (c) => ({
+      login: c.login || c.email,
+      type: c.type,
+      contributions: c.contributions
+    })
+  };
+}
 
-  console.log(`Fetching PRs${startPage > 1 ? ` (resuming from page ${startPage})` : ' (full fetch)'} with ${PARALLEL_REQUESTS}x parallelism...`);
+function commitsDescriptor(octokit, owner, repo) {
+  return {
+    type: 'commits',
+    resume: 'date',
+    fetchPage: async ({ page, since, perPage, signal }) => {
+      const { data, headers } = await octokit.repos.listCommits({
+        owner,
+        repo,
+        per_page: perPage,
+        page,
+        since,
+        request: { signal }
+      });
+      return { items: data, rateLimit: restRateLimit(headers) };
+    },
+    // author is the login when the email is linked to an account, see services/identities.js
+    mapItem: (c) => ({
+      sha: c.sha,
+      author: c.author?.login || c.commit?.author?.name,
+      authorType: c.author?.type || null,
+      login: c.author?.login || null,
+      name: c.commit?.author?.name || null,
+      email: c.commit?.author?.email?.toLowerCase() || null,
+      coAuthors: parseCoAuthors(c.commit?.message),
+      date: c.commit.author.date
+    }),
+    dateOf: (c) => c.date
+  };
+}
 
-  while (hasMore) {
-    const fetchPage = async (page) => {
-      const { data, headers } = await octokit.pulls.list({
+// Releases come back newest first; drafts (only visible with push access) are skipped
+function releasesDescriptor(octokit, owner, repo) {
+  return {
+    type: 'releases',
+    resume: 'page',
+    fetchPage: async ({ page, perPage, signal }) => {
+      const { data, headers } = await octokit.repos.listReleases({
         owner,
         repo,
-        state: 'all',
         per_page: perPage,
         page,
-        sort: 'created',
-        direction: 'asc'
+        request: { signal }
       });
-      return { data, headers, page };
-    };
+      return { items: data, rateLimit: restRateLimit(headers) };
+    },
+    mapItem: (r) => r.draft ? null : ({
+      tag: r.tag_name,
+      name: r.name || r.tag_name,
+      publishedAt: r.published_at || r.created_at,
+      prerelease: r.prerelease,
+      assets: r.assets.map(a => ({ name: a.name, downloads: a.download_count })),
+      downloads: r.assets.reduce((sum, a) => sum + a.download_count, 0)
+    })
+  };
+}
 
-    try {
-      const results = await fetchPagesInParallel(fetchPage, currentPage, PARALLEL_REQUESTS);
-
-      let gotEmptyPage = false;
-      let gotPartialPage = false;
-      let lowestRateLimit = Infinity;
-      let rateLimitHeaders = null;
-
-      for (let i = 0; i < results.length; i++) {
-        const result = results[i];
-        if (result.status === 'rejected') {
-          const error = result.reason;
-          if (isPaginationLimitError(error)) {
-            hitPaginationLimit = true;
-            gotEmptyPage = true;
-            break;
-          }
-          if (isRateLimitError(error)) {
-            await handleRateLimit(error, onProgress, 'prs', prs.length);
-            gotEmptyPage = true;
-            break;
-          }
-          continue;
-        }
+// Fetch stargazers using GraphQL (cursor-based pagination, no 1000-page limit)
+// onSave callback is called periodically to save progress
+// All fetchers take an optional AbortSignal; on abort they return what they have with aborted: true
+// failedPages lists the pages that still failed after retrying (see paginate)
+export async function fetchAllStargazersGraphQL(token, owner, repo, onProgress, startCursor = null, onSave = null, signal = null) {
+  console.log(`Fetching stargazers via GraphQL${startCursor ? ` (resuming from cursor)` : ' (full fetch)'}...`);
 
-        const { data, headers, page } = result.value;
+  const descriptor = stargazersGraphQLDescriptor(createGraphQLClient(token), owner, repo);
+  const result = await paginate(descriptor, { onProgress, onSave, cursor: startCursor, signal });
 
-        if (data.length === 0) {
-          gotEmptyPage = true;
-          break;
-        }
+  return {
+    stargazers: result.items,
+    lastCursor: result.lastCursor,
+    hasMorePages: result.hasMore,
+    stoppedOnError: result.stoppedOnError,
+    aborted: result.aborted,
+    failedPages: result.failedPages
+  };
+}
 
-        for (const pr of data) {
-          prs.push({
-            number: pr.number,
-            state: pr.state,
-            createdAt: pr.created_at,
-            closedAt: pr.closed_at,
-            mergedAt: pr.merged_at
-          });
-        }
+// Fetch stargazers using REST API - supports resuming from a specific page for large repos
+export async function fetchAllStargazers(octokit, owner, repo, onProgress, sinceDate = null, startPage = 1, signal = null) {
+  console.log(`Fetching stargazers${startPage > 1 ? ` (resuming from page ${startPage})` : ''}${sinceDate ? ` since ${sinceDate}` : ' (full fetch)'}...`);
 
-        lastPage = page;
+  const result = await paginate(stargazersDescriptor(octokit, owner, repo), { onProgress, startPage, signal });
 
-        const remaining = parseInt(headers['x-ratelimit-remaining'] || '100');
-        if (remaining < lowestRateLimit) {
-          lowestRateLimit = remaining;
-          rateLimitHeaders = headers;
-        }
+  return {
+    stargazers: result.items,
+    hitPaginationLimit: result.hitPaginationLimit,
+    aborted: result.aborted,
+    failedPages: result.failedPages,
+    lastPage: result.lastPage,
+    startPage
+  };
+}
 
-        if (data.length < perPage) {
-          gotPartialPage = true;
-        }
-      }
+export async function fetchAllForksGraphQL(token, owner, repo, onProgress, startCursor = null, onSave = null, signal = null) {
+  console.log(`Fetching forks via GraphQL${startCursor ? ` (resuming from cursor)` : ' (full fetch)'}...`);
 
-      onProgress?.({ type: 'prs', fetched: prs.length + ((startPage - 1) * perPage), partial: false, page: lastPage });
+  const descriptor = forksGraphQLDescriptor(createGraphQLClient(token), owner, repo);
+  const result = await paginate(descriptor, { onProgress, onSave, cursor: startCursor, signal });
 
-      if (onSave && prs.length - lastSaveCount >= SAVE_INTERVAL) {
-        console.log(`Saving PRs progress: ${prs.length} items, page: ${lastPage}`);
-        await onSave({ type: 'prs', data: prs.slice(lastSaveCount), page: lastPage, hasMore: true });
-        lastSaveCount = prs.length;
-      }
+  return {
+    forks: result.items,
+    lastCursor: result.lastCursor,
+    hasMorePages: result.hasMore,
+    stoppedOnError: result.stoppedOnError,
+    aborted: result.aborted,
+    gaveUp: result.gaveUp,
+    failedPages: result.failedPages
+  };
+}
 
-      if (gotEmptyPage || gotPartialPage || hitPaginationLimit) {
-        hasMore = false;
-      } else {
-        currentPage += PARALLEL_REQUESTS;
-        if (rateLimitHeaders) {
-          await checkRateLimit(rateLimitHeaders, onProgress, 'prs', prs.length);
-        }
-      }
-    } catch (error) {
-      console.error(`Error in parallel PRs fetch:`, error.message);
-      if (isPaginationLimitError(error)) {
-        hitPaginationLimit = true;
-      }
-      hasMore = false;
-    }
-  }
+export async function fetchAllIssues(octokit, owner, repo, onProgress, sinceDate = null, onSave = null, signal = null) {
+  console.log(`Fetching issues${sinceDate ? ` since ${sinceDate}` : ' (full fetch)'} with ${PARALLEL_REQUESTS}x parallelism...`);
 
-  // Final save of any remaining data
-  if (onSave && prs.length > lastSaveCount) {
-    console.log(`Final save for PRs: ${prs.length - lastSaveCount} items`);
-    await onSave({ type: 'prs', data: prs.slice(lastSaveCount), page: lastPage, hasMore: false });
-  }
+  const result = await paginate(issuesDescriptor(octokit, owner, repo), { onProgress, onSave, sinceDate, signal });
 
   return {
-    prs,
-    hitPaginationLimit,
-    lastPage,
-    startPage
+    issues: result.items,
+    hitPaginationLimit: result.hitPaginationLimit,
+    aborted: result.aborted,
+    failedPages: result.failedPages,
+    lastDate: result.lastDate
   };
 }
 
-export async function fetchAllContributors(octokit, owner, repo, onProgress) {
-  const contributors = [];
-  let page = 1;
-  const perPage = 100;
-  let retryCount = 0;
-  const maxRetries = 10;
+export async function fetchAllPullRequests(octokit, owner, repo, onProgress, startPage = 1, onSave = null, signal = null) {
+  console.log(`Fetching PRs${startPage > 1 ? ` (resuming from page ${startPage})` : ' (full fetch)'} with ${PARALLEL_REQUESTS}x parallelism...`);
 
-  while (retryCount < maxRetries) {
-    try {
-      const { data, headers } = await octokit.repos.listContributors({
-        owner,
-        repo,
-        per_page: perPage,
-        page,
-        anon: 'true'
-      });
+  const result = await paginate(pullRequestsDescriptor(octokit, owner, repo), { onProgress, onSave, startPage, signal });
 
-      if (data.length === 0) break;
+  return {
+    prs: result.items,
+    hitPaginationLimit: result.hitPaginationLimit,
+    aborted: result.aborted,
+    failedPages: result.failedPages,
+    lastPage: result.lastPage,
+    startPage
+  };
+}
 
-      contributors.push(...data.map(c => ({
-        login: c.login || c.email,
-        contributions: c.contributions
-      })));
+// Issues and pull requests are either fetched from the start or a stored cursor, or refreshed with
+// everything created or updated since updatedSince (see issuesGraphQLDescriptor). lastDate is the date
+// they are complete up to: the start of a finished run, updatedSince while a refresh is unfinished (it is
+// repeated from there, its cursors can't be resumed) and null while a fetch from a cursor is unfinished.
+function updatedThrough(result, startedAt, updatedSince) {
+  return {
+    lastCursor: updatedSince ? null : result.lastCursor,
+    lastDate: result.hasMore ? updatedSince : startedAt
+  };
+}
 
-      onProgress?.({ type: 'contributors', fetched: contributors.length, partial: false });
+// A refresh's cursors can't be resumed from, so its saves carry none
+function refreshSave(onSave, updatedSince) {
+  return onSave && updatedSince ? (saveData) => onSave({ ...saveData, cursor: null }) : onSave;
+}
 
-      if (data.length < perPage) break;
-      page++;
-      retryCount = 0;
+// Fetch issues using GraphQL (cursor-based pagination, resumable from a stored cursor)
+export async function fetchAllIssuesGraphQL(token, owner, repo, onProgress, startCursor = null, onSave = null, signal = null, updatedSince = null) {
+  console.log(`Fetching issues via GraphQL${updatedSince ? ` (updated since ${updatedSince})` : startCursor ? ' (resuming from cursor)' : ' (full fetch)'}...`);
 
-      await checkRateLimit(headers, onProgress, 'contributors', contributors.length);
-    } catch (error) {
-      console.error(`Error fetching contributors (page ${page}):`, error.message);
+  const startedAt = new Date().toISOString();
+  const since = updatedSince && new Date(updatedSince).toISOString();
+  const descriptor = issuesGraphQLDescriptor(createGraphQLClient(token), owner, repo, since);
+  const result = await paginate(descriptor, { onProgress, onSave: refreshSave(onSave, since), cursor: since ? null : startCursor, signal });
 
-      if (isPaginationLimitError(error)) {
-        console.warn(`Contributors: Hit pagination limit at ${contributors.length} items`);
-        onProgress?.({ type: 'contributors', fetched: contributors.length, partial: true });
-        break;
-      }
+  return {
+    issues: result.items,
+    hasMorePages: result.hasMore,
+    stoppedOnError: result.stoppedOnError,
+    aborted: result.aborted,
+    failedPages: result.failedPages,
+    ...updatedThrough(result, startedAt, since)
+  };
+}
 
-      if (await handleRateLimit(error, onProgress, 'contributors', contributors.length)) {
-        retryCount++;
-        continue;
-      }
+// Fetch pull requests using GraphQL (cursor-based pagination, resumable from a stored cursor)
+export async function fetchAllPullRequestsGraphQL(token, owner, repo, onProgress, startCursor = null, onSave = null, signal = null, updatedSince = null) {
+  console.log(`Fetching PRs via GraphQL${updatedSince ? ` (updated since ${updatedSince})` : startCursor ? ' (resuming from cursor)' : ' (full fetch)'}...`);
 
-      throw error;
-    }
-  }
+  const startedAt = new Date().toISOString();
+  const since = updatedSince && new Date(updatedSince).toISOString();
+  const descriptor = pullRequestsGraphQLDescriptor(createGraphQLClient(token), owner, repo, since);
+  const result = await paginate(descriptor, { onProgress, onSave: refreshSave(onSave, since), cursor: since ? null : startCursor, signal });
 
-  return contributors;
+  return {
+    prs: result.items,
+    hasMorePages: result.hasMore,
+    stoppedOnError: result.stoppedOnError,
+    aborted: result.aborted,
+    failedPages: result.failedPages,
+    ...updatedThrough(result, startedAt, since)
+  };
 }
 
-export async function fetchContributorCommits(octokit, owner, repo, onProgress, sinceDate = null, onSave = null) {
-  const commits = [];
-  let currentPage = 1;
-  const perPage = 100;
-  let hitPaginationLimit = false;
-  let lastDate = null;
-  const SAVE_INTERVAL = 500;
-  let lastSaveCount = 0;
-  let hasMore = true;
+export async function fetchAllContributors(octokit, owner, repo, onProgress, signal = null) {
+  const result = await paginate(contributorsDescriptor(octokit, owner, repo), { onProgress, signal });
+  return result.items;
+}
 
+export async function fetchContributorCommits(octokit, owner, repo, onProgress, sinceDate = null, onSave = null, signal = null) {
   console.log(`Fetching commits${sinceDate ? ` since ${sinceDate}` : ' (full fetch)'} with ${PARALLEL_REQUESTS}x parallelism...`);
 
-  while (hasMore) {
-    const fetchPage = async (page) => {
-      const params = {
-        owner,
-        repo,
-        per_page: perPage,
-        page
-      };
-      if (sinceDate) {
-        params.since = new Date(sinceDate).toISOString();
-      }
-      const { data, headers } = await octokit.repos.listCommits(params);
-      return { data, headers, page };
-    };
+  const result = await paginate(commitsDescriptor(octokit, owner, repo), { onProgress, onSave, sinceDate, signal });
 
-    try {
-      const results = await fetchPagesInParallel(fetchPage, currentPage, PARALLEL_REQUESTS);
-
-      let gotEmptyPage = false;
-      let gotPartialPage = false;
-      let lowestRateLimit = Infinity;
-      let rateLimitHeaders = null;
-
-      for (let i = 0; i < results.length; i++) {
-        const result = results[i];
-        if (result.status === 'rejected') {
-          const error = result.reason;
-          if (isPaginationLimitError(error)) {
-            hitPaginationLimit = true;
-            gotEmptyPage = true;
-            break;
-          }
-          if (isRateLimitError(error)) {
-            await handleRateLimit(error, onProgress, 'commits', commits.length);
-            gotEmptyPage = true;
-            break;
-          }
-          continue;
-        }
-
-        const { data, headers } = result.value;
-
-        if (data.length === 0) {
-          gotEmptyPage = true;
-          break;
-        }
+  return {
+    commits: result.items,
+    hitPaginationLimit: result.hitPaginationLimit,
+    aborted: result.aborted,
+    failedPages: result.failedPages,
+    lastDate: result.lastDate
+  };
+}
 
-        for (const c of data) {
-          commits.push({
-            sha: c.sha,
-            author: c.author?.login || c.commit?.author?.name,
-            date: c.commit.author.date
-          });
-          const commitDate = c.commit.author.date.split('T')[0];
-          if (!lastDate || commitDate > lastDate) {
-            lastDate = commitDate;
-          }
-        }
+// Releases are always fetched in full: the list is short and download counts change on every refresh
+export async function fetchAllReleases(octokit, owner, repo, onProgress, signal = null) {
+  console.log('Fetching releases...');
 
-        const remaining = parseInt(headers['x-ratelimit-remaining'] || '100');
-        if (remaining < lowestRateLimit) {
-          lowestRateLimit = remaining;
-          rateLimitHeaders = headers;
-        }
+  const result = await paginate(releasesDescriptor(octokit, owner, repo), { onProgress, signal });
 
-        if (data.length < perPage) {
-          gotPartialPage = true;
-        }
-      }
+  return {
+    releases: result.items,
+    aborted: result.aborted,
+    failedPages: result.failedPages
+  };
+}
 
-      onProgress?.({ type: 'commits', fetched: commits.length, partial: false });
+const USERS_PER_QUERY = 50;
+const PROFILE_RATE_LIMIT_RESERVE = 200; // GraphQL points left for the regular fetches
 
-      if (onSave && commits.length - lastSaveCount >= SAVE_INTERVAL) {
-        console.log(`Saving commits progress: ${commits.length} items, lastDate: ${lastDate}`);
-        await onSave({ type: 'commits', data: commits.slice(lastSaveCount), lastDate, hasMore: true });
-        lastSaveCount = commits.length;
-      }
+// Profiles of users by login, USERS_PER_QUERY aliased user() lookups per GraphQL query
+// Returns { profiles: [{ login, company, location, followers, repos, createdAt }], hitRateLimit, aborted }
+// Deleted accounts come back with null fields; stops early near the rate limit or on an error
+export async function fetchUserProfiles(token, logins, onProgress = null, signal = null) {
+  const graphqlWithAuth = createGraphQLClient(token);
+  const profiles = [];
+  let hitRateLimit = false;
 
-      if (gotEmptyPage || gotPartialPage || hitPaginationLimit) {
-        hasMore = false;
-      } else {
-        currentPage += PARALLEL_REQUESTS;
-        if (rateLimitHeaders) {
-          await checkRateLimit(rateLimitHeaders, onProgress, 'commits', commits.length);
+  for (let i = 0; i < logins.length && !signal?.aborted; i += USERS_PER_QUERY) {
+    const batch = logins.slice(i, i + USERS_PER_QUERY);
+    const query = `
+      query(${batch.map((_, j) => `$l${j}: String!`).join(', ')}) {
+        ${batch.map((_, j) => `u${j}: user(login: $l${j}) { company location followers { totalCount } repositories { totalCount } createdAt }`).join('\n')}
+        rateLimit {
+          remaining
+          resetAt
         }
       }
+    `;
+    const variables = Object.fromEntries(batch.map((login, j) => [`l${j}`, login]));
+
+    let data;
+    try {
+      data = await graphqlWithAuth(query, { ...variables, request: { signal } });
     } catch (error) {
-      console.error(`Error in parallel commits fetch:`, error.message);
-      if (isPaginationLimitError(error)) {
-        hitPaginationLimit = true;
+      // Unknown logins fail with NOT_FOUND next to the users that were found
+      if (error.data && !isRateLimitError(error)) {
+        data = error.data;
+      } else {
+        if (signal?.aborted) break;
+        hitRateLimit = isRateLimitError(error);
+        console.error('Error fetching user profiles:', error);
+        break;
       }
-      hasMore = false;
     }
-  }
 
-  // Final save of any remaining data
-  if (onSave && commits.length > lastSaveCount) {
-    console.log(`Final save for commits: ${commits.length - lastSaveCount} items`);
-    await onSave({ type: 'commits', data: commits.slice(lastSaveCount), lastDate, hasMore: false });
+    batch.forEach((login, j) => {
+      const user = data[`u${j}`];
+      profiles.push({
+        login,
+        company: user?.company || null,
+        location: user?.location || null,
+        followers: user ? user.followers.totalCount : null,
+        repos: user ? user.repositories.totalCount : null,
+        createdAt: user?.createdAt || null
+      });
+    });
+    onProgress?.({ type: 'profiles', fetched: profiles.length, total: logins.length });
+
+    if (data.rateLimit && data.rateLimit.remaining < PROFILE_RATE_LIMIT_RESERVE) {
+      hitRateLimit = true;
+      break;
+    }
   }
 
-  return {
-    commits,
-    hitPaginationLimit,
-    lastDate
-  };
+  return { profiles, hitRateLimit, aborted: !!signal?.aborted };
 }
 
-async function checkRateLimit(headers, onProgress, type, fetched) {
-  const remaining = parseInt(headers['x-ratelimit-remaining'] || '100');
-
-  if (remaining < 10) {
-    const resetTime = parseInt(headers['x-ratelimit-reset'] || '0') * 1000;
-    const waitTime = Math.max(0, resetTime - Date.now()) + 1000;
-
-    console.log(`Rate limit low (${remaining} remaining), waiting ${Math.ceil(waitTime / 1000)}s...`);
-
-    const startTime = Date.now();
-    while (Date.now() - startTime < waitTime) {
-      const remaining = Math.ceil((waitTime - (Date.now() - startTime)) / 1000);
-      onProgress?.({
-        type,
-        fetched,
-        rateLimit: true,
-        secondsRemaining: remaining
-      });
-      await sleep(1000);
+// Traffic (views, clones, popular paths and referrers) for the last 14 days, see traffic.js
+// Needs push access: returns null when the token can't read traffic for this repo
+export async function fetchTraffic(octokit, owner, repo, signal = null) {
+  try {
+    const [views, clones, paths, referrers] = await Promise.all([
+      octokit.repos.getViews({ owner, repo, per: 'day', request: { signal } }),
+      octokit.repos.getClones({ owner, repo, per: 'day', request: { signal } }),
+      octokit.repos.getTopPaths({ owner, repo, request: { signal } }),
+      octokit.repos.getTopReferrers({ owner, repo, request: { signal } })
+    ]);
+    return normalizeTraffic(views.data, clones.data, paths.data, referrers.data);
+  } catch (error) {
+    if (error.status === 403 || error.status === 404) {
+      console.log(`No traffic access for ${owner}/${repo}`);
+      return null;
     }
-    onProgress?.({ type, fetched, rateLimit: false });
+    throw error;
   }
 }
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
@@ -0,0 +1,66 @@
+// GitHub host profiles: github.com plus any GitHub Enterprise Server instances
+// A profile holds the web, REST API and GraphQL URLs for one host. Repos are identified by
+// host + owner/repo; repo keys keep the short 'owner/repo' form on github.com.
+
+export const DEFAULT_HOST = 'github.com';
+
+const HOSTS_KEY = 'github_analytics_hosts';
+
+// GitHub Enterprise Server serves the REST API under /api/v3 and GraphQL under /api/graphql
+export function createHostProfile(host, overrides = {}) {
+  const defaults = host === DEFAULT_HOST
+    ? {
+        webUrl: 'https://github.com',
+        apiUrl: 'https://api.github.com',
+        graphqlUrl: 'https://api.github.com/graphql'
+      }
+    : {
+        webUrl: `https://${host}`,
+        apiUrl: `https://${host}/api/v3`,
+        graphqlUrl: `https://${host}/api/graphql`
+      };
+
+  // Empty overrides (e.g. blank form fields) fall back to the defaults
+  const set = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value));
+  return { host, ...defaults, ...set };
+}
+
+// Saved Enterprise profiles (github.com is always available and not stored)
+export function getHostProfiles() {
+  const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(HOSTS_KEY) : null;
+  const profiles = saved ? JSON.parse(saved) : [];
+  return [createHostProfile(DEFAULT_HOST), ...profiles.filter(p => p.host !== DEFAULT_HOST)];
+}
+
+export function saveHostProfiles(profiles) {
+  const enterprise = profiles.filter(p => p.host !== DEFAULT_HOST);
+  localStorage.setItem(HOSTS_KEY, JSON.stringify(enterprise));
+}
+
+export function getHostProfile(host = DEFAULT_HOST) {
+  return getHostProfiles().find(p => p.host === host) || createHostProfile(host);
+}
+
+export function repoKey(owner, repo, host = DEFAULT_HOST) {
+  return host === DEFAULT_HOST ? `${owner}/${repo}` : `${host}/${owner}/${repo}`;
+}
+
+// Accepts 'owner/repo', 'host/owner/repo' or a full repository URL
+// Returns { host, owner, repo } or null
+export function parseRepoPath(text) {
+  const parts = text
+    .trim()
+    .replace(/^https?:\/\//, '')
+    .replace(/\.git$/, '')
+    .split('/')
+    .filter(Boolean);
+
+  // A leading segment with a dot is a hostname (owners can't contain dots)
+  if (parts.length >= 3 && parts[0].includes('.')) {
+    return { host: parts[0].toLowerCase(), owner: parts[1], repo: parts[2] };
+  }
+  if (parts.length >= 2) {
+    return { host: DEFAULT_HOST, owner: parts[0], repo: parts[1] };
+  }
+  return null;
+}
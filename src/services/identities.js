@@ -0,0 +1,184 @@
+// Contributor identities of commits
+// The commit list only has a GitHub login when the author's email is linked to an account, otherwise
+// just the name and email from git, so one person can show up under several names and different
+// people under the same name. Commit authors and Co-authored-by trailers are resolved in this order:
+// 1. mailmap rules stored per repo (git's .mailmap format, see parseMailmap)
+// 2. the GitHub login, also taken from noreply emails (12345+login@users.noreply.github.com)
+// 3. the login of other commits with the same email
+// 4. the email, shown as the name used most with it ("Name <email>" when that name is taken)
+
+const NOREPLY_EMAIL = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.*?)\s*<([^>]*)>\s*$/gim;
+const MAILMAP_ENTRY = /^([^<]*)<([^>]*)>\s*(?:([^<]*)<([^>]*)>)?\s*$/;
+
+// [{ name, email }] of the Co-authored-by trailers in a commit message
+export function parseCoAuthors(message) {
+  if (!message) return [];
+  return Array.from(message.matchAll(CO_AUTHOR_TRAILER), ([, name, email]) => ({
+    name: name || null,
+    email: email.toLowerCase() || null
+  }));
+}
+
+// Rules of a .mailmap file, the supported forms are:
+//   Proper Name <commit@email>
+//   <proper@email> <commit@email>
+//   Proper Name <proper@email> <commit@email>
+//   Proper Name <proper@email> Commit Name <commit@email>
+export function parseMailmap(text) {
+  if (!text) return [];
+  const rules = [];
+  for (const line of text.split('\n')) {
+    const entry = line.replace(/#.*$/, '').trim();
+    const match = entry && entry.match(MAILMAP_ENTRY);
+    if (!match) continue;
+    const [, first, firstEmail, commitName, commitEmail] = match;
+    rules.push(commitEmail === undefined
+      ? { properName: first.trim() || null, properEmail: null, commitName: null, commitEmail: firstEmail.trim().toLowerCase() }
+      : {
+        properName: first.trim() || null,
+        properEmail: firstEmail.trim().toLowerCase() || null,
+        commitName: commitName.trim().toLowerCase() || null,
+        commitEmail: commitEmail.trim().toLowerCase()
+      });
+  }
+  return rules;
+}
+
+// Rules matching both name and email win over the ones matching only the email
+function applyMailmap(rules, name, email) {
+  if (!email || rules.length === 0) return { name, email, mappedName: null };
+  const lowerName = name?.toLowerCase();
+  const rule = rules.find(r => r.commitEmail === email && r.commitName && r.commitName === lowerName) ||
+    rules.find(r => r.commitEmail === email && !r.commitName);
+  if (!rule) return { name, email, mappedName: null };
+  return { name: rule.properName || name, email: rule.properEmail || email, mappedName: rule.properName };
+}
+
+// Resolves every author and co-author, collecting what each identity was seen as
+function resolve(commits, rules) {
+  const people = (c) => [
+    { login: c.login, name: c.name || (c.login ? null : c.author), email: c.email?.toLowerCase() || null },
+    ...(c.coAuthors || []).map(a => ({ login: null, name: a.name, email: a.email }))
+  ].map(person => ({ ...person, ...applyMailmap(rules, person.name, person.email) }));
+
+  // Logins of the emails used on linked commits
+  const emailLogins = new Map();
+  for (const c of commits) {
+    const [author] = people(c);
+    if (author.login && author.email && !author.mappedName) emailLogins.set(author.email, author.login);
+  }
+
+  // Identities are either named (a login or a mailmap name) or keyed by email until they get a label
+  const identityOf = (person) => {
+    if (person.mappedName) return { named: person.mappedName };
+    if (person.login) return { named: person.login };
+    const noreply = person.email?.match(NOREPLY_EMAIL);
+    if (noreply) return { named: noreply[1] };
+    if (person.email && emailLogins.has(person.email)) return { named: emailLogins.get(person.email) };
+    if (person.email) return { email: person.email };
+    return person.name ? { named: person.name } : null;
+  };
+
+  const profiles = new Map();
+  const resolvedPeople = commits.map(c => people(c).map(person => {
+    const identity = identityOf(person);
+    if (!identity) return null;
+    const key = identity.named ? `named:${identity.named.toLowerCase()}` : `email:${identity.email}`;
+    if (!profiles.has(key)) {
+      profiles.set(key, { key, label: identity.named || null, linked: !!identity.named, email: identity.email || null, names: new Map(), emails: new Set(), commits: 0 });
+    }
+    const profile = profiles.get(key);
+    if (person.name) profile.names.set(person.name, (profile.names.get(person.name) || 0) + 1);
+    if (person.email) profile.emails.add(person.email);
+    return profile;
+  }));
+
+  // Email-keyed identities are shown as their most used name unless another identity goes by it
+  const unlabeled = Array.from(profiles.values()).filter(p => !p.label);
+  const taken = new Map();
+  for (const p of profiles.values()) {
+    const name = p.label || mostUsed(p.names) || p.email;
+    taken.set(name.toLowerCase(), (taken.get(name.toLowerCase()) || 0) + 1);
+  }
+  for (const p of unlabeled) {
+    const name = mostUsed(p.names) || p.email;
+    p.label = taken.get(name.toLowerCase()) > 1 ? `${name} <${p.email}>` : name;
+  }
+
+  const resolved = commits.map((c, i) => {
+    const [author, ...coAuthors] = resolvedPeople[i];
+    if (author) author.commits++;
+    const authors = Array.from(new Set([author, ...coAuthors].filter(Boolean).map(p => p.label)));
+    return { ...c, author: author?.label || null, authors };
+  });
+
+  return { resolved, profiles: Array.from(profiles.values()) };
+}
+
+function mostUsed(counts) {
+  let best = null;
+  for (const [value, count] of counts) {
+    if (!best || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+// Commits with author set to the resolved identity and authors to it plus the co-authors
+export function resolveIdentities(commits, mailmap = []) {
+  return resolve(commits, mailmap).resolved;
+}
+
+const normalize = (value) => value.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]/g, '');
+
+// Groups of identities that look like the same person: a shared name, login or email user once
+// spaces, punctuation and case are ignored. Only identities with an email can be merged by a mailmap rule.
+// Returns [{ identities: [{ label, linked, name, names, emails, commits }] }], most commits first
+export function suggestDuplicates(commits, mailmap = []) {
+  const profiles = resolve(commits, mailmap).profiles.filter(p => p.emails.size > 0);
+
+  // Union-find over profiles sharing a normalized key
+  const parent = profiles.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const byKey = new Map();
+  profiles.forEach((p, i) => {
+    const keys = new Set([p.label, ...p.names.keys()]);
+    for (const email of p.emails) {
+      if (!NOREPLY_EMAIL.test(email)) keys.add(email.split('@')[0]);
+    }
+    for (const key of keys) {
+      const normalized = normalize(key);
+      if (normalized.length < 3) continue;
+      if (byKey.has(normalized)) parent[root(i)] = root(byKey.get(normalized));
+      else byKey.set(normalized, i);
+    }
+  });
+
+  const groups = new Map();
+  profiles.forEach((p, i) => {
+    if (!groups.has(root(i))) groups.set(root(i), []);
+    groups.get(root(i)).push({
+      label: p.label,
+      linked: p.linked,
+      name: p.linked ? p.label : mostUsed(p.names) || p.label,
+      names: Array.from(p.names.keys()),
+      emails: Array.from(p.emails),
+      commits: p.commits
+    });
+  });
+
+  const total = (identities) => identities.reduce((sum, p) => sum + p.commits, 0);
+  return Array.from(groups.values())
+    .filter(identities => identities.length > 1)
+    .map(identities => ({ identities: identities.sort((a, b) => Number(b.linked) - Number(a.linked) || b.commits - a.commits) }))
+    .sort((a, b) => total(b.identities) - total(a.identities));
+}
+
+// Mailmap lines merging identities into target (entries of suggestDuplicates)
+// Every email of the merged identities is mapped to the target's login or name, and so are the
+// target's own emails when it has no login, since a login would otherwise win over them
+export function mergeRules(target, identities) {
+  return identities
+    .filter(identity => identity.label !== target.label || !target.linked)
+    .flatMap(identity => identity.emails.map(email => `${target.name} <${email}>`));
+}
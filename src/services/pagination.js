@@ -0,0 +1,288 @@
+// Shared pagination engine used by every fetcher in githubApi.js
+//
+// A metric is described by a small descriptor:
+//   type:       progress/save label ('stars', 'forks', ...)
+//   resume:     'page'   - numbered pages fetched in parallel, resumes after the last saved page
+//               'cursor' - GraphQL cursor pagination (sequential), resumes from the last endCursor
+//               'date'   - numbered pages filtered by a `since` date, resumes from the newest item date
+//   fetchPage:  async ({ page, cursor, since, perPage, signal }) => { items, rateLimit, pageInfo? }
+//               rateLimit is { remaining, resetAt } (see restRateLimit/graphQLRateLimit); pass signal
+//               on to the request so an abort cancels it in flight
+//   mapItem:    raw item => stored item, or null to skip it
+//   dateOf:     stored item => ISO date string (required for the 'date' strategy, optional otherwise
+//               to report the newest item date as lastDate)
+//   rateLimitThreshold: wait for the reset below this many remaining requests (default 10)
+//
+// Aborting the signal passed to paginate() stops it after the pages already received: their items are
+// kept, saved through onSave with the resume state, and the result reports aborted: true.
+//
+// Failed requests are retried one page at a time according to the kind of error (see classifyError).
+// A numbered page the retry policy gives up on is a gap, reported in failedPages instead of being
+// silently skipped. A cursor page can't be skipped: fetching stops there with stoppedOnError and
+// resumes from that cursor next time, so it is no gap. gaveUp is set when an error looks permanent
+// or too many pages failed and the rest was not fetched.
+import {
+  classifyError,
+  ERROR_KINDS,
+  backoffDelay,
+  handleRateLimit,
+  checkRateLimit,
+  sleep
+} from './rateLimit';
+
+// Number of parallel requests to make (balance between speed and rate limits)
+export const PARALLEL_REQUESTS = 5;
+const PER_PAGE = 100;
+const SAVE_INTERVAL = 500; // Save every 500 items
+const MAX_RETRIES = 10; // Per page
+const MAX_FAILED_PAGES = 5; // Give up on the metric after this many pages are lost
+
+// Helper to fetch multiple pages in parallel
+function fetchPagesInParallel(fetchFn, startPage, numPages) {
+  const promises = [];
+  for (let i = 0; i < numPages; i++) {
+    promises.push(fetchFn(startPage + i));
+  }
+  return Promise.allSettled(promises);
+}
+
+export async function paginate(descriptor, { onProgress, onSave = null, startPage = 1, cursor = null, sinceDate = null, signal = null } = {}) {
+  const { type, resume, rateLimitThreshold = 10 } = descriptor;
+  const items = [];
+  const failedPages = []; // Numbered pages that never came back: [{ type, page, kind, status, message }]
+  let page = startPage;
+  let lastPage = startPage - 1;
+  let lastCursor = cursor;
+  let lastDate = null;
+  let hasMore = true;
+  let hitPaginationLimit = false;
+  let stoppedOnError = false; // A cursor page failed after retrying, the fetch can resume from it
+  let gaveUp = false;
+  let lastSaveCount = 0;
+
+  const since = sinceDate ? new Date(sinceDate).toISOString() : undefined;
+  const fetchedOffset = resume === 'page' ? (startPage - 1) * PER_PAGE : 0;
+
+  const resumeState = () => {
+    if (resume === 'cursor') return { cursor: lastCursor };
+    if (resume === 'date') return { lastDate };
+    return { page: lastPage };
+  };
+
+  const save = async (more) => {
+    if (!onSave || items.length <= lastSaveCount) return;
+    await onSave({
+      type,
+      data: items.slice(lastSaveCount), // Only save new items since last save
+      ...resumeState(),
+      hasMore: more
+    });
+    lastSaveCount = items.length;
+  };
+
+  const collect = (rawItems) => {
+    for (const raw of rawItems) {
+      const item = descriptor.mapItem(raw);
+      if (!item) continue;
+      items.push(item);
+      if (descriptor.dateOf) {
+        const itemDate = descriptor.dateOf(item).split('T')[0];
+        if (!lastDate || itemDate > lastDate) {
+          lastDate = itemDate;
+        }
+      }
+    }
+  };
+
+  const recordFailure = (page, error) => {
+    const failure = {
+      type,
+      page,
+      kind: classifyError(error),
+      status: error.status || null,
+      message: error.message
+    };
+    console.error(`${type}: Giving up on page ${page} (${failure.kind}):`, error.message);
+    failedPages.push(failure);
+  };
+
+  // Retry a single failed request according to the kind of error
+  // Returns { value } once it succeeds, { stop: true } when fetching should end (abort, pagination limit)
+  // or { failed: error, fatal } when the retry policy gives up on it
+  const retry = async (request, error) => {
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) return { stop: true };
+
+      const kind = classifyError(error);
+      if (kind === ERROR_KINDS.PAGINATION) {
+        console.warn(`${type}: Hit pagination limit after page ${lastPage} (${items.length} items this run)`);
+        hitPaginationLimit = true;
+        return { stop: true };
+      }
+      if (kind === ERROR_KINDS.FATAL) {
+        return { failed: error, fatal: true };
+      }
+      if (attempt > MAX_RETRIES) {
+        return { failed: error, fatal: false };
+      }
+
+      if (kind === ERROR_KINDS.PRIMARY || kind === ERROR_KINDS.SECONDARY) {
+        await handleRateLimit(error, onProgress, type, items.length, signal, attempt);
+      } else {
+        const delay = backoffDelay(attempt);
+        console.error(`Error fetching ${type} (${kind}, attempt ${attempt}/${MAX_RETRIES}), retrying in ${delay}ms:`, error.message);
+        await sleep(delay, signal);
+      }
+      if (signal?.aborted) return { stop: true };
+
+      try {
+        return { value: await request() };
+      } catch (nextError) {
+        error = nextError;
+      }
+    }
+  };
+
+  let stopped = false;
+
+  while (hasMore && !stopped && !signal?.aborted) {
+    let lowestRateLimit = null;
+
+    if (resume === 'cursor') {
+      const request = () => descriptor.fetchPage({ cursor: lastCursor, perPage: PER_PAGE, signal });
+      let value = null;
+
+      try {
+        value = await request();
+      } catch (error) {
+        const outcome = await retry(request, error);
+        if (outcome.failed) {
+          // Cursor pages can't be skipped, stop here and resume from this cursor later
+          console.error(`${type}: Stopping at cursor page (${classifyError(outcome.failed)}), resumable:`, outcome.failed.message);
+          stoppedOnError = !outcome.fatal;
+          gaveUp = outcome.fatal;
+        }
+        stopped = !outcome.value;
+        value = outcome.value || null;
+      }
+
+      if (value) {
+        const { items: rawItems, rateLimit, pageInfo } = value;
+        collect(rawItems);
+        if (pageInfo.endCursor) {
+          lastCursor = pageInfo.endCursor;
+        }
+        hasMore = pageInfo.hasNextPage;
+        lowestRateLimit = rateLimit;
+      }
+    } else {
+      const batchSize = descriptor.parallel === false ? 1 : PARALLEL_REQUESTS;
+      const results = await fetchPagesInParallel(
+        (p) => descriptor.fetchPage({ page: p, since, perPage: PER_PAGE, signal }),
+        page,
+        batchSize
+      );
+
+      // Process results in order; a failed page is retried on its own so the pages around it are kept
+      for (const result of results) {
+        let value = result.value;
+
+        if (result.status === 'rejected') {
+          const failedPage = page;
+          const outcome = await retry(
+            () => descriptor.fetchPage({ page: failedPage, since, perPage: PER_PAGE, signal }),
+            result.reason
+          );
+
+          if (outcome.stop) {
+            stopped = true;
+            break;
+          }
+
+          if (outcome.failed) {
+            // Record the gap and move past it, unless the error will hit every page
+            recordFailure(failedPage, outcome.failed);
+            if (outcome.fatal || failedPages.length >= MAX_FAILED_PAGES) {
+              gaveUp = true;
+              stopped = true;
+              break;
+            }
+            lastPage = page;
+            page++;
+            continue;
+          }
+
+          value = outcome.value;
+        }
+
+        const { items: rawItems, rateLimit } = value;
+        if (rawItems.length === 0) {
+          hasMore = false;
+          break;
+        }
+
+        collect(rawItems);
+        lastPage = page;
+        page++;
+
+        if (!lowestRateLimit || rateLimit.remaining < lowestRateLimit.remaining) {
+          lowestRateLimit = rateLimit;
+        }
+
+        if (rawItems.length < PER_PAGE) {
+          hasMore = false;
+          break;
+        }
+      }
+    }
+
+    onProgress?.({
+      type,
+      fetched: items.length + fetchedOffset,
+      partial: hitPaginationLimit,
+      page: resume === 'page' ? lastPage : undefined,
+      cursor: resume === 'cursor' ? lastCursor : undefined,
+      remaining: lowestRateLimit?.remaining,
+      failedPages: failedPages.length
+    });
+
+    // Save progress incrementally
+    if (onSave && items.length - lastSaveCount >= SAVE_INTERVAL) {
+      console.log(`Saving ${type} progress: ${items.length} items`, resumeState());
+      await save(true);
+    }
+
+    if (hasMore && !stopped && !signal?.aborted) {
+      await checkRateLimit(lowestRateLimit, onProgress, type, items.length, rateLimitThreshold, signal);
+    }
+  }
+
+  // A request cancelled in flight ends in retry() as a stop, so take the abort from the signal itself;
+  // only the pagination limit and giving up are stops of their own
+  const aborted = hasMore && !!signal?.aborted && !hitPaginationLimit && !gaveUp;
+  if (aborted) {
+    console.log(`${type}: Aborted after ${items.length} items`, resumeState());
+  }
+
+  const stoppedEarly = hitPaginationLimit || stoppedOnError || gaveUp || aborted;
+
+  // Final save of any remaining data
+  if (onSave && items.length > lastSaveCount) {
+    console.log(`Final save for ${type}: ${items.length - lastSaveCount} items`);
+    await save(stoppedEarly);
+  }
+
+  return {
+    items,
+    hasMore: stoppedEarly,
+    hitPaginationLimit,
+    stoppedOnError,
+    aborted,
+    gaveUp,
+    failedPages,
+    lastPage,
+    lastCursor,
+    lastDate,
+    startPage
+  };
+}
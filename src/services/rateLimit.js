@@ -0,0 +1,195 @@
+// Rate limit helpers and retry policy shared by the REST and GraphQL fetchers
+
+// What went wrong with a request, which decides how (and whether) it is retried:
+//   primary    - hourly budget exhausted, wait for x-ratelimit-reset
+//   secondary  - secondary/abuse limit, wait for Retry-After (at least a minute)
+//   server     - 5xx from GitHub, back off and retry
+//   network    - no response at all, back off and retry
+//   pagination - REST refuses pages this deep, stop
+//   fatal      - anything else (401, 404, permission 403, GraphQL errors), don't retry
+export const ERROR_KINDS = {
+  PRIMARY: 'primary',
+  SECONDARY: 'secondary',
+  SERVER: 'server',
+  NETWORK: 'network',
+  PAGINATION: 'pagination',
+  FATAL: 'fatal'
+};
+
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 60000;
+const SECONDARY_MIN_WAIT = 60000;
+
+// GraphqlResponseError keeps headers on the error itself, RequestError on error.response
+function errorHeaders(error) {
+  return error.response?.headers || error.headers || {};
+}
+
+export function isPaginationLimitError(error) {
+  const message = error.message || error.response?.data?.message || '';
+  return error.status === 422 && message.includes('pagination');
+}
+
+export function classifyError(error) {
+  const status = error.status || error.response?.status;
+  const headers = errorHeaders(error);
+  const message = (error.message || error.response?.data?.message || '').toLowerCase();
+
+  if (isPaginationLimitError(error)) return ERROR_KINDS.PAGINATION;
+
+  if (error.errors?.some(e => e.type === 'RATE_LIMITED')) return ERROR_KINDS.PRIMARY;
+
+  if (status === 403 || status === 429) {
+    if (headers['retry-after'] || message.includes('secondary rate limit') || message.includes('abuse')) {
+      return ERROR_KINDS.SECONDARY;
+    }
+    if (headers['x-ratelimit-remaining'] === '0' || message.includes('rate limit')) {
+      return ERROR_KINDS.PRIMARY;
+    }
+    // 429 is always a limit; a 403 without rate limit hints is a permission problem
+    return status === 429 ? ERROR_KINDS.SECONDARY : ERROR_KINDS.FATAL;
+  }
+
+  // Octokit reports failed fetches (DNS, reset connections) as an HttpError without a response
+  if (!error.response && !error.errors &&
+      (error.name === 'HttpError' || message.includes('fetch') || message.includes('network'))) {
+    return ERROR_KINDS.NETWORK;
+  }
+  if (status >= 500) return ERROR_KINDS.SERVER;
+
+  return ERROR_KINDS.FATAL;
+}
+
+export function isRateLimitError(error) {
+  const kind = classifyError(error);
+  return kind === ERROR_KINDS.PRIMARY || kind === ERROR_KINDS.SECONDARY;
+}
+
+// Exponential backoff with jitter: attempt 1 waits ~1s, doubling up to a minute,
+// randomized between half and the full delay so parallel requests don't retry in lockstep
+export function backoffDelay(attempt, base = BACKOFF_BASE, max = BACKOFF_MAX) {
+  const delay = Math.min(max, base * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Normalize REST rate limit headers to { remaining, resetAt } (resetAt in ms)
+export function restRateLimit(headers = {}) {
+  return {
+    remaining: parseInt(headers['x-ratelimit-remaining'] || '100'),
+    resetAt: parseInt(headers['x-ratelimit-reset'] || '0') * 1000
+  };
+}
+
+// Normalize the GraphQL rateLimit object to { remaining, resetAt } (resetAt in ms)
+export function graphQLRateLimit(rateLimit) {
+  return {
+    remaining: rateLimit.remaining,
+    resetAt: new Date(rateLimit.resetAt).getTime()
+  };
+}
+
+// Sleep for waitTime, reporting a countdown to onProgress every second
+// Returns early when signal is aborted
+async function waitWithCountdown(waitTime, onProgress, type, fetched, signal) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < waitTime && !signal?.aborted) {
+    const remaining = Math.ceil((waitTime - (Date.now() - startTime)) / 1000);
+    onProgress?.({
+      type,
+      fetched,
+      rateLimit: true,
+      secondsRemaining: remaining
+    });
+    await sleep(1000, signal);
+  }
+}
+
+// Wait out a primary or secondary rate limit, returns false for any other error
+// attempt grows the secondary limit wait when GitHub keeps refusing
+export async function handleRateLimit(error, onProgress, type, fetched, signal = null, attempt = 1) {
+  const kind = classifyError(error);
+  if (kind === ERROR_KINDS.SECONDARY) {
+    return handleSecondaryRateLimit(error, onProgress, type, fetched, signal, attempt);
+  }
+  if (kind !== ERROR_KINDS.PRIMARY) {
+    return false;
+  }
+
+  const headers = errorHeaders(error);
+  const resetTime = headers['x-ratelimit-reset'] || headers['X-RateLimit-Reset'];
+
+  let waitTime = 60000;
+
+  if (resetTime) {
+    const resetTimestamp = parseInt(resetTime) * 1000;
+    waitTime = Math.max(0, resetTimestamp - Date.now()) + 5000;
+  }
+
+  waitTime = Math.min(waitTime, 3600000);
+
+  const waitMinutes = Math.ceil(waitTime / 60000);
+  console.log(`Rate limited on ${type} (fetched: ${fetched}). Waiting ${waitMinutes} minute(s) until reset...`);
+
+  onProgress?.({
+    type,
+    fetched,
+    rateLimit: true,
+    waitTime,
+    resetTime: resetTime ? new Date(parseInt(resetTime) * 1000).toLocaleTimeString() : null
+  });
+
+  await waitWithCountdown(waitTime, onProgress, type, fetched, signal);
+
+  onProgress?.({ type, fetched, rateLimit: false });
+  if (!signal?.aborted) {
+    console.log(`Rate limit wait complete for ${type}, resuming...`);
+  }
+  return true;
+}
+
+// Secondary limits come with Retry-After (seconds); without it GitHub asks for at least a minute,
+// growing exponentially while the limit persists
+async function handleSecondaryRateLimit(error, onProgress, type, fetched, signal, attempt) {
+  const retryAfter = parseInt(errorHeaders(error)['retry-after'] || '0') * 1000;
+  const waitTime = retryAfter > 0
+    ? retryAfter + backoffDelay(1)
+    : Math.max(SECONDARY_MIN_WAIT, backoffDelay(attempt, SECONDARY_MIN_WAIT, 15 * 60000));
+
+  console.log(`Secondary rate limit on ${type} (fetched: ${fetched}). Waiting ${Math.ceil(waitTime / 1000)}s...`);
+
+  onProgress?.({ type, fetched, rateLimit: true, waitTime, secondary: true });
+  await waitWithCountdown(waitTime, onProgress, type, fetched, signal);
+  onProgress?.({ type, fetched, rateLimit: false });
+  return true;
+}
+
+// Wait for the reset when the remaining budget drops below the threshold
+export async function checkRateLimit(rateLimit, onProgress, type, fetched, threshold = 10, signal = null) {
+  if (!rateLimit || rateLimit.remaining >= threshold) return;
+
+  const waitTime = Math.max(0, rateLimit.resetAt - Date.now()) + 1000;
+
+  console.log(`Rate limit low on ${type} (${rateLimit.remaining} remaining), waiting ${Math.ceil(waitTime / 1000)}s...`);
+
+  await waitWithCountdown(waitTime, onProgress, type, fetched, signal);
+  onProgress?.({ type, fetched, rateLimit: false });
+}
+
+// Resolves after ms, or as soon as signal is aborted (callers check signal.aborted afterwards)
+export function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
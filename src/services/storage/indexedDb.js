@@ -0,0 +1,156 @@
+// Storage adapter on the browser's IndexedDB, so a single user gets caching, resume and comparisons
+// without any backend. Every table is an object store keyed on its unique columns (TABLE_KEYS), which
+// start with repo_id for the per-repo ones, so a repo's rows are one key range.
+import { TABLE_KEYS, REPO_TABLES } from './tables';
+
+const DB_NAME = 'github-repo-analytics';
+// 2: daily_metrics keyed by version as well (see TABLE_KEYS)
+const DB_VERSION = 2;
+
+export function indexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once the transaction has committed
+function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+// Moves daily_metrics rows stored before versioning into a store with the new key, as version 0
+function versionDailyMetrics(db, tx) {
+  tx.objectStore('daily_metrics').getAll().onsuccess = (event) => {
+    db.deleteObjectStore('daily_metrics');
+    const store = db.createObjectStore('daily_metrics', { keyPath: TABLE_KEYS.daily_metrics });
+    for (const row of event.target.result) store.put({ ...row, version: 0 });
+  };
+}
+
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion === 1) versionDailyMetrics(db, request.transaction);
+    if (!db.objectStoreNames.contains('repositories')) {
+      const repos = db.createObjectStore('repositories', { keyPath: 'id', autoIncrement: true });
+      repos.createIndex('repo', ['host', 'owner', 'repo'], { unique: true });
+    }
+    for (const [table, key] of Object.entries(TABLE_KEYS)) {
+      if (!db.objectStoreNames.contains(table)) {
+        db.createObjectStore(table, { keyPath: key });
+      }
+    }
+  };
+  return promisify(request);
+}
+
+// Every key starting with repoId: arrays sort after all other key types, so [repoId, []] is past them all.
+// With a version, only the keys of that version of a versioned table ([repo_id, version, ...]).
+function repoRange(repoId, version) {
+  if (version !== undefined) return IDBKeyRange.bound([repoId, version], [repoId, version, []]);
+  return IDBKeyRange.bound([repoId], [repoId, []]);
+}
+
+function compareBy(column, ascending) {
+  return (a, b) => {
+    const order = a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0;
+    return ascending ? order : -order;
+  };
+}
+
+export function createIndexedDbStorage() {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) dbPromise = openDatabase();
+    return dbPromise;
+  };
+
+  return {
+    name: 'indexeddb',
+
+    async getRepo(host, owner, repo) {
+      const tx = (await db()).transaction('repositories');
+      const row = await promisify(tx.objectStore('repositories').index('repo').get([host, owner, repo]));
+      return row || null;
+    },
+
+    // Read and write in one transaction, so parallel saves of a new repo can't create it twice
+    async saveRepo(record) {
+      const tx = (await db()).transaction('repositories', 'readwrite');
+      const store = tx.objectStore('repositories');
+      const existing = await promisify(store.index('repo').get([record.host, record.owner, record.repo]));
+      const row = { ...existing, ...record };
+      row.id = await promisify(store.put(row));
+      await committed(tx);
+      return row;
+    },
+
+    async updateRepo(host, owner, repo, fields) {
+      const tx = (await db()).transaction('repositories', 'readwrite');
+      const store = tx.objectStore('repositories');
+      const existing = await promisify(store.index('repo').get([host, owner, repo]));
+      if (existing) store.put({ ...existing, ...fields });
+      await committed(tx);
+    },
+
+    async listRepos() {
+      const tx = (await db()).transaction('repositories');
+      const rows = await promisify(tx.objectStore('repositories').getAll());
+      return rows.sort(compareBy('last_fetched', false));
+    },
+
+    async deleteRepo(repoId) {
+      const tx = (await db()).transaction(['repositories', ...REPO_TABLES], 'readwrite');
+      for (const table of REPO_TABLES) {
+        tx.objectStore(table).delete(repoRange(repoId));
+      }
+      tx.objectStore('repositories').delete(repoId);
+      await committed(tx);
+    },
+
+    // columns only matters to Supabase, rows here are small enough to read whole
+    async getRows(table, repoId, { orderBy = TABLE_KEYS[table][1], ascending = true, version } = {}) {
+      const tx = (await db()).transaction(table);
+      const rows = await promisify(tx.objectStore(table).getAll(repoRange(repoId, version)));
+      return rows.sort(compareBy(orderBy, ascending));
+    },
+
+    async upsertRows(table, rows) {
+      if (rows.length === 0) return;
+      const tx = (await db()).transaction(table, 'readwrite');
+      const store = tx.objectStore(table);
+      for (const row of rows) store.put(row);
+      await committed(tx);
+    },
+
+    async deleteRows(table, repoId, { belowVersion } = {}) {
+      const tx = (await db()).transaction(table, 'readwrite');
+      tx.objectStore(table).delete(belowVersion === undefined
+        ? repoRange(repoId)
+        : IDBKeyRange.bound([repoId], [repoId, belowVersion], false, true));
+      await committed(tx);
+    },
+
+    async countRows(table, repoId) {
+      const tx = (await db()).transaction(table);
+      return promisify(tx.objectStore(table).count(repoRange(repoId)));
+    },
+
+    async getUsers(host, logins, fetchedSince) {
+      const tx = (await db()).transaction('github_users');
+      const store = tx.objectStore('github_users');
+      const rows = await Promise.all(logins.map(login => promisify(store.get([host, login]))));
+      return rows.filter(row => row && row.fetched_at >= fetchedSince);
+    }
+  };
+}
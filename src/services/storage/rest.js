@@ -0,0 +1,81 @@
+// Storage adapter on the self-hosted backend (api-server.js, SQLite), set up from VITE_STORAGE_API_URL
+// and VITE_STORAGE_API_TOKEN (the backend's STORAGE_API_TOKEN)
+export const storageApiUrl = import.meta.env.VITE_STORAGE_API_URL || null;
+export const storageApiToken = import.meta.env.VITE_STORAGE_API_TOKEN || null;
+
+// Rows per request when writing, to keep request bodies small
+const WRITE_BATCH_SIZE = 1000;
+
+export function createRestStorage(baseUrl, token) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/api/storage`;
+  const repoPath = (host, owner, repo) => `/repos/${[host, owner, repo].map(encodeURIComponent).join('/')}`;
+
+  // Resolves with the response body, null for 204 and for 404 when notFoundOk
+  async function request(method, path, body, { notFoundOk = false } = {}) {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(root + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (response.status === 404 && notFoundOk) return null;
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new Error(`Storage API ${method} ${path} returned ${response.status}${error ? `: ${error}` : ''}`);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  return {
+    name: 'api',
+
+    getRepo(host, owner, repo) {
+      return request('GET', repoPath(host, owner, repo), undefined, { notFoundOk: true });
+    },
+
+    saveRepo(record) {
+      return request('PUT', '/repos', record);
+    },
+
+    async updateRepo(host, owner, repo, fields) {
+      await request('PATCH', repoPath(host, owner, repo), fields);
+    },
+
+    async listRepos() {
+      return (await request('GET', '/repos')) || [];
+    },
+
+    async deleteRepo(repoId) {
+      await request('DELETE', `/repos/${repoId}`);
+    },
+
+    // columns only matters to Supabase, the backend returns whole rows
+    async getRows(table, repoId, { orderBy, ascending = true, version } = {}) {
+      const params = new URLSearchParams({ ascending: String(ascending) });
+      if (orderBy) params.set('orderBy', orderBy);
+      if (version !== undefined) params.set('version', version);
+      return (await request('GET', `/tables/${table}/${repoId}?${params}`)) || [];
+    },
+
+    async upsertRows(table, rows) {
+      for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+        await request('PUT', `/tables/${table}`, rows.slice(i, i + WRITE_BATCH_SIZE));
+      }
+    },
+
+    async deleteRows(table, repoId, { belowVersion } = {}) {
+      const query = belowVersion === undefined ? '' : `?belowVersion=${belowVersion}`;
+      await request('DELETE', `/tables/${table}/${repoId}${query}`);
+    },
+
+    async countRows(table, repoId) {
+      const { count } = await request('GET', `/tables/${table}/${repoId}/count`);
+      return count || 0;
+    },
+
+    async getUsers(host, logins, fetchedSince) {
+      return (await request('POST', '/users', { host, logins, fetchedSince })) || [];
+    }
+  };
+}
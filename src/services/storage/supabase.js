@@ -0,0 +1,139 @@
+// Storage adapter on Supabase (Postgres), set up from VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY
+import { createClient } from '@supabase/supabase-js';
+import { TABLE_KEYS, REPO_TABLES } from './tables';
+
+const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+export const supabase = supabaseUrl && supabaseAnonKey
+  ? createClient(supabaseUrl, supabaseAnonKey)
+  : null;
+
+console.log('Supabase client initialized:', !!supabase, 'URL:', supabaseUrl ? 'set' : 'missing');
+
+// Supabase has a default limit of 1000 rows per request, so reads are paginated
+const PAGE_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+// PostgREST's code for .single() matching no row
+const NOT_FOUND = 'PGRST116';
+
+function check(error, what) {
+  if (error) throw new Error(`${what}: ${error.message}`);
+}
+
+export function createSupabaseStorage(client) {
+  const matchRepo = (query, host, owner, repo) => query.eq('host', host).eq('owner', owner).eq('repo', repo);
+
+  return {
+    name: 'supabase',
+
+    async getRepo(host, owner, repo) {
+      const { data, error } = await matchRepo(client.from('repositories').select('*'), host, owner, repo).single();
+      if (error?.code === NOT_FOUND) return null;
+      check(error, 'Error fetching repository');
+      return data;
+    },
+
+    async saveRepo(record) {
+      const { data, error } = await client
+        .from('repositories')
+        .upsert(record, { onConflict: 'host,owner,repo' })
+        .select()
+        .single();
+      check(error, 'Error saving repository');
+      return data;
+    },
+
+    async updateRepo(host, owner, repo, fields) {
+      const { error } = await matchRepo(client.from('repositories').update(fields), host, owner, repo);
+      check(error, 'Error updating repository');
+    },
+
+    async listRepos() {
+      const { data, error } = await client
+        .from('repositories')
+        .select('*')
+        .order('last_fetched', { ascending: false });
+      check(error, 'Error fetching repositories');
+      return data || [];
+    },
+
+    async deleteRepo(repoId) {
+      for (const table of REPO_TABLES) {
+        const { error } = await client.from(table).delete().eq('repo_id', repoId);
+        check(error, `Error deleting ${table}`);
+      }
+      const { error } = await client.from('repositories').delete().eq('id', repoId);
+      check(error, 'Error deleting repository');
+    },
+
+    async getRows(table, repoId, { columns = '*', orderBy = TABLE_KEYS[table][1], ascending = true, version } = {}) {
+      let rows = [];
+      let from = 0;
+
+      while (true) {
+        let query = client.from(table).select(columns).eq('repo_id', repoId).order(orderBy, { ascending });
+        if (version !== undefined) query = query.eq('version', version);
+        // Pages are ranges of the sorted rows, so ties on orderBy are broken by the table's key or rows
+        // could move between pages, showing up twice or not at all
+        for (const column of TABLE_KEYS[table].slice(1)) {
+          if (column !== orderBy) query = query.order(column, { ascending });
+        }
+        const { data: batch, error } = await query.range(from, from + PAGE_SIZE - 1);
+
+        check(error, `Error fetching ${table}`);
+        if (!batch || batch.length === 0) break;
+
+        rows = rows.concat(batch);
+        if (batch.length < PAGE_SIZE) break;
+        from += PAGE_SIZE;
+      }
+
+      return rows;
+    },
+
+    async upsertRows(table, rows) {
+      for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+        const { error } = await client
+          .from(table)
+          .upsert(rows.slice(i, i + WRITE_BATCH_SIZE), { onConflict: TABLE_KEYS[table].join(',') });
+        check(error, `Error saving ${table} batch`);
+      }
+    },
+
+    async deleteRows(table, repoId, { belowVersion } = {}) {
+      let query = client.from(table).delete().eq('repo_id', repoId);
+      if (belowVersion !== undefined) query = query.lt('version', belowVersion);
+      const { error } = await query;
+      check(error, `Error deleting ${table}`);
+    },
+
+    async countRows(table, repoId) {
+      const { count, error } = await client
+        .from(table)
+        .select('*', { count: 'exact', head: true })
+        .eq('repo_id', repoId);
+      check(error, `Error counting ${table}`);
+      return count || 0;
+    },
+
+    async getUsers(host, logins, fetchedSince) {
+      let users = [];
+      // Logins go in the URL, so look them up in chunks
+      const chunkSize = 200;
+
+      for (let i = 0; i < logins.length; i += chunkSize) {
+        const { data, error } = await client
+          .from('github_users')
+          .select('*')
+          .eq('host', host)
+          .in('login', logins.slice(i, i + chunkSize))
+          .gte('fetched_at', fetchedSince);
+        check(error, 'Error fetching user profiles');
+        users = users.concat(data || []);
+      }
+
+      return users;
+    }
+  };
+}
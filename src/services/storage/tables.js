@@ -0,0 +1,20 @@
+// Tables of the cache besides repositories (see supabase/migrations), with the columns each row is
+// unique on. Adapters upsert rows on these keys, and all tables but github_users hang off a repository
+// through repo_id. daily_metrics is versioned: a full refresh writes a new version next to the one
+// repositories.metrics_version points at, then swaps the pointer (see saveRepoToCache).
+export const TABLE_KEYS = {
+  daily_metrics: ['repo_id', 'version', 'date'],
+  monthly_metrics: ['repo_id', 'month_end'],
+  release_snapshots: ['repo_id', 'captured_on', 'tag'],
+  traffic_daily: ['repo_id', 'date'],
+  traffic_paths: ['repo_id', 'captured_on', 'path'],
+  traffic_referrers: ['repo_id', 'captured_on', 'referrer'],
+  raw_stargazers: ['repo_id', 'login'],
+  raw_forks: ['repo_id', 'owner'],
+  raw_issues: ['repo_id', 'number'],
+  raw_prs: ['repo_id', 'number'],
+  raw_commits: ['repo_id', 'sha'],
+  github_users: ['host', 'login']
+};
+
+export const REPO_TABLES = Object.keys(TABLE_KEYS).filter(table => TABLE_KEYS[table][0] === 'repo_id');
@@ -0,0 +1,147 @@
+// Pool of GitHub tokens shared by the REST and GraphQL clients
+// Each request goes through the token with the most x-ratelimit-remaining for its resource
+// (core or graphql). Callers only see a rate limit error once every token is exhausted,
+// so the fetchers fall back to sleeping only then.
+import { isRateLimitError } from './rateLimit';
+import { DEFAULT_HOST } from './hosts';
+
+const DEFAULT_LIMIT = 5000;
+
+// url is relative for REST calls but absolute for GraphQL (Enterprise hosts use /api/graphql)
+function resourceFor(url) {
+  const path = url.replace(/^https?:\/\/[^/]+/, '');
+  if (path.endsWith('/graphql')) return 'graphql';
+  return 'core';
+}
+
+function isGraphQLRateLimited(response) {
+  return response.data?.errors?.some(e => e.type === 'RATE_LIMITED');
+}
+
+export function isTokenPool(value) {
+  return !!value && Array.isArray(value.tokens);
+}
+
+// entries: [{ label, token }], all valid for the same host (see hosts.js)
+export function createTokenPool(entries, host = DEFAULT_HOST) {
+  const tokens = entries
+    .filter(e => e.token)
+    .map((e, i) => ({
+      label: e.label || `Token ${i + 1}`,
+      token: e.token,
+      limits: {} // resource -> { remaining, reset } (reset in epoch seconds)
+    }));
+
+  // Budgets refill on their own, so anything past its reset time counts as full again
+  const limitFor = (entry, resource) => {
+    const limit = entry.limits[resource];
+    if (!limit || limit.reset * 1000 <= Date.now()) {
+      return { remaining: DEFAULT_LIMIT, reset: 0 };
+    }
+    return limit;
+  };
+
+  const pick = (resource, exclude = new Set()) => {
+    let best = null;
+    for (const entry of tokens) {
+      if (exclude.has(entry)) continue;
+      if (!best || limitFor(entry, resource).remaining > limitFor(best, resource).remaining) {
+        best = entry;
+      }
+    }
+    return best;
+  };
+
+  return {
+    host,
+    tokens,
+    pick,
+    limitFor,
+    update(entry, resource, headers) {
+      const remaining = headers?.['x-ratelimit-remaining'];
+      if (remaining === undefined) return;
+      entry.limits[resource] = {
+        remaining: parseInt(remaining),
+        reset: parseInt(headers['x-ratelimit-reset'] || '0')
+      };
+    },
+    markExhausted(entry, resource, reset) {
+      entry.limits[resource] = { remaining: 0, reset: reset || Math.ceil(Date.now() / 1000) + 60 };
+    },
+    // Best budget across the pool, which is what the next request will get
+    best(resource) {
+      const entry = pick(resource);
+      return entry ? limitFor(entry, resource) : { remaining: 0, reset: 0 };
+    }
+  };
+}
+
+// Report the pool's best budget instead of the budget of the token that served the request,
+// so the fetchers' low-budget pauses only kick in when the whole pool is low
+function withPoolBudget(response, pool, resource) {
+  const best = pool.best(resource);
+
+  if (resource === 'graphql' && response.data?.data?.rateLimit) {
+    response.data.data.rateLimit = {
+      ...response.data.data.rateLimit,
+      remaining: best.remaining,
+      resetAt: new Date(best.reset * 1000).toISOString()
+    };
+  }
+
+  response.headers = {
+    ...response.headers,
+    'x-ratelimit-remaining': String(best.remaining),
+    'x-ratelimit-reset': String(best.reset)
+  };
+  return response;
+}
+
+// Route every request of an unauthenticated Octokit instance through the pool
+export function withTokenPool(octokit, pool) {
+  octokit.hook.wrap('request', async (request, options) => {
+    const resource = resourceFor(options.url);
+    const tried = new Set();
+    let earliestError = null;
+    let rateLimitedResponse = null;
+
+    while (tried.size < pool.tokens.length) {
+      const entry = pool.pick(resource, tried);
+      tried.add(entry);
+      options.headers = { ...options.headers, authorization: `token ${entry.token}` };
+
+      try {
+        const response = await request(options);
+        pool.update(entry, resource, response.headers);
+
+        // GraphQL reports rate limits as a 200 with a RATE_LIMITED error
+        if (isGraphQLRateLimited(response)) {
+          pool.markExhausted(entry, resource, parseInt(response.headers['x-ratelimit-reset'] || '0'));
+          console.log(`Token "${entry.label}" is rate limited on ${resource}, rotating...`);
+          rateLimitedResponse = response;
+          continue;
+        }
+
+        return withPoolBudget(response, pool, resource);
+      } catch (error) {
+        pool.update(entry, resource, error.response?.headers);
+        if (!isRateLimitError(error)) throw error;
+
+        const reset = parseInt(error.response?.headers?.['x-ratelimit-reset'] || '0');
+        pool.markExhausted(entry, resource, reset);
+        console.log(`Token "${entry.label}" is rate limited on ${resource}, rotating...`);
+
+        const earliestReset = parseInt(earliestError?.response?.headers?.['x-ratelimit-reset'] || 'Infinity');
+        if (!earliestError || reset < earliestReset) {
+          earliestError = error;
+        }
+      }
+    }
+
+    // Every token is exhausted: surface the one that resets first so callers sleep the shortest time
+    if (earliestError) throw earliestError;
+    return rateLimitedResponse;
+  });
+
+  return octokit;
+}
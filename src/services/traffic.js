@@ -0,0 +1,117 @@
+// Traffic history shared by the app and the cron job (api/cron/check-trending.js)
+// GitHub only keeps 14 days of traffic, so every refresh upserts what it returns and the history
+// builds up in traffic_daily. Popular paths and referrers are 14-day totals, stored as one
+// snapshot per refresh day. The cron job writes through its own Supabase client (upsertTraffic),
+// the app through its storage adapter with the same rows (see services/cache.js).
+
+// Normalize the responses of the views, clones, popular paths and referrers endpoints
+// into { daily: [{ date, views, uniqueViews, clones, uniqueClones }], paths, referrers }
+export function normalizeTraffic(views, clones, paths, referrers) {
+  const byDate = new Map();
+  const dayOf = (timestamp) => {
+    const date = timestamp.split('T')[0];
+    if (!byDate.has(date)) {
+      byDate.set(date, { date, views: 0, uniqueViews: 0, clones: 0, uniqueClones: 0 });
+    }
+    return byDate.get(date);
+  };
+
+  for (const v of views.views || []) {
+    const day = dayOf(v.timestamp);
+    day.views = v.count;
+    day.uniqueViews = v.uniques;
+  }
+  for (const c of clones.clones || []) {
+    const day = dayOf(c.timestamp);
+    day.clones = c.count;
+    day.uniqueClones = c.uniques;
+  }
+
+  return {
+    daily: Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    paths: paths.map(p => ({ path: p.path, title: p.title, count: p.count, uniques: p.uniques })),
+    referrers: referrers.map(r => ({ referrer: r.referrer, count: r.count, uniques: r.uniques }))
+  };
+}
+
+// Rows of a normalized traffic fetch per table, each table upserted on its unique columns
+// (repo_id + date for the daily counts, repo_id + captured_on + path/referrer for the snapshots)
+export function trafficRows(repoId, traffic) {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    // The newest day is still in progress, later refreshes overwrite it with the final counts
+    traffic_daily: traffic.daily.map(d => ({
+      repo_id: repoId,
+      date: d.date,
+      views: d.views,
+      unique_views: d.uniqueViews,
+      clones: d.clones,
+      unique_clones: d.uniqueClones
+    })),
+    traffic_paths: traffic.paths.map(p => ({
+      repo_id: repoId,
+      captured_on: today,
+      path: p.path,
+      title: p.title,
+      count: p.count,
+      uniques: p.uniques
+    })),
+    traffic_referrers: traffic.referrers.map(r => ({
+      repo_id: repoId,
+      captured_on: today,
+      referrer: r.referrer,
+      count: r.count,
+      uniques: r.uniques
+    }))
+  };
+}
+
+const CONFLICT_COLUMNS = {
+  traffic_daily: 'repo_id,date',
+  traffic_paths: 'repo_id,captured_on,path',
+  traffic_referrers: 'repo_id,captured_on,referrer'
+};
+
+// Upsert a normalized traffic fetch, returns false if any write failed
+export async function upsertTraffic(client, repoId, traffic) {
+  let ok = true;
+
+  for (const [table, rows] of Object.entries(trafficRows(repoId, traffic))) {
+    if (rows.length === 0) continue;
+    const { error } = await client
+      .from(table)
+      .upsert(rows, { onConflict: CONFLICT_COLUMNS[table] });
+
+    if (error) {
+      console.error(`Error saving ${table}:`, error);
+      ok = false;
+    }
+  }
+
+  return ok;
+}
+
+// The accumulated history in the same shape as normalizeTraffic from the stored rows of a repo, with
+// the paths and referrers of the latest snapshot. Returns null when no daily counts have been stored.
+export function trafficFromRows(daily, paths, referrers) {
+  if (daily.length === 0) return null;
+
+  const latestSnapshot = (rows) => {
+    const latest = rows.reduce((max, row) => row.captured_on > max ? row.captured_on : max, '');
+    return rows
+      .filter(row => row.captured_on === latest)
+      .sort((a, b) => b.count - a.count);
+  };
+
+  return {
+    daily: [...daily].sort((a, b) => a.date.localeCompare(b.date)).map(d => ({
+      date: d.date,
+      views: d.views,
+      uniqueViews: d.unique_views,
+      clones: d.clones,
+      uniqueClones: d.unique_clones
+    })),
+    paths: latestSnapshot(paths).map(p => ({ path: p.path, title: p.title, count: p.count, uniques: p.uniques })),
+    referrers: latestSnapshot(referrers).map(r => ({ referrer: r.referrer, count: r.count, uniques: r.uniques }))
+  };
+}
@@ -1,4 +1,5 @@
 // Fetch GitHub trending repositories via API route (avoids CORS)
+import { repoKey } from './hosts';
 
 export async function fetchTrendingRepos(since = 'weekly') {
   // Use API route to avoid CORS issues
@@ -75,9 +76,10 @@ function parseTrendingHtml(html) {
 }
 
 // Filter out repos that are already cached
+// Trending repos are github.com repos, so Enterprise repos with the same name don't match
 export function filterNewRepos(trendingRepos, cachedRepos) {
   const cachedSet = new Set(
-    cachedRepos.map(r => `${r.owner}/${r.repo}`.toLowerCase())
+    cachedRepos.map(r => repoKey(r.owner, r.repo, r.host).toLowerCase())
   );
 
   return trendingRepos.filter(
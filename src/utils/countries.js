@@ -0,0 +1,140 @@
+// Country guesses from the free-text location of GitHub profiles ("Berlin, Germany", "SF, CA", "India")
+// Parts of the location are matched from the last one (usually the country) to the first against
+// country names and common aliases, then large tech cities. Anything else is unknown.
+
+const COUNTRIES = {
+  'United States': ['united states', 'united states of america', 'usa', 'us', 'u.s.', 'u.s.a.', 'america'],
+  'China': ['china', 'prc', "people's republic of china", '中国'],
+  'India': ['india', 'bharat'],
+  'Germany': ['germany', 'deutschland', 'de'],
+  'United Kingdom': ['united kingdom', 'uk', 'u.k.', 'england', 'scotland', 'wales', 'northern ireland', 'great britain', 'gb'],
+  'Canada': ['canada'],
+  'France': ['france'],
+  'Brazil': ['brazil', 'brasil'],
+  'Japan': ['japan', '日本'],
+  'Russia': ['russia', 'russian federation', 'россия'],
+  'South Korea': ['south korea', 'korea', 'republic of korea', '대한민국', '한국'],
+  'Netherlands': ['netherlands', 'the netherlands', 'holland', 'nederland'],
+  'Australia': ['australia'],
+  'Spain': ['spain', 'españa', 'espana'],
+  'Italy': ['italy', 'italia'],
+  'Poland': ['poland', 'polska'],
+  'Ukraine': ['ukraine', 'україна'],
+  'Sweden': ['sweden', 'sverige'],
+  'Switzerland': ['switzerland', 'schweiz', 'suisse'],
+  'Taiwan': ['taiwan', '台灣', '台湾'],
+  'Indonesia': ['indonesia'],
+  'Turkey': ['turkey', 'türkiye', 'turkiye'],
+  'Israel': ['israel'],
+  'Singapore': ['singapore'],
+  'Vietnam': ['vietnam', 'viet nam'],
+  'Pakistan': ['pakistan'],
+  'Bangladesh': ['bangladesh'],
+  'Nigeria': ['nigeria'],
+  'Egypt': ['egypt'],
+  'Kenya': ['kenya'],
+  'South Africa': ['south africa'],
+  'Mexico': ['mexico', 'méxico'],
+  'Argentina': ['argentina'],
+  'Colombia': ['colombia'],
+  'Chile': ['chile'],
+  'Peru': ['peru', 'perú'],
+  'Portugal': ['portugal'],
+  'Belgium': ['belgium', 'belgië', 'belgique'],
+  'Austria': ['austria', 'österreich'],
+  'Czech Republic': ['czech republic', 'czechia', 'česko'],
+  'Denmark': ['denmark', 'danmark'],
+  'Norway': ['norway', 'norge'],
+  'Finland': ['finland', 'suomi'],
+  'Ireland': ['ireland'],
+  'Romania': ['romania', 'românia'],
+  'Greece': ['greece'],
+  'Hungary': ['hungary'],
+  'Iran': ['iran'],
+  'Philippines': ['philippines'],
+  'Thailand': ['thailand'],
+  'Malaysia': ['malaysia'],
+  'Hong Kong': ['hong kong', 'hk'],
+  'New Zealand': ['new zealand', 'nz'],
+  'United Arab Emirates': ['united arab emirates', 'uae'],
+  'Saudi Arabia': ['saudi arabia']
+};
+
+const CITIES = {
+  'United States': ['san francisco', 'sf', 'bay area', 'new york', 'new york city', 'nyc', 'seattle', 'los angeles', 'la', 'boston', 'austin', 'chicago', 'san jose', 'mountain view', 'palo alto', 'sunnyvale', 'redmond', 'portland', 'denver', 'atlanta', 'brooklyn', 'silicon valley', 'washington dc', 'dc'],
+  'China': ['beijing', 'shanghai', 'shenzhen', 'hangzhou', 'guangzhou', 'chengdu', 'nanjing', 'wuhan', "xi'an", 'suzhou', '北京', '上海', '深圳', '杭州', '广州'],
+  'India': ['bangalore', 'bengaluru', 'mumbai', 'delhi', 'new delhi', 'hyderabad', 'pune', 'chennai', 'kolkata', 'noida', 'gurgaon', 'gurugram'],
+  'Germany': ['berlin', 'munich', 'münchen', 'hamburg', 'frankfurt', 'cologne', 'köln', 'stuttgart'],
+  'United Kingdom': ['london', 'manchester', 'cambridge', 'oxford', 'edinburgh', 'bristol'],
+  'Canada': ['toronto', 'vancouver', 'montreal', 'montréal', 'ottawa', 'waterloo', 'calgary'],
+  'France': ['paris', 'lyon', 'toulouse'],
+  'Brazil': ['são paulo', 'sao paulo', 'rio de janeiro'],
+  'Japan': ['tokyo', 'osaka', 'kyoto', '東京'],
+  'Russia': ['moscow', 'saint petersburg', 'st. petersburg', 'москва'],
+  'South Korea': ['seoul', '서울'],
+  'Netherlands': ['amsterdam', 'rotterdam', 'utrecht'],
+  'Australia': ['sydney', 'melbourne', 'brisbane'],
+  'Spain': ['madrid', 'barcelona'],
+  'Poland': ['warsaw', 'kraków', 'krakow', 'wrocław', 'wroclaw'],
+  'Ukraine': ['kyiv', 'kiev', 'lviv', 'kharkiv'],
+  'Sweden': ['stockholm'],
+  'Switzerland': ['zurich', 'zürich', 'geneva'],
+  'Taiwan': ['taipei'],
+  'Indonesia': ['jakarta'],
+  'Turkey': ['istanbul', 'ankara'],
+  'Israel': ['tel aviv'],
+  'Vietnam': ['hanoi', 'ho chi minh city'],
+  'Nigeria': ['lagos'],
+  'Mexico': ['mexico city'],
+  'Argentina': ['buenos aires'],
+  'Austria': ['vienna', 'wien'],
+  'Czech Republic': ['prague', 'praha'],
+  'Denmark': ['copenhagen'],
+  'Ireland': ['dublin']
+};
+
+const US_STATES = [
+  'al', 'ak', 'az', 'ar', 'ca', 'co', 'ct', 'de', 'fl', 'ga', 'hi', 'id', 'il', 'in', 'ia', 'ks', 'ky', 'la',
+  'me', 'md', 'ma', 'mi', 'mn', 'ms', 'mo', 'mt', 'ne', 'nv', 'nh', 'nj', 'nm', 'ny', 'nc', 'nd', 'oh', 'ok',
+  'or', 'pa', 'ri', 'sc', 'sd', 'tn', 'tx', 'ut', 'vt', 'va', 'wa', 'wv', 'wi', 'wy',
+  'california', 'texas', 'washington', 'new york', 'massachusetts', 'florida', 'illinois', 'colorado',
+  'oregon', 'georgia', 'virginia', 'pennsylvania', 'north carolina', 'new jersey', 'michigan', 'ohio'
+];
+
+function lookupTable(byCountry) {
+  const table = new Map();
+  for (const [country, names] of Object.entries(byCountry)) {
+    for (const name of names) table.set(name, country);
+  }
+  return table;
+}
+
+const COUNTRY_NAMES = lookupTable(COUNTRIES);
+const CITY_NAMES = lookupTable(CITIES);
+const STATE_NAMES = new Set(US_STATES);
+
+// Country of a location string, or null when it can't be told
+export function guessCountry(location) {
+  if (!location) return null;
+  const parts = location
+    .toLowerCase()
+    .split(/[,/|;·•()-]+/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .reverse();
+
+  // A trailing US state ("Austin, TX") counts unless the place before it is abroad ("Berlin, DE")
+  if (parts.length > 1 && STATE_NAMES.has(parts[0])) {
+    const place = parts[1];
+    const abroad = COUNTRY_NAMES.has(place) || (CITY_NAMES.has(place) && CITY_NAMES.get(place) !== 'United States');
+    if (!abroad) return 'United States';
+  }
+
+  for (const part of parts) {
+    if (COUNTRY_NAMES.has(part)) return COUNTRY_NAMES.get(part);
+  }
+  for (const part of parts) {
+    if (CITY_NAMES.has(part)) return CITY_NAMES.get(part);
+  }
+  return null;
+}
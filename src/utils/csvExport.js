@@ -13,7 +13,9 @@ function formatData(dailyData) {
     'Total PRs Opened': d.totalPRsOpened,
     'Total PRs Closed': d.totalPRsClosed,
     'Total PRs Merged': d.totalPRsMerged,
-    'Open PRs': d.openPRs
+    'Open PRs': d.openPRs,
+    'Total Releases': d.totalReleases,
+    'Total Downloads': d.totalDownloads
   }));
 }
 
@@ -52,6 +54,8 @@ export function exportToXLSX(dailyData, repoName) {
     { wch: 16 },  // Total PRs Closed
     { wch: 16 },  // Total PRs Merged
     { wch: 10 },  // Open PRs
+    { wch: 14 },  // Total Releases
+    { wch: 16 },  // Total Downloads
   ];
 
   const workbook = XLSX.utils.book_new();
@@ -1,4 +1,9 @@
-export function aggregateToDaily(repoInfo, stargazers, forks, issues, prs, commits) {
+import { isBot, getExtraBots } from '../services/bots';
+import { guessCountry } from './countries';
+
+// Issues, PRs and contributors by bots are also counted separately (bot* fields, see withoutBots),
+// extraBots being the user's bot list (see services/bots.js)
+export function aggregateToDaily(repoInfo, stargazers, forks, issues, prs, commits, releases = [], extraBots = getExtraBots()) {
   const startDate = new Date(repoInfo.createdAt);
   const endDate = new Date();
 
@@ -20,7 +25,12 @@ export function aggregateToDaily(repoInfo, stargazers, forks, issues, prs, commi
       prsOpened: 0,
       prsClosed: 0,
       prsMerged: 0,
-      newContributors: new Set()
+      releasesPublished: 0,
+      botIssuesOpened: 0,
+      botIssuesClosed: 0,
+      botPRsOpened: 0,
+      botPRsClosed: 0,
+      botPRsMerged: 0
     });
     currentDate.setDate(currentDate.getDate() + 1);
   }
@@ -43,30 +53,36 @@ export function aggregateToDaily(repoInfo, stargazers, forks, issues, prs, commi
 
   // Aggregate issues
   issues.forEach(i => {
+    const bot = isBot(i.author, i.authorType, extraBots);
     const openedDateKey = i.createdAt.split('T')[0];
     if (dayMap.has(openedDateKey)) {
       dayMap.get(openedDateKey).issuesOpened++;
+      if (bot) dayMap.get(openedDateKey).botIssuesOpened++;
     }
 
     if (i.closedAt) {
       const closedDateKey = i.closedAt.split('T')[0];
       if (dayMap.has(closedDateKey)) {
         dayMap.get(closedDateKey).issuesClosed++;
+        if (bot) dayMap.get(closedDateKey).botIssuesClosed++;
       }
     }
   });
 
   // Aggregate PRs
   prs.forEach(pr => {
+    const bot = isBot(pr.author, pr.authorType, extraBots);
     const openedDateKey = pr.createdAt.split('T')[0];
     if (dayMap.has(openedDateKey)) {
       dayMap.get(openedDateKey).prsOpened++;
+      if (bot) dayMap.get(openedDateKey).botPRsOpened++;
     }
 
     if (pr.closedAt) {
       const closedDateKey = pr.closedAt.split('T')[0];
       if (dayMap.has(closedDateKey)) {
         dayMap.get(closedDateKey).prsClosed++;
+        if (bot) dayMap.get(closedDateKey).botPRsClosed++;
       }
     }
 
@@ -74,18 +90,16 @@ export function aggregateToDaily(repoInfo, stargazers, forks, issues, prs, commi
       const mergedDateKey = pr.mergedAt.split('T')[0];
       if (dayMap.has(mergedDateKey)) {
         dayMap.get(mergedDateKey).prsMerged++;
+        if (bot) dayMap.get(mergedDateKey).botPRsMerged++;
       }
     }
   });
 
-  // Track unique contributors over time
-  const seenContributors = new Set();
-  commits.forEach(c => {
-    if (!c.author) return;
-    const dateKey = c.date.split('T')[0];
-    if (dayMap.has(dateKey) && !seenContributors.has(c.author)) {
-      seenContributors.add(c.author);
-      dayMap.get(dateKey).newContributors.add(c.author);
+  // Aggregate releases by publish date
+  releases.forEach(r => {
+    const dateKey = r.publishedAt.split('T')[0];
+    if (dayMap.has(dateKey)) {
+      dayMap.get(dateKey).releasesPublished++;
     }
   });
 
@@ -96,35 +110,735 @@ export function aggregateToDaily(repoInfo, stargazers, forks, issues, prs, commi
 
   let totalStars = 0;
   let totalForks = 0;
-  let totalContributors = 0;
   let totalIssuesOpened = 0;
   let totalIssuesClosed = 0;
   let totalPRsOpened = 0;
   let totalPRsClosed = 0;
   let totalPRsMerged = 0;
+  let totalReleases = 0;
+  const botTotals = { botIssuesOpened: 0, botIssuesClosed: 0, botPRsOpened: 0, botPRsClosed: 0, botPRsMerged: 0 };
 
-  return sortedDays.map(day => {
+  const days = sortedDays.map(day => {
     totalStars += day.starsAdded;
     totalForks += day.forksAdded;
-    totalContributors += day.newContributors.size;
     totalIssuesOpened += day.issuesOpened;
     totalIssuesClosed += day.issuesClosed;
     totalPRsOpened += day.prsOpened;
     totalPRsClosed += day.prsClosed;
     totalPRsMerged += day.prsMerged;
+    totalReleases += day.releasesPublished;
+    for (const key of Object.keys(botTotals)) {
+      botTotals[key] += day[key];
+    }
 
     return {
       date: day.date,
       totalStars,
       totalForks,
-      totalContributors,
       totalIssuesOpened,
       totalIssuesClosed,
       openIssues: totalIssuesOpened - totalIssuesClosed,
       totalPRsOpened,
       totalPRsClosed,
       totalPRsMerged,
-      openPRs: totalPRsOpened - totalPRsClosed
+      openPRs: totalPRsOpened - totalPRsClosed,
+      totalReleases,
+      totalDownloads: null, // Filled in from download snapshots (see applyDownloadSnapshots)
+      ...botTotals
+    };
+  });
+
+  return applyContributorActivity(days, commits, extraBots);
+}
+
+// Natural key of each event type (the type fetchers pass to onSave), the same ones the raw tables are unique on
+export const EVENT_KEYS = {
+  stars: (s) => s.user,
+  forks: (f) => f.owner,
+  issues: (i) => i.number,
+  prs: (pr) => pr.number,
+  commits: (c) => c.sha
+};
+
+// Stored events plus freshly fetched ones with each counted once, the fetched copy winning as the newer one.
+// Totals aggregated from the result don't change when the same events are fetched again.
+export function mergeEvents(stored, fetched, type) {
+  const keyOf = EVENT_KEYS[type];
+  const byKey = new Map();
+  for (const item of stored) byKey.set(keyOf(item), item);
+  for (const item of fetched) byKey.set(keyOf(item), item);
+  return Array.from(byKey.values());
+}
+
+// Cumulative bot counts subtracted from each total by withoutBots
+const BOT_TOTALS = {
+  totalContributors: 'botContributors',
+  activeContributors30d: 'botActiveContributors30d',
+  activeContributors90d: 'botActiveContributors90d',
+  newContributors: 'botNewContributors',
+  returningContributors: 'botReturningContributors',
+  totalIssuesOpened: 'botIssuesOpened',
+  totalIssuesClosed: 'botIssuesClosed',
+  totalPRsOpened: 'botPRsOpened',
+  totalPRsClosed: 'botPRsClosed',
+  totalPRsMerged: 'botPRsMerged'
+};
+
+// Daily metrics without bot activity, from the bot* fields stored next to the totals
+// (days stored before bots were tracked have none and stay as they are)
+export function withoutBots(dailyMetrics) {
+  return dailyMetrics.map(day => {
+    const human = { ...day };
+    for (const [total, bot] of Object.entries(BOT_TOTALS)) {
+      if (day[total] != null && day[bot] != null) {
+        human[total] = day[total] - day[bot];
+      }
+    }
+    human.openIssues = human.totalIssuesOpened - human.totalIssuesClosed;
+    human.openPRs = human.totalPRsOpened - human.totalPRsClosed;
+    return human;
+  });
+}
+
+// Daily metrics with the bot* fields counted again from the stored raw events, so excluding bots follows
+// the current bot list rather than the one the metrics were aggregated with. Event types without stored
+// raw events keep their stored bot counts.
+export function recountBots(dailyMetrics, issues, prs, commits, extraBots) {
+  const counts = new Map();
+  const count = (timestamp, field) => {
+    if (!timestamp) return;
+    const dateKey = timestamp.split('T')[0];
+    if (!counts.has(dateKey)) counts.set(dateKey, {});
+    const day = counts.get(dateKey);
+    day[field] = (day[field] || 0) + 1;
+  };
+
+  const fields = [];
+  if (issues?.length > 0) {
+    fields.push('botIssuesOpened', 'botIssuesClosed');
+    for (const i of issues.filter(i => isBot(i.author, i.authorType, extraBots))) {
+      count(i.createdAt, 'botIssuesOpened');
+      count(i.closedAt, 'botIssuesClosed');
+    }
+  }
+  if (prs?.length > 0) {
+    fields.push('botPRsOpened', 'botPRsClosed', 'botPRsMerged');
+    for (const pr of prs.filter(pr => isBot(pr.author, pr.authorType, extraBots))) {
+      count(pr.createdAt, 'botPRsOpened');
+      count(pr.closedAt, 'botPRsClosed');
+      count(pr.mergedAt, 'botPRsMerged');
+    }
+  }
+
+  // Events from before the first day aren't counted, as in aggregateToDaily
+  const totals = Object.fromEntries(fields.map(field => [field, 0]));
+  const days = dailyMetrics.map(day => {
+    for (const field of fields) totals[field] += counts.get(day.date)?.[field] || 0;
+    return { ...day, ...totals };
+  });
+  return commits?.length > 0 ? applyContributorActivity(days, commits, extraBots) : days;
+}
+
+// Commits by anyone but bots, for the analyses computed from raw commits
+export function humanCommits(commits, extraBots) {
+  return commits.filter(c => !isBot(c.author, c.authorType, extraBots));
+}
+
+// Everyone who worked on a commit: the author plus the co-authors once identities are resolved
+// (see services/identities.js). Commit counts (concentration) only credit the author.
+const commitAuthors = (c) => c.authors || (c.author ? [c.author] : []);
+
+const DAY = 86400000;
+const shiftDate = (dateKey, days) => new Date(Date.parse(dateKey) + days * DAY).toISOString().split('T')[0];
+
+// Contributor fields of each day, computed from the full commit list so they stay correct when
+// only some commits were fetched this run (pass the stored raw commits):
+// - totalContributors: contributors seen up to that day
+// - activeContributors30d / activeContributors90d: distinct contributors in the trailing 30 / 90 days
+// - newContributors / returningContributors: contributors committing that day for the first time / again
+// The same fields for bot commits only are added as botContributors, botActiveContributors30d, ...
+export function applyContributorActivity(dailyMetrics, commits, extraBots = getExtraBots()) {
+  if (dailyMetrics.length === 0) return dailyMetrics;
+
+  const all = contributorActivity(dailyMetrics, commits);
+  // Co-authors of bot commits are people, so only the bot itself counts there
+  const botCommits = commits.filter(c => isBot(c.author, c.authorType, extraBots)).map(c => ({ ...c, authors: [c.author] }));
+  const bots = contributorActivity(dailyMetrics, botCommits);
+
+  return dailyMetrics.map(day => {
+    const bot = bots.get(day.date);
+    return {
+      ...day,
+      ...all.get(day.date),
+      botContributors: bot.totalContributors,
+      botActiveContributors30d: bot.activeContributors30d,
+      botActiveContributors90d: bot.activeContributors90d,
+      botNewContributors: bot.newContributors,
+      botReturningContributors: bot.returningContributors
     };
   });
 }
+
+// Contributor fields by date for every day up to the last daily metric
+function contributorActivity(dailyMetrics, commits) {
+  const authorsByDate = new Map();
+  const firstDate = new Map();
+  for (const c of commits) {
+    const dateKey = c.date.split('T')[0];
+    for (const author of commitAuthors(c)) {
+      if (!authorsByDate.has(dateKey)) authorsByDate.set(dateKey, new Set());
+      authorsByDate.get(dateKey).add(author);
+      if (!firstDate.has(author) || dateKey < firstDate.get(author)) {
+        firstDate.set(author, dateKey);
+      }
+    }
+  }
+
+  // Sliding windows over every calendar day, counting commit days per author inside each window
+  const windows = [30, 90].map(length => ({ length, counts: new Map() }));
+  const activity = new Map();
+  const lastDate = dailyMetrics[dailyMetrics.length - 1].date;
+  const earliestCommit = Math.min(...Array.from(firstDate.values(), d => Date.parse(d)));
+  let dateKey = new Date(Math.min(Date.parse(dailyMetrics[0].date), earliestCommit)).toISOString().split('T')[0];
+  let totalContributors = 0;
+
+  while (dateKey <= lastDate) {
+    const authors = authorsByDate.get(dateKey) || new Set();
+    let newCount = 0;
+    for (const author of authors) {
+      if (firstDate.get(author) === dateKey) newCount++;
+    }
+    totalContributors += newCount;
+
+    for (const window of windows) {
+      for (const author of authors) {
+        window.counts.set(author, (window.counts.get(author) || 0) + 1);
+      }
+      for (const author of authorsByDate.get(shiftDate(dateKey, -window.length)) || []) {
+        const count = window.counts.get(author) - 1;
+        if (count === 0) window.counts.delete(author);
+        else window.counts.set(author, count);
+      }
+    }
+
+    activity.set(dateKey, {
+      totalContributors,
+      activeContributors30d: windows[0].counts.size,
+      activeContributors90d: windows[1].counts.size,
+      newContributors: newCount,
+      returningContributors: authors.size - newCount
+    });
+    dateKey = shiftDate(dateKey, 1);
+  }
+
+  return activity;
+}
+
+// Download counts are only known from the moment they are fetched, so totals come from the
+// snapshots taken on each refresh: [{ date, totalDownloads }] sorted by date.
+// Each day carries the latest snapshot taken on or before it, days before the first snapshot stay null.
+export function applyDownloadSnapshots(dailyMetrics, snapshots) {
+  let index = -1;
+  return dailyMetrics.map(day => {
+    while (index + 1 < snapshots.length && snapshots[index + 1].date <= day.date) {
+      index++;
+    }
+    return {
+      ...day,
+      totalDownloads: index >= 0 ? snapshots[index].totalDownloads : null
+    };
+  });
+}
+
+// Month-end bucket for a YYYY-MM-DD date, computed the same way as calculateMonthlyMetrics
+function monthEndOf(dateKey) {
+  const date = new Date(dateKey);
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).toISOString().split('T')[0];
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+const HOUR = 3600000;
+const roundHours = (ms) => ms === null ? null : Math.round(ms / HOUR * 10) / 10;
+
+// Issue responsiveness per month:
+// - first response: time to the first maintainer comment, for issues opened that month by non-maintainers
+//   (issues without comment data, e.g. from the REST fetcher, are left out)
+// - answered within 24h: share of those issues with a response within a day, ignoring issues younger than a day
+// - time to close: for issues closed that month
+// Returns [{ monthEnd, issueFirstResponseMedianHours, issueFirstResponseP90Hours, issuesAnswered24hPct,
+//            issueCloseMedianHours, issueCloseP90Hours }] sorted by month
+export function aggregateIssueResponsiveness(issues) {
+  const months = new Map();
+  const monthOf = (timestamp) => {
+    const monthEnd = monthEndOf(timestamp.split('T')[0]);
+    if (!months.has(monthEnd)) {
+      months.set(monthEnd, { responses: [], eligible: 0, answered24h: 0, closes: [] });
+    }
+    return months.get(monthEnd);
+  };
+  const now = Date.now();
+
+  for (const issue of issues) {
+    const created = new Date(issue.createdAt).getTime();
+
+    if (issue.firstResponseAt !== undefined && !issue.openedByMaintainer) {
+      const month = monthOf(issue.createdAt);
+      const responseTime = issue.firstResponseAt ? new Date(issue.firstResponseAt).getTime() - created : null;
+      if (responseTime !== null) {
+        month.responses.push(responseTime);
+      }
+      if (now - created >= 24 * HOUR) {
+        month.eligible++;
+        if (responseTime !== null && responseTime <= 24 * HOUR) {
+          month.answered24h++;
+        }
+      }
+    }
+
+    if (issue.closedAt) {
+      monthOf(issue.closedAt).closes.push(new Date(issue.closedAt).getTime() - created);
+    }
+  }
+
+  return Array.from(months, ([monthEnd, month]) => {
+    const responses = month.responses.sort((a, b) => a - b);
+    const closes = month.closes.sort((a, b) => a - b);
+    return {
+      monthEnd,
+      issueFirstResponseMedianHours: roundHours(percentile(responses, 0.5)),
+      issueFirstResponseP90Hours: roundHours(percentile(responses, 0.9)),
+      issuesAnswered24hPct: month.eligible > 0 ? Math.round(month.answered24h / month.eligible * 10000) / 100 : null,
+      issueCloseMedianHours: roundHours(percentile(closes, 0.5)),
+      issueCloseP90Hours: roundHours(percentile(closes, 0.9))
+    };
+  }).sort((a, b) => a.monthEnd.localeCompare(b.monthEnd));
+}
+
+// Size buckets by lines changed (additions + deletions), upper bounds exclusive
+export const PR_SIZE_BUCKETS = [
+  { key: 'prSizeXs', label: 'XS (<10)', max: 10 },
+  { key: 'prSizeS', label: 'S (<100)', max: 100 },
+  { key: 'prSizeM', label: 'M (<500)', max: 500 },
+  { key: 'prSizeL', label: 'L (<1000)', max: 1000 },
+  { key: 'prSizeXl', label: 'XL (1000+)', max: Infinity }
+];
+
+// Pull request health per month:
+// - time to merge and merged vs closed-unmerged counts: for PRs closed that month
+// - time to first review, reviews per PR, unique reviewers and size buckets: for PRs opened that month
+//   (PRs without review data, e.g. from the REST fetcher, are left out of these)
+// Returns [{ monthEnd, prMergeMedianHours, prsMergedInMonth, prsClosedUnmergedInMonth, prMergeRatePct,
+//            prFirstReviewMedianHours, prReviewsAvg, prUniqueReviewers, prSizeXs ... prSizeXl }] sorted by month
+export function aggregatePullRequestHealth(prs) {
+  const months = new Map();
+  const monthOf = (timestamp) => {
+    const monthEnd = monthEndOf(timestamp.split('T')[0]);
+    if (!months.has(monthEnd)) {
+      months.set(monthEnd, { merges: [], merged: 0, closedUnmerged: 0, firstReviews: [], reviewed: 0, reviews: 0, reviewers: new Set(), sizes: null });
+    }
+    return months.get(monthEnd);
+  };
+
+  for (const pr of prs) {
+    const created = new Date(pr.createdAt).getTime();
+
+    if (pr.mergedAt) {
+      const month = monthOf(pr.mergedAt);
+      month.merges.push(new Date(pr.mergedAt).getTime() - created);
+      month.merged++;
+    } else if (pr.closedAt) {
+      monthOf(pr.closedAt).closedUnmerged++;
+    }
+
+    if (pr.reviewCount !== undefined) {
+      const month = monthOf(pr.createdAt);
+      month.reviewed++;
+      month.reviews += pr.reviewCount;
+      pr.reviewers.forEach(login => month.reviewers.add(login));
+      if (pr.firstReviewAt) {
+        month.firstReviews.push(new Date(pr.firstReviewAt).getTime() - created);
+      }
+
+      month.sizes = month.sizes || Object.fromEntries(PR_SIZE_BUCKETS.map(b => [b.key, 0]));
+      const size = pr.additions + pr.deletions;
+      month.sizes[PR_SIZE_BUCKETS.find(b => size < b.max).key]++;
+    }
+  }
+
+  return Array.from(months, ([monthEnd, month]) => {
+    const merges = month.merges.sort((a, b) => a - b);
+    const firstReviews = month.firstReviews.sort((a, b) => a - b);
+    const closed = month.merged + month.closedUnmerged;
+    return {
+      monthEnd,
+      prMergeMedianHours: roundHours(percentile(merges, 0.5)),
+      prsMergedInMonth: month.merged,
+      prsClosedUnmergedInMonth: month.closedUnmerged,
+      prMergeRatePct: closed > 0 ? Math.round(month.merged / closed * 10000) / 100 : null,
+      prFirstReviewMedianHours: roundHours(percentile(firstReviews, 0.5)),
+      prReviewsAvg: month.reviewed > 0 ? Math.round(month.reviews / month.reviewed * 10) / 10 : null,
+      prUniqueReviewers: month.reviewed > 0 ? month.reviewers.size : null,
+      ...Object.fromEntries(PR_SIZE_BUCKETS.map(b => [b.key, month.sizes ? month.sizes[b.key] : null]))
+    };
+  }).sort((a, b) => a.monthEnd.localeCompare(b.monthEnd));
+}
+
+// Distinct contributors committing each month for the first time and again
+// Returns [{ monthEnd, newContributorsInMonth, returningContributorsInMonth }] sorted by month
+export function aggregateContributorMonths(commits) {
+  const firstMonth = new Map();
+  const authorsByMonth = new Map();
+  for (const c of [...commits].sort((a, b) => a.date.localeCompare(b.date))) {
+    const monthEnd = monthEndOf(c.date.split('T')[0]);
+    for (const author of commitAuthors(c)) {
+      if (!firstMonth.has(author)) firstMonth.set(author, monthEnd);
+      if (!authorsByMonth.has(monthEnd)) authorsByMonth.set(monthEnd, new Set());
+      authorsByMonth.get(monthEnd).add(author);
+    }
+  }
+
+  return Array.from(authorsByMonth, ([monthEnd, authors]) => {
+    const newCount = Array.from(authors).filter(author => firstMonth.get(author) === monthEnd).length;
+    return {
+      monthEnd,
+      newContributorsInMonth: newCount,
+      returningContributorsInMonth: authors.size - newCount
+    };
+  }).sort((a, b) => a.monthEnd.localeCompare(b.monthEnd));
+}
+
+// Contributors counted in the top-N share of commits
+export const CONCENTRATION_TOP_N = 5;
+// Months of commits each concentration value looks back over
+const CONCENTRATION_WINDOW_MONTHS = 12;
+
+// Concentration of a list of commit counts per author:
+// - busFactor: fewest authors that together made at least half of the commits
+// - gini: Gini coefficient of commits per author (0 = evenly spread, towards 1 = one author)
+// - topShare: percentage of commits made by the CONCENTRATION_TOP_N most active authors
+export function commitConcentration(counts) {
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  if (total === 0) return { busFactor: null, gini: null, topShare: null };
+
+  const descending = [...counts].sort((a, b) => b - a);
+  let busFactor = 0;
+  for (let covered = 0; covered * 2 < total; busFactor++) {
+    covered += descending[busFactor];
+  }
+
+  const n = descending.length;
+  const weighted = descending.reduce((sum, c, i) => sum + (n - i) * c, 0); // rank in ascending order
+  const gini = (2 * weighted) / (n * total) - (n + 1) / n;
+
+  return {
+    busFactor,
+    gini: Math.round(gini * 1000) / 1000,
+    topShare: Math.round(descending.slice(0, CONCENTRATION_TOP_N).reduce((sum, c) => sum + c, 0) / total * 10000) / 100
+  };
+}
+
+// Commit concentration per month over the trailing CONCENTRATION_WINDOW_MONTHS months
+// Returns [{ monthEnd, busFactor, commitGini, top5CommitSharePct }] sorted by month
+export function aggregateConcentration(commits) {
+  const monthIndex = (date) => {
+    const [year, month] = date.slice(0, 7).split('-').map(Number);
+    return year * 12 + month - 1;
+  };
+
+  const authorsByMonth = new Map();
+  for (const c of commits) {
+    if (!c.author) continue;
+    const index = monthIndex(c.date);
+    if (!authorsByMonth.has(index)) authorsByMonth.set(index, []);
+    authorsByMonth.get(index).push(c.author);
+  }
+  if (authorsByMonth.size === 0) return [];
+
+  const first = Math.min(...authorsByMonth.keys());
+  const last = Math.max(...authorsByMonth.keys());
+  const window = new Map();
+  const result = [];
+
+  for (let index = first; index <= last; index++) {
+    for (const author of authorsByMonth.get(index) || []) {
+      window.set(author, (window.get(author) || 0) + 1);
+    }
+    for (const author of authorsByMonth.get(index - CONCENTRATION_WINDOW_MONTHS) || []) {
+      const count = window.get(author) - 1;
+      if (count === 0) window.delete(author);
+      else window.set(author, count);
+    }
+
+    const { busFactor, gini, topShare } = commitConcentration(Array.from(window.values()));
+    const month = `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+    result.push({
+      monthEnd: monthEndOf(`${month}-15`),
+      busFactor,
+      commitGini: gini,
+      top5CommitSharePct: topShare
+    });
+  }
+
+  return result;
+}
+
+// Top contributors with their share of all commits and their commits over the last year
+// contributors: [{ login, contributions }] from fetchAllContributors, or null to count the commits instead
+export function rankContributors(contributors, commits, limit = 25) {
+  const yearAgo = new Date(Date.now() - 365 * 86400000).toISOString();
+  const allTime = new Map();
+  const recent = new Map();
+  for (const c of commits) {
+    if (!c.author) continue;
+    allTime.set(c.author, (allTime.get(c.author) || 0) + 1);
+    if (c.date >= yearAgo) {
+      recent.set(c.author, (recent.get(c.author) || 0) + 1);
+    }
+  }
+
+  const ranked = contributors
+    || Array.from(allTime, ([login, contributions]) => ({ login, contributions }));
+  const total = ranked.reduce((sum, c) => sum + c.contributions, 0);
+
+  return [...ranked]
+    .sort((a, b) => b.contributions - a.contributions)
+    .slice(0, limit)
+    .map(c => ({
+      login: c.login,
+      contributions: c.contributions,
+      sharePct: total > 0 ? Math.round(c.contributions / total * 10000) / 100 : null,
+      recentCommits: recent.get(c.login) || 0
+    }));
+}
+
+// Monthly stats that can't be derived from daily metrics (issue responsiveness, PR health,
+// new vs returning contributors and commit concentration), one entry per month with the fields of all of them
+// Pass all stored commits, not just the ones fetched this run
+export function aggregateMonthlyStats(issues, prs, commits = []) {
+  return mergeMonthlyStats([
+    ...aggregateIssueResponsiveness(issues),
+    ...aggregatePullRequestHealth(prs),
+    ...aggregateContributorMonths(commits),
+    ...aggregateConcentration(commits)
+  ]);
+}
+
+// Stored monthly stats with the commit-based ones recalculated from the given commits (e.g. without bots)
+export function recalculateCommitStats(monthlyStats, commits) {
+  const cleared = monthlyStats.map(m => ({
+    ...m,
+    newContributorsInMonth: null,
+    returningContributorsInMonth: null,
+    busFactor: null,
+    commitGini: null,
+    top5CommitSharePct: null
+  }));
+  return mergeMonthlyStats([...cleared, ...aggregateContributorMonths(commits), ...aggregateConcentration(commits)]);
+}
+
+// One entry per month with the fields of every entry for it
+function mergeMonthlyStats(entries) {
+  const byMonth = new Map();
+  for (const m of entries) {
+    byMonth.set(m.monthEnd, { ...byMonth.get(m.monthEnd), ...m });
+  }
+  return Array.from(byMonth.values()).sort((a, b) => a.monthEnd.localeCompare(b.monthEnd));
+}
+
+// Months after the first commit at which cohort retention is measured
+export const RETENTION_OFFSETS = [1, 3, 6, 12];
+
+// Contributor retention cohorts: contributors grouped by the (UTC) month of their first commit, with the
+// share that committed again in the month 1, 3, 6 and 12 months later (null while that month hasn't ended)
+// Returns [{ cohort: 'YYYY-MM', size, retention: { 1: pct, 3: pct, 6: pct, 12: pct } }] sorted by cohort
+export function aggregateRetentionCohorts(commits) {
+  const monthIndex = (date) => {
+    const [year, month] = date.slice(0, 7).split('-').map(Number);
+    return year * 12 + month - 1;
+  };
+
+  // Months each contributor committed in
+  const activeMonths = new Map();
+  for (const c of commits) {
+    for (const author of commitAuthors(c)) {
+      if (!activeMonths.has(author)) activeMonths.set(author, new Set());
+      activeMonths.get(author).add(monthIndex(c.date));
+    }
+  }
+
+  const cohorts = new Map();
+  for (const months of activeMonths.values()) {
+    const first = Math.min(...months);
+    if (!cohorts.has(first)) cohorts.set(first, []);
+    cohorts.get(first).push(months);
+  }
+
+  const currentMonth = monthIndex(new Date().toISOString());
+
+  return Array.from(cohorts, ([first, members]) => ({
+    cohort: `${Math.floor(first / 12)}-${String(first % 12 + 1).padStart(2, '0')}`,
+    size: members.length,
+    retention: Object.fromEntries(RETENTION_OFFSETS.map(offset => [
+      offset,
+      first + offset < currentMonth
+        ? Math.round(members.filter(months => months.has(first + offset)).length / members.length * 10000) / 100
+        : null
+    ]))
+  })).sort((a, b) => a.cohort.localeCompare(b.cohort));
+}
+
+export const AUDIENCE_TOP_N = 15;
+
+export const FOLLOWER_BUCKETS = [
+  { label: '0', max: 0 },
+  { label: '1-9', max: 9 },
+  { label: '10-99', max: 99 },
+  { label: '100-999', max: 999 },
+  { label: '1k-9.9k', max: 9999 },
+  { label: '10k+', max: Infinity }
+];
+
+// Company field as people write it: "@acme", "Acme Inc.", "ACME" are the same company
+function normalizeCompany(company) {
+  return company
+    .trim()
+    .replace(/^@/, '')
+    .replace(/[,.]?\s+(inc|llc|ltd|gmbh|corp|co)\.?$/i, '')
+    .trim();
+}
+
+// [{ name, count }] for the most common values, the label being the first spelling seen
+function topCounts(values, limit) {
+  const counts = new Map();
+  for (const value of values) {
+    const key = value.toLowerCase();
+    if (!counts.has(key)) counts.set(key, { name: value, count: 0 });
+    counts.get(key).count++;
+  }
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+// Audience report of stargazer profiles (see services/audience.js): top companies, guessed countries,
+// the follower distribution and the years the accounts were created. Deleted accounts are skipped.
+export function aggregateAudience(profiles) {
+  const users = profiles.filter(p => p.createdAt);
+  const companies = users.map(p => p.company && normalizeCompany(p.company)).filter(Boolean);
+  const countries = users.map(p => guessCountry(p.location)).filter(Boolean);
+  const followers = users.map(p => p.followers || 0).sort((a, b) => a - b);
+
+  const byYear = new Map();
+  for (const p of users) {
+    const year = p.createdAt.slice(0, 4);
+    byYear.set(year, (byYear.get(year) || 0) + 1);
+  }
+
+  return {
+    profiled: users.length,
+    withCompany: companies.length,
+    withLocation: users.filter(p => p.location).length,
+    withCountry: countries.length,
+    companies: topCounts(companies, AUDIENCE_TOP_N),
+    countries: topCounts(countries, AUDIENCE_TOP_N),
+    followerBuckets: FOLLOWER_BUCKETS.map((bucket, i) => ({
+      label: bucket.label,
+      count: followers.filter(f => f <= bucket.max && (i === 0 || f > FOLLOWER_BUCKETS[i - 1].max)).length
+    })),
+    medianFollowers: followers.length > 0 ? percentile(followers, 0.5) : null,
+    accountsByYear: Array.from(byYear, ([year, count]) => ({ year, count })).sort((a, b) => a.year.localeCompare(b.year))
+  };
+}
+
+// Suspicious star heuristics (fake stars, star farms)
+export const SUSPICIOUS_ACCOUNT_AGE_DAYS = 30;
+export const BURST_WINDOW_MINUTES = 10;
+export const BURST_MIN_STARS = 10;
+const BURST_MIN_SUSPICIOUS_SHARE = 0.5;
+
+// Throwaway-looking account at the time of the star: created shortly before it, no followers and no
+// repositories. Profiles cached before repository counts were fetched are judged on the rest.
+function isSuspiciousStar(profile, starredAt) {
+  if (!profile?.createdAt) return false;
+  const ageDays = (Date.parse(starredAt) - Date.parse(profile.createdAt)) / DAY;
+  return ageDays < SUSPICIOUS_ACCOUNT_AGE_DAYS && profile.followers === 0 && !(profile.repos > 0);
+}
+
+// Stars from suspicious accounts and the bursts they come in, from the stargazers ({ user, starredAt })
+// and the profiles looked up for them (see services/audience.js). Only profiled stars can be judged.
+// A burst is BURST_MIN_STARS or more stars within BURST_WINDOW_MINUTES, at least half from suspicious accounts.
+// Returns {
+//   profiled, suspicious, organicPct,
+//   bursts: [{ start, end, date, stars, suspicious }],
+//   byMonth: [{ month: 'YYYY-MM', stars, profiled, suspicious, organicPct }]
+// }
+export function detectSuspiciousStars(stargazers, profiles) {
+  const profileOf = new Map(profiles.map(p => [p.login, p]));
+  const stars = [...stargazers]
+    .sort((a, b) => a.starredAt.localeCompare(b.starredAt))
+    .map(s => {
+      const profile = profileOf.get(s.user);
+      return {
+        time: Date.parse(s.starredAt),
+        starredAt: s.starredAt,
+        profiled: !!profile?.createdAt,
+        suspicious: isSuspiciousStar(profile, s.starredAt)
+      };
+    });
+
+  // Sliding window over the sorted stars, marking every star of a window that qualifies as a burst
+  const inBurst = new Array(stars.length).fill(false);
+  const windowMs = BURST_WINDOW_MINUTES * 60000;
+  let start = 0;
+  let suspiciousInWindow = 0;
+  for (let end = 0; end < stars.length; end++) {
+    if (stars[end].suspicious) suspiciousInWindow++;
+    while (stars[end].time - stars[start].time > windowMs) {
+      if (stars[start].suspicious) suspiciousInWindow--;
+      start++;
+    }
+    const size = end - start + 1;
+    if (size >= BURST_MIN_STARS && suspiciousInWindow / size >= BURST_MIN_SUSPICIOUS_SHARE) {
+      inBurst.fill(true, start, end + 1);
+    }
+  }
+
+  const bursts = [];
+  stars.forEach((star, i) => {
+    if (!inBurst[i]) return;
+    const last = bursts[bursts.length - 1];
+    if (last && inBurst[i - 1] && star.time - Date.parse(last.end) <= windowMs) {
+      last.end = star.starredAt;
+      last.stars++;
+      if (star.suspicious) last.suspicious++;
+    } else {
+      bursts.push({ start: star.starredAt, end: star.starredAt, date: star.starredAt.split('T')[0], stars: 1, suspicious: star.suspicious ? 1 : 0 });
+    }
+  });
+
+  const organicPct = (profiled, suspicious) => profiled > 0 ? Math.round((profiled - suspicious) / profiled * 1000) / 10 : null;
+  const months = new Map();
+  for (const star of stars) {
+    const month = star.starredAt.slice(0, 7);
+    if (!months.has(month)) months.set(month, { month, stars: 0, profiled: 0, suspicious: 0 });
+    const m = months.get(month);
+    m.stars++;
+    if (star.profiled) m.profiled++;
+    if (star.suspicious) m.suspicious++;
+  }
+
+  const profiled = stars.filter(s => s.profiled).length;
+  const suspicious = stars.filter(s => s.suspicious).length;
+  return {
+    profiled,
+    suspicious,
+    organicPct: organicPct(profiled, suspicious),
+    bursts,
+    byMonth: Array.from(months.values())
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(m => ({ ...m, organicPct: organicPct(m.profiled, m.suspicious) }))
+  };
+}
@@ -0,0 +1,5 @@
+-- Add GraphQL cursor columns so issue and PR fetches can resume like stars_cursor
+ALTER TABLE repositories
+ADD COLUMN IF NOT EXISTS issues_cursor TEXT,
+ADD COLUMN IF NOT EXISTS issues_pagination_limited BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS prs_cursor TEXT;
@@ -0,0 +1,5 @@
+-- Key repositories by host as well as owner/repo (GitHub Enterprise Server support)
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS host TEXT NOT NULL DEFAULT 'github.com';
+
+ALTER TABLE repositories DROP CONSTRAINT IF EXISTS repositories_owner_repo_key;
+ALTER TABLE repositories ADD CONSTRAINT repositories_host_owner_repo_key UNIQUE (host, owner, repo);
@@ -0,0 +1,3 @@
+-- Pages that still failed after retrying, so gaps in the fetched data are visible
+-- Each entry: { type, page | cursor, kind, status, message }
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS failed_pages JSONB NOT NULL DEFAULT '[]';
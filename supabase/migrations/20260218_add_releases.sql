@@ -0,0 +1,18 @@
+-- Release tracking: cumulative releases and downloads per day
+ALTER TABLE daily_metrics ADD COLUMN IF NOT EXISTS total_releases INTEGER DEFAULT 0;
+ALTER TABLE daily_metrics ADD COLUMN IF NOT EXISTS total_downloads BIGINT;
+
+-- Download counts per release, captured on every refresh so their growth can be charted
+CREATE TABLE IF NOT EXISTS release_snapshots (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id),
+  captured_on DATE NOT NULL,
+  tag TEXT NOT NULL,
+  prerelease BOOLEAN DEFAULT FALSE,
+  published_at TIMESTAMP,
+  downloads BIGINT NOT NULL DEFAULT 0,
+  assets JSONB NOT NULL DEFAULT '[]', -- [{ name, downloads }]
+  UNIQUE(repo_id, captured_on, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_release_snapshots_repo ON release_snapshots(repo_id, captured_on);
@@ -0,0 +1,37 @@
+-- Traffic history: GitHub only keeps 14 days, so every refresh upserts what it returns
+CREATE TABLE IF NOT EXISTS traffic_daily (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id),
+  date DATE NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  unique_views INTEGER NOT NULL DEFAULT 0,
+  clones INTEGER NOT NULL DEFAULT 0,
+  unique_clones INTEGER NOT NULL DEFAULT 0,
+  UNIQUE(repo_id, date)
+);
+
+-- Popular paths and referrers are 14-day totals, stored as one snapshot per refresh day
+CREATE TABLE IF NOT EXISTS traffic_paths (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id),
+  captured_on DATE NOT NULL,
+  path TEXT NOT NULL,
+  title TEXT,
+  count INTEGER NOT NULL DEFAULT 0,
+  uniques INTEGER NOT NULL DEFAULT 0,
+  UNIQUE(repo_id, captured_on, path)
+);
+
+CREATE TABLE IF NOT EXISTS traffic_referrers (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id),
+  captured_on DATE NOT NULL,
+  referrer TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  uniques INTEGER NOT NULL DEFAULT 0,
+  UNIQUE(repo_id, captured_on, referrer)
+);
+
+CREATE INDEX IF NOT EXISTS idx_traffic_daily_repo ON traffic_daily(repo_id, date);
+CREATE INDEX IF NOT EXISTS idx_traffic_paths_repo ON traffic_paths(repo_id, captured_on);
+CREATE INDEX IF NOT EXISTS idx_traffic_referrers_repo ON traffic_referrers(repo_id, captured_on);
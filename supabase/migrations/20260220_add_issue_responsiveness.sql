@@ -0,0 +1,7 @@
+-- Issue responsiveness per month (see aggregateIssueResponsiveness)
+ALTER TABLE monthly_metrics
+ADD COLUMN IF NOT EXISTS issue_first_response_median_hours NUMERIC(10,1),
+ADD COLUMN IF NOT EXISTS issue_first_response_p90_hours NUMERIC(10,1),
+ADD COLUMN IF NOT EXISTS issues_answered_24h_pct NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS issue_close_median_hours NUMERIC(10,1),
+ADD COLUMN IF NOT EXISTS issue_close_p90_hours NUMERIC(10,1);
@@ -0,0 +1,14 @@
+-- Pull request health per month (see aggregatePullRequestHealth)
+ALTER TABLE monthly_metrics
+ADD COLUMN IF NOT EXISTS pr_merge_median_hours NUMERIC(10,1),
+ADD COLUMN IF NOT EXISTS prs_merged_in_month INTEGER,
+ADD COLUMN IF NOT EXISTS prs_closed_unmerged_in_month INTEGER,
+ADD COLUMN IF NOT EXISTS pr_merge_rate_pct NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS pr_first_review_median_hours NUMERIC(10,1),
+ADD COLUMN IF NOT EXISTS pr_reviews_avg NUMERIC(6,1),
+ADD COLUMN IF NOT EXISTS pr_unique_reviewers INTEGER,
+ADD COLUMN IF NOT EXISTS pr_size_xs INTEGER,
+ADD COLUMN IF NOT EXISTS pr_size_s INTEGER,
+ADD COLUMN IF NOT EXISTS pr_size_m INTEGER,
+ADD COLUMN IF NOT EXISTS pr_size_l INTEGER,
+ADD COLUMN IF NOT EXISTS pr_size_xl INTEGER;
@@ -0,0 +1,12 @@
+-- Raw commit authors and dates, kept so commit-based analyses (contributor retention cohorts)
+-- can be recalculated without refetching
+CREATE TABLE IF NOT EXISTS raw_commits (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id) ON DELETE CASCADE,
+  sha TEXT NOT NULL,
+  author TEXT,
+  committed_at TIMESTAMP NOT NULL,
+  UNIQUE(repo_id, sha)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_commits_repo ON raw_commits(repo_id, committed_at);
@@ -0,0 +1,16 @@
+-- Rolling active contributors and new vs returning contributors (see applyContributorActivity)
+ALTER TABLE daily_metrics
+ADD COLUMN IF NOT EXISTS active_contributors_30d INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS active_contributors_90d INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS new_contributors INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS returning_contributors INTEGER DEFAULT 0;
+
+ALTER TABLE monthly_metrics
+ADD COLUMN IF NOT EXISTS active_contributors_30d_at_month_end INTEGER,
+ADD COLUMN IF NOT EXISTS active_contributors_30d_mom_change INTEGER,
+ADD COLUMN IF NOT EXISTS active_contributors_30d_mom_growth_pct NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS active_contributors_90d_at_month_end INTEGER,
+ADD COLUMN IF NOT EXISTS active_contributors_90d_mom_change INTEGER,
+ADD COLUMN IF NOT EXISTS active_contributors_90d_mom_growth_pct NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS new_contributors_in_month INTEGER,
+ADD COLUMN IF NOT EXISTS returning_contributors_in_month INTEGER;
@@ -0,0 +1,8 @@
+-- Commit concentration per month over the trailing 12 months (see aggregateConcentration)
+ALTER TABLE monthly_metrics
+ADD COLUMN IF NOT EXISTS bus_factor INTEGER,
+ADD COLUMN IF NOT EXISTS commit_gini NUMERIC(4,3),
+ADD COLUMN IF NOT EXISTS top5_commit_share_pct NUMERIC(5,2);
+
+-- Top of the contributor list as [{ login, contributions }], refreshed on every fetch
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS top_contributors JSONB;
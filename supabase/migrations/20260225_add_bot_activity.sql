@@ -0,0 +1,15 @@
+-- Bot share of the daily totals, so bots can be excluded from cached data (see withoutBots)
+ALTER TABLE daily_metrics
+ADD COLUMN IF NOT EXISTS bot_contributors INTEGER,
+ADD COLUMN IF NOT EXISTS bot_active_contributors_30d INTEGER,
+ADD COLUMN IF NOT EXISTS bot_active_contributors_90d INTEGER,
+ADD COLUMN IF NOT EXISTS bot_new_contributors INTEGER,
+ADD COLUMN IF NOT EXISTS bot_returning_contributors INTEGER,
+ADD COLUMN IF NOT EXISTS bot_issues_opened INTEGER,
+ADD COLUMN IF NOT EXISTS bot_issues_closed INTEGER,
+ADD COLUMN IF NOT EXISTS bot_prs_opened INTEGER,
+ADD COLUMN IF NOT EXISTS bot_prs_closed INTEGER,
+ADD COLUMN IF NOT EXISTS bot_prs_merged INTEGER;
+
+-- Account type of the commit author ('Bot', 'User', ...)
+ALTER TABLE raw_commits ADD COLUMN IF NOT EXISTS author_type TEXT;
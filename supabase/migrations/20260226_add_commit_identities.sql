@@ -0,0 +1,9 @@
+-- Git identity of raw commits, to resolve contributors without a linked GitHub login
+ALTER TABLE raw_commits
+ADD COLUMN IF NOT EXISTS author_login TEXT,
+ADD COLUMN IF NOT EXISTS author_name TEXT,
+ADD COLUMN IF NOT EXISTS author_email TEXT,
+ADD COLUMN IF NOT EXISTS co_authors JSONB NOT NULL DEFAULT '[]';
+
+-- Identity rules per repo in .mailmap format (see services/identities.js)
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS mailmap TEXT;
@@ -0,0 +1,22 @@
+-- Raw stargazers, so their profiles can be looked up without refetching the stargazer list
+CREATE TABLE IF NOT EXISTS raw_stargazers (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id) ON DELETE CASCADE,
+  login TEXT NOT NULL,
+  starred_at TIMESTAMP NOT NULL,
+  UNIQUE(repo_id, login)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_stargazers_repo_starred ON raw_stargazers(repo_id, starred_at);
+
+-- GitHub user profiles for the stargazer audience report, shared by every repo on a host
+CREATE TABLE IF NOT EXISTS github_users (
+  host TEXT NOT NULL DEFAULT 'github.com',
+  login TEXT NOT NULL,
+  company TEXT,
+  location TEXT,
+  followers INTEGER,
+  account_created_at TIMESTAMP,
+  fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (host, login)
+);
@@ -0,0 +1,2 @@
+-- Public repository count of cached profiles, one of the suspicious star signals (see detectSuspiciousStars)
+ALTER TABLE github_users ADD COLUMN IF NOT EXISTS public_repos INTEGER;
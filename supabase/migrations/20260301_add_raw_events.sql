@@ -0,0 +1,34 @@
+-- Raw forks, issues and pull requests next to raw_stargazers and raw_commits, so daily and
+-- monthly metrics can be re-aggregated from them without fetching again
+CREATE TABLE IF NOT EXISTS raw_forks (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id) ON DELETE CASCADE,
+  owner TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL,
+  UNIQUE(repo_id, owner)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_forks_repo_created ON raw_forks(repo_id, created_at);
+
+-- Issues and PRs keep the fetched item as JSON, the latest fetch of each one wins
+CREATE TABLE IF NOT EXISTS raw_issues (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id) ON DELETE CASCADE,
+  number INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL,
+  data JSONB NOT NULL,
+  UNIQUE(repo_id, number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_issues_repo_created ON raw_issues(repo_id, created_at);
+
+CREATE TABLE IF NOT EXISTS raw_prs (
+  id SERIAL PRIMARY KEY,
+  repo_id INTEGER REFERENCES repositories(id) ON DELETE CASCADE,
+  number INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL,
+  data JSONB NOT NULL,
+  UNIQUE(repo_id, number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_prs_repo_created ON raw_prs(repo_id, created_at);
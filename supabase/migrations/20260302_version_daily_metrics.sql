@@ -0,0 +1,8 @@
+-- Versioned daily_metrics, so a full refresh is written next to the current rows and swapped in by
+-- pointing repositories.metrics_version at it. Existing rows become version 0.
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS metrics_version BIGINT NOT NULL DEFAULT 0;
+
+ALTER TABLE daily_metrics ADD COLUMN IF NOT EXISTS version BIGINT NOT NULL DEFAULT 0;
+
+ALTER TABLE daily_metrics DROP CONSTRAINT IF EXISTS daily_metrics_repo_id_date_key;
+ALTER TABLE daily_metrics ADD CONSTRAINT daily_metrics_repo_id_version_date_key UNIQUE (repo_id, version, date);
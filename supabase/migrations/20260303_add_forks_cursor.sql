@@ -0,0 +1,3 @@
+-- Forks are fetched over GraphQL and resume from a cursor like stars_cursor, replacing the
+-- REST page resume point (forks_last_page is no longer used)
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS forks_cursor TEXT;
@@ -0,0 +1,3 @@
+-- Date issues and PRs are complete up to, a refresh fetches the ones created or updated since then
+-- (issues_last_date already exists and now holds that date instead of the newest issue's)
+ALTER TABLE repositories ADD COLUMN IF NOT EXISTS prs_last_date TIMESTAMP;